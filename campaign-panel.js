@@ -0,0 +1,136 @@
+// campaign-panel.js - Campaign picker, chapter map and campaign builder
+// Lists the campaigns (built-in and custom, see campaign.js) with the active
+// player's stars, lets them continue or pick any unlocked level, and lets a
+// caregiver put saved levels (the level library) together into a new campaign.
+// RayGridGame runs the levels and records the clears.
+
+class CampaignPanel {
+  constructor(game, { panel, toggleButton, campaignSelect, btnContinue, btnStop, btnResetProgress, summaryEl, chaptersEl,
+    builderLevelSelect, btnAddLevel, draftEl, nameInput, chapterSizeInput, btnBuild, btnDelete }) {
+    this.game = game;
+    this.panel = panel;
+    this.toggleButton = toggleButton;
+    this.campaignSelect = campaignSelect;
+    this.summaryEl = summaryEl;
+    this.chaptersEl = chaptersEl;
+    this.builderLevelSelect = builderLevelSelect;
+    this.draftEl = draftEl;
+    this.nameInput = nameInput;
+    this.chapterSizeInput = chapterSizeInput;
+    this.btnDelete = btnDelete;
+    this.draft = []; // saved level names, in play order
+
+    toggleButton.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleButton.classList.toggle("active", !panel.hidden);
+      if (!panel.hidden) this.render();
+    });
+    campaignSelect.addEventListener("change", () => this.render());
+    btnContinue.addEventListener("click", () => game.continueCampaign(this.selectedId()));
+    btnStop.addEventListener("click", () => game.stopCampaign());
+    btnResetProgress.addEventListener("click", () => game.resetCampaignProgress(this.selectedId()));
+    btnAddLevel.addEventListener("click", () => {
+      if (!builderLevelSelect.value) return;
+      this.draft.push(builderLevelSelect.value);
+      this.renderDraft();
+    });
+    btnBuild.addEventListener("click", () => {
+      const campaign = game.buildCustomCampaign(nameInput.value, this.draft, Number(chapterSizeInput.value));
+      if (!campaign) return;
+      this.draft = [];
+      nameInput.value = "";
+      this.render(campaign.id);
+    });
+    btnDelete.addEventListener("click", () => game.deleteCustomCampaign(this.selectedId()));
+    if (!chapterSizeInput.value) chapterSizeInput.value = String(CAMPAIGN_DEFAULT_CHAPTER_SIZE);
+    this.render();
+  }
+
+  selectedId() {
+    return this.campaignSelect.value || null;
+  }
+
+  // selectId: campaign to show instead of the current choice (e.g. one just built)
+  render(selectId = null) {
+    const game = this.game;
+    const campaigns = game.campaigns.list();
+    const run = game.campaignRun;
+    const selected = selectId || this.selectedId() || (run ? run.campaign.id : null);
+    this.campaignSelect.innerHTML = "";
+    for (const campaign of campaigns) {
+      this.campaignSelect.appendChild(new Option(campaign.builtIn ? campaign.name : `${campaign.name} (custom)`, campaign.id));
+    }
+    this.campaignSelect.value = campaigns.some(c => c.id === selected) ? selected : (campaigns[0] ? campaigns[0].id : "");
+    this.toggleButton.textContent = run ? `Campaign: ${run.campaign.name}` : "Campaign";
+
+    if (this.panel.hidden) return;
+    const campaign = game.campaigns.get(this.selectedId());
+    this.btnDelete.disabled = !campaign || !!campaign.builtIn;
+    this.chaptersEl.innerHTML = "";
+    this.renderBuilder();
+    if (!campaign) {
+      this.summaryEl.textContent = "No campaigns yet.";
+      return;
+    }
+    const summary = summarizeCampaign(campaign, game.getCampaignProgress(campaign.id));
+    const player = game.profiles.active();
+    this.summaryEl.textContent = `${player ? player.name : "Guest"}: ${summary.cleared}/${summary.total} level(s) cleared, ` +
+      `${summary.stars}/${summary.maxStars} ★` +
+      (summary.next ? ` · next: ${campaign.chapters[summary.next.chapter].name}, level ${summary.next.index + 1}` : " · campaign complete");
+
+    campaign.chapters.forEach((chapter, c) => {
+      const info = summary.chapters[c];
+      const section = document.createElement("div");
+      section.className = `campaign-chapter${info.unlocked ? "" : " locked"}`;
+      const heading = document.createElement("strong");
+      heading.textContent = info.unlocked
+        ? `${chapter.name} · ${info.stars} ★`
+        : `🔒 ${chapter.name} · needs ${chapter.starsToUnlock} ★ (${summary.stars} so far)`;
+      section.appendChild(heading);
+      chapter.levels.forEach((entry, i) => {
+        const level = info.levels[i];
+        const button = document.createElement("button");
+        button.className = "campaign-level";
+        button.classList.toggle("current", !!run && run.campaign.id === campaign.id && run.chapter === c && run.index === i);
+        button.disabled = !level.unlocked;
+        const stars = level.cleared ? "★".repeat(level.stars) + "☆".repeat(3 - level.stars) : "";
+        button.textContent = `${i + 1}. ${entry.level.name} ${stars}${level.easier ? " (easier)" : ""}`;
+        button.title = level.unlocked ? "Play this level" : "Clear the level before it first";
+        button.addEventListener("click", () => game.playCampaignLevel(campaign.id, c, i));
+        section.appendChild(button);
+      });
+      this.chaptersEl.appendChild(section);
+    });
+  }
+
+  renderBuilder() {
+    const names = this.game.library.names();
+    this.builderLevelSelect.innerHTML = "";
+    this.builderLevelSelect.appendChild(new Option(names.length ? "Saved level…" : "No saved levels", ""));
+    for (const name of names) this.builderLevelSelect.appendChild(new Option(name, name));
+    this.renderDraft();
+  }
+
+  // The levels picked for the new campaign; × takes one out again
+  renderDraft() {
+    this.draftEl.innerHTML = "";
+    if (this.draft.length === 0) {
+      this.draftEl.textContent = "Add saved levels in the order they should be played.";
+      return;
+    }
+    this.draft.forEach((name, i) => {
+      const item = document.createElement("span");
+      item.className = "campaign-draft-level";
+      item.textContent = `${i + 1}. ${name}`;
+      const remove = document.createElement("button");
+      remove.textContent = "×";
+      remove.title = "Remove from the campaign";
+      remove.addEventListener("click", () => {
+        this.draft.splice(i, 1);
+        this.renderDraft();
+      });
+      item.appendChild(remove);
+      this.draftEl.appendChild(item);
+    });
+  }
+}
@@ -0,0 +1,281 @@
+// campaign.js - Campaigns: levels played in order, grouped into chapters
+// Campaign format (custom campaigns are stored like this in localStorage):
+// {
+//   "format": "ray-grid-campaign",
+//   "id": "starter",
+//   "name": "Getting Started",
+//   "chapters": [
+//     { "name": "Chapter 1", "starsToUnlock": 0, "levels": [
+//       { "level": { ...level file, see levels.js... }, "easier": { ...level file... } } // easier is optional
+//     ] }
+//   ]
+// }
+// Within a chapter each level unlocks once the one before it is cleared; a chapter
+// unlocks once the player has collected starsToUnlock stars in the whole campaign.
+// After a failed round the player can retry or switch to an easier variant: the
+// level's own "easier" level, or makeEasierLevel(). Clearing the easier variant
+// counts as a clear but earns at most CAMPAIGN_EASIER_MAX_STARS star.
+
+const CAMPAIGN_FORMAT = "ray-grid-campaign";
+const CAMPAIGN_EASIER_MAX_STARS = 1;
+const CAMPAIGN_DEFAULT_CHAPTER_SIZE = 3;
+const CAMPAIGN_STARS_PER_LEVEL = 2; // unlock thresholds of built campaigns, per level in earlier chapters
+
+// Shipped with the game (levels made with LevelGenerator, see generator.js)
+const BUILTIN_CAMPAIGNS = [
+  {
+    format: CAMPAIGN_FORMAT,
+    id: "starter",
+    name: "Getting Started",
+    chapters: [
+      {
+        name: "First Steps",
+        starsToUnlock: 0,
+        levels: [
+          { level: { name: "First Steps", size: 6, rays: [{ entry: { side: "right", index: 2 }, exit: { side: "bottom", index: 0 } }], fixedObstacles: [[2, 2], [4, 1], [5, 3], [5, 1], [5, 2], [0, 0]], timeLimitSeconds: 180 } },
+          { level: { name: "Warm-up", size: 6, rays: [{ entry: { side: "right", index: 1 }, exit: { side: "top", index: 4 } }], fixedObstacles: [[5, 3], [5, 5], [5, 4], [0, 0], [3, 0], [3, 4]], timeLimitSeconds: 180 } },
+          { level: { name: "Around the Corner", size: 7, rays: [{ entry: { side: "top", index: 4 }, exit: { side: "top", index: 5 } }], fixedObstacles: [[5, 1], [2, 0], [6, 2], [5, 4], [6, 5], [0, 1], [3, 2], [6, 3], [2, 2], [4, 2], [4, 0]], timeLimitSeconds: 240 } },
+        ],
+      },
+      {
+        name: "Two Mats and More",
+        starsToUnlock: 6,
+        levels: [
+          { level: { name: "Two Mats", size: 7, rays: [{ entry: { side: "bottom", index: 6 }, exit: { side: "left", index: 4 } }], fixedObstacles: [[3, 6], [1, 4], [1, 5], [2, 2], [4, 4], [5, 4], [6, 1], [0, 1]], timeLimitSeconds: 300 } },
+          { level: { name: "Zigzag", size: 8, rays: [{ entry: { side: "top", index: 2 }, exit: { side: "right", index: 5 } }], fixedObstacles: [[2, 1], [0, 5], [3, 0], [2, 7], [7, 7], [4, 6], [6, 4], [6, 3], [2, 2], [6, 6], [0, 0], [1, 4], [4, 3], [2, 0], [7, 2]], timeLimitSeconds: 300 } },
+          { level: { name: "The Long Way", size: 8, rays: [{ entry: { side: "top", index: 4 }, exit: { side: "bottom", index: 0 } }], fixedObstacles: [[5, 3], [6, 0], [7, 5], [5, 6], [3, 7], [3, 2], [0, 5], [1, 4], [0, 3], [5, 7], [1, 1], [6, 6], [1, 0], [2, 3], [5, 0]], timeLimitSeconds: 420 } },
+        ],
+      },
+    ],
+  },
+];
+
+// Validate a campaign (parsed JSON) and its levels. Throws LevelFormatError.
+function parseCampaign(raw) {
+  if (!isPlainObject(raw)) throw new LevelFormatError("Campaign must be a JSON object");
+  if (raw.format !== undefined && raw.format !== CAMPAIGN_FORMAT) {
+    throw new LevelFormatError(`Not a campaign (format must be "${CAMPAIGN_FORMAT}")`);
+  }
+  if (typeof raw.id !== "string" || !raw.id.trim()) throw new LevelFormatError(`"id" must be a non-empty string`);
+  if (typeof raw.name !== "string" || !raw.name.trim()) throw new LevelFormatError(`"name" must be a non-empty string`);
+  if (!Array.isArray(raw.chapters) || raw.chapters.length === 0) {
+    throw new LevelFormatError(`"chapters" must be a non-empty array`);
+  }
+  // Errors from parseLevel() get the path of the level inside the campaign
+  const level = (value, field) => {
+    try {
+      return parseLevel(value);
+    } catch (err) {
+      if (err instanceof LevelFormatError) throw new LevelFormatError(`"${field}": ${err.message}`);
+      throw err;
+    }
+  };
+  const chapters = raw.chapters.map((chapter, c) => {
+    const field = `chapters[${c}]`;
+    if (!isPlainObject(chapter)) throw new LevelFormatError(`"${field}" must be an object`);
+    const starsToUnlock = chapter.starsToUnlock === undefined ? 0 : chapter.starsToUnlock;
+    if (!Number.isInteger(starsToUnlock) || starsToUnlock < 0) {
+      throw new LevelFormatError(`"${field}.starsToUnlock" must be a whole number of stars (got ${JSON.stringify(chapter.starsToUnlock)})`);
+    }
+    if (!Array.isArray(chapter.levels) || chapter.levels.length === 0) {
+      throw new LevelFormatError(`"${field}.levels" must be a non-empty array`);
+    }
+    return {
+      name: typeof chapter.name === "string" && chapter.name.trim() ? chapter.name.trim() : `Chapter ${c + 1}`,
+      // The first chapter is always open
+      starsToUnlock: c === 0 ? 0 : starsToUnlock,
+      levels: chapter.levels.map((entry, i) => {
+        const entryField = `${field}.levels[${i}]`;
+        if (!isPlainObject(entry)) throw new LevelFormatError(`"${entryField}" must be an object like { "level": { ... } }`);
+        return {
+          level: level(entry.level, `${entryField}.level`),
+          easier: entry.easier === undefined || entry.easier === null ? null : level(entry.easier, `${entryField}.easier`),
+        };
+      }),
+    };
+  });
+  return { format: CAMPAIGN_FORMAT, id: raw.id.trim(), name: raw.name.trim(), chapters };
+}
+
+// Easier variant of a level: the ray path stays on screen, cells it passes are
+// revealed, checkpoints are dropped and the timer gets 50% more time.
+function makeEasierLevel(level) {
+  const cover = level.cover || COVER_DEFAULTS;
+  const limit = level.timeLimitSeconds || LEVEL_DEFAULT_TIME_LIMIT;
+  return parseLevel({
+    ...level,
+    name: `${level.name} (easier)`,
+    checkpoints: [],
+    timeLimitSeconds: Math.min(LEVEL_MAX_TIME_LIMIT, Math.round(limit * 1.5)),
+    cover: { ...cover, hide: cover.hide === "full" ? "inner" : cover.hide, reveal: "path", pathSeconds: 0 },
+  });
+}
+
+// Campaign from saved levels, split into chapters of `chapterSize` levels.
+// Each chapter needs CAMPAIGN_STARS_PER_LEVEL stars per level before it.
+function buildCampaign(name, levels, chapterSize = CAMPAIGN_DEFAULT_CHAPTER_SIZE) {
+  const chapters = [];
+  for (let i = 0; i < levels.length; i += chapterSize) {
+    chapters.push({
+      name: `Chapter ${chapters.length + 1}`,
+      starsToUnlock: i * CAMPAIGN_STARS_PER_LEVEL,
+      levels: levels.slice(i, i + chapterSize).map(level => ({ level })),
+    });
+  }
+  const id = `c${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+  return parseCampaign({ format: CAMPAIGN_FORMAT, id, name: String(name || "").trim(), chapters });
+}
+
+// Where the player stands in a campaign (progress: CampaignProgress.get()):
+// { stars, maxStars, cleared, total, chapters: [{ unlocked, stars, levels: [{ unlocked, cleared, stars, easier }] }], next }
+// next is the first unlocked level that isn't cleared ({ chapter, index }), or null.
+function summarizeCampaign(campaign, progress) {
+  const stars = Object.values(progress.levels).reduce((sum, entry) => sum + entry.stars, 0);
+  let next = null;
+  let cleared = 0;
+  let total = 0;
+  const chapters = campaign.chapters.map((chapter, c) => {
+    const unlocked = stars >= chapter.starsToUnlock;
+    let previousCleared = true;
+    const levels = chapter.levels.map((entry, i) => {
+      const done = progress.levels[campaignLevelKey(c, i)] || null;
+      const level = {
+        unlocked: unlocked && previousCleared,
+        cleared: !!done,
+        stars: done ? done.stars : 0,
+        easier: done ? done.easier : false,
+      };
+      if (level.unlocked && !level.cleared && !next) next = { chapter: c, index: i };
+      previousCleared = level.cleared;
+      total++;
+      if (level.cleared) cleared++;
+      return level;
+    });
+    return { unlocked, stars: levels.reduce((sum, level) => sum + level.stars, 0), levels };
+  });
+  return { stars, maxStars: total * 3, cleared, total, chapters, next };
+}
+
+function campaignLevelKey(chapter, index) {
+  return `${chapter}.${index}`;
+}
+
+// Custom campaigns, kept in localStorage as { version, campaigns: { [id]: campaign } }.
+// The built-in campaigns come first in list() and can't be removed.
+class CampaignLibrary {
+  constructor(storage, storageKey = "rayGrid.campaigns") {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+    this.builtIn = BUILTIN_CAMPAIGNS.map(raw => ({ ...parseCampaign(raw), builtIn: true }));
+  }
+
+  readAll() {
+    if (!this.storage) return {};
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return {};
+      const data = JSON.parse(raw);
+      return isPlainObject(data) && isPlainObject(data.campaigns) ? data.campaigns : {};
+    } catch (err) {
+      console.error("Campaign library is unreadable, starting empty:", err);
+      return {};
+    }
+  }
+
+  writeAll(campaigns) {
+    if (!this.storage) throw new Error("Campaign library is not available (no localStorage)");
+    this.storage.setItem(this.storageKey, JSON.stringify({ version: 1, campaigns }));
+  }
+
+  list() {
+    const custom = [];
+    for (const raw of Object.values(this.readAll())) {
+      try {
+        custom.push(parseCampaign(raw));
+      } catch (err) {
+        console.error("Skipping unreadable campaign:", err);
+      }
+    }
+    custom.sort((a, b) => a.name.localeCompare(b.name));
+    return [...this.builtIn, ...custom];
+  }
+
+  get(id) {
+    return this.list().find(campaign => campaign.id === id) || null;
+  }
+
+  save(campaign) {
+    const campaigns = this.readAll();
+    const normalized = parseCampaign(campaign);
+    if (this.builtIn.some(c => c.id === normalized.id)) throw new Error(`"${normalized.name}" is a built-in campaign`);
+    campaigns[normalized.id] = normalized;
+    this.writeAll(campaigns);
+    return normalized;
+  }
+
+  remove(id) {
+    const campaigns = this.readAll();
+    if (!(id in campaigns)) return false;
+    delete campaigns[id];
+    this.writeAll(campaigns);
+    return true;
+  }
+}
+
+// Cleared campaign levels per player, kept in localStorage as
+// { version, players: { [playerKey]: { [campaignId]: { levels: { [chapter.index]: entry } } } } }
+// where entry is { stars, score, easier, at } for the player's best clear.
+// playerKey is the profile id, or "guest".
+class CampaignProgress {
+  constructor(storage, storageKey = "rayGrid.campaignProgress") {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+  }
+
+  read() {
+    if (!this.storage) return {};
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return {};
+      const data = JSON.parse(raw);
+      return isPlainObject(data) && isPlainObject(data.players) ? data.players : {};
+    } catch (err) {
+      console.error("Campaign progress is unreadable, starting empty:", err);
+      return {};
+    }
+  }
+
+  write(players) {
+    if (!this.storage) throw new Error("Campaign progress is not available (no localStorage)");
+    this.storage.setItem(this.storageKey, JSON.stringify({ version: 1, players }));
+  }
+
+  get(playerKey, campaignId) {
+    const progress = (this.read()[playerKey] || {})[campaignId];
+    return isPlainObject(progress) && isPlainObject(progress.levels) ? progress : { levels: {} };
+  }
+
+  // Keeps the better of the old and new clear; returns the stored entry
+  recordClear(playerKey, campaignId, chapter, index, { stars, score, easier }) {
+    const players = this.read();
+    const player = players[playerKey] || (players[playerKey] = {});
+    const progress = isPlainObject(player[campaignId]) && isPlainObject(player[campaignId].levels)
+      ? player[campaignId]
+      : (player[campaignId] = { levels: {} });
+    const key = campaignLevelKey(chapter, index);
+    const old = progress.levels[key];
+    const entry = { stars: easier ? Math.min(stars, CAMPAIGN_EASIER_MAX_STARS) : stars, score, easier, at: Date.now() };
+    if (!old || entry.stars > old.stars || (entry.stars === old.stars && entry.score > old.score)) {
+      progress.levels[key] = entry;
+      this.write(players);
+    }
+    return progress.levels[key];
+  }
+
+  reset(playerKey, campaignId) {
+    const players = this.read();
+    if (!players[playerKey] || !players[playerKey][campaignId]) return;
+    delete players[playerKey][campaignId];
+    this.write(players);
+  }
+}
@@ -0,0 +1,255 @@
+// caregiver.js - Control view (caregiver.html)
+// Joins a player screen's room over one of the links in remote-control.js, draws
+// its grid without the cover (player mats, level cells, the last ray fired) with
+// the round and session figures, and sends it commands. The player screen keeps
+// the game; this page only shows what it sends.
+// caregiver.html?room=123456&link=local connects straight away (the player
+// screen's "Open Control Window" button opens it like that).
+
+class CaregiverView {
+  constructor({ linkSelect, roomInput, btnConnect, connectionEl, levelSelect, btnLoadLevel, btnStartRound, btnPause, btnResume,
+    btnHint, gridEl, roundEl, statsEl, sessionEl, statusEl }) {
+    this.linkSelect = linkSelect;
+    this.roomInput = roomInput;
+    this.connectionEl = connectionEl;
+    this.levelSelect = levelSelect;
+    this.btnPause = btnPause;
+    this.btnResume = btnResume;
+    this.btnHint = btnHint;
+    this.gridEl = gridEl;
+    this.roundEl = roundEl;
+    this.statsEl = statsEl;
+    this.sessionEl = sessionEl;
+    this.statusEl = statusEl;
+    this.link = null;
+    this.room = null;
+    this.state = null; // latest state from the player screen
+    this.receivedAt = null;
+    this.sendError = null; // why the last command didn't go through
+
+    for (const [key, label] of Object.entries(CAREGIVER_LINKS)) {
+      if (key === "off") continue;
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = label;
+      linkSelect.appendChild(opt);
+    }
+    btnConnect.addEventListener("click", () => this.connect(linkSelect.value, roomInput.value.trim()));
+    btnLoadLevel.addEventListener("click", () => this.send("loadLevel", { name: levelSelect.value }));
+    btnStartRound.addEventListener("click", () => this.send("startRound"));
+    btnPause.addEventListener("click", () => this.send("pause"));
+    btnResume.addEventListener("click", () => this.send("resume"));
+    btnHint.addEventListener("click", () => this.send("hint"));
+    // Keeps "updated … ago" current between states
+    setInterval(() => this.updateConnection(), 1000);
+
+    const params = new URLSearchParams(window.location.search);
+    if (CAREGIVER_LINKS[params.get("link")]) linkSelect.value = params.get("link");
+    if (params.get("room")) {
+      roomInput.value = params.get("room");
+      this.connect(linkSelect.value, roomInput.value);
+    }
+    this.render();
+  }
+
+  connect(key, room) {
+    if (!/^\w+$/.test(room)) {
+      this.connectionEl.textContent = "Enter the room shown on the player screen (Caregiver View).";
+      return;
+    }
+    if (this.link) this.link.close();
+    const { link, error } = openCaregiverLink(key, room, { listenTo: "state" });
+    this.link = link;
+    this.room = room;
+    this.state = null;
+    this.receivedAt = null;
+    this.sendError = null;
+    if (!link) {
+      this.connectionEl.textContent = `${error || "No link"}: not connected.`;
+      this.render();
+      return;
+    }
+    link.onMessage((message) => {
+      if (!message || message.type !== "state" || !message.state) return;
+      this.state = message.state;
+      this.receivedAt = Date.now();
+      this.render();
+    });
+    link.onError((err) => {
+      this.sendError = err.message || String(err);
+      this.updateConnection();
+    });
+    // Asks the player screen for its state (Firebase keeps the last one anyway)
+    this.send("refresh");
+    this.render();
+  }
+
+  send(command, { name } = {}) {
+    if (!this.link) return;
+    this.sendError = null;
+    this.link.send(name === undefined ? { type: "command", command } : { type: "command", command, name });
+  }
+
+  updateConnection() {
+    const el = this.connectionEl;
+    el.classList.toggle("live", Boolean(this.state));
+    if (!this.link) return;
+    if (this.sendError) {
+      el.textContent = `Room ${this.room}: a command was not sent (${this.sendError}).`;
+      return;
+    }
+    if (!this.state) {
+      el.textContent = `Room ${this.room}: waiting for the player screen…`;
+      return;
+    }
+    const ago = Math.round((Date.now() - this.receivedAt) / 1000);
+    el.textContent = `Room ${this.room}: connected, updated ${ago < 2 ? "just now" : `${ago}s ago`}`;
+  }
+
+  render() {
+    this.updateConnection();
+    const state = this.state;
+    const round = state ? state.round : null;
+    this.btnPause.disabled = !round || round.state !== "playing";
+    this.btnResume.disabled = !round || round.state !== "paused";
+    this.btnHint.disabled = !round || round.state !== "playing";
+    if (!state) {
+      this.roundEl.textContent = "";
+      this.statsEl.textContent = "";
+      this.sessionEl.textContent = "";
+      this.statusEl.textContent = "";
+      this.gridEl.innerHTML = "";
+      return;
+    }
+    this.renderLevelSelect(state.levels || []);
+    this.renderReadout(state);
+    this.statusEl.textContent = state.status || "";
+    this.renderGrid(state);
+  }
+
+  renderLevelSelect(levels) {
+    const selected = this.levelSelect.value;
+    this.levelSelect.innerHTML = "";
+    for (const { name, label } of levels) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = label;
+      this.levelSelect.appendChild(opt);
+    }
+    if (levels.some(level => level.name === selected)) this.levelSelect.value = selected;
+  }
+
+  renderReadout(state) {
+    const { round, stats = {}, session = {} } = state;
+    const roundText = {
+      ready: "No round (Edit Mode)", playing: "Playing", paused: "Paused", won: "Cleared", lost: "Time is up",
+    }[round.state] || round.state;
+    const clock = round.timed ? `${formatClock(round.secondsLeft)} left` : `Practice, ${formatClock(round.elapsedSeconds)}`;
+    this.fillReadout(this.roundEl, "Round", [
+      `Level: ${state.level.name}${state.campaign ? ` (${state.campaign})` : ""}`,
+      `Player: ${state.player || "no profile"}`,
+      round.state === "ready" ? roundText : `${roundText} · ${clock}`,
+    ]);
+    this.fillReadout(this.statsEl, "This round", [
+      `Mats: ${stats.mats || 0}${Number.isInteger(stats.par) ? ` (par ${stats.par})` : ""}`,
+      `Fires: ${stats.attempts || 0} · Hints: ${stats.hints || 0}`,
+      `Score: ${stats.score || 0} ${"★".repeat(stats.stars || 0)}`,
+    ]);
+    this.fillReadout(this.sessionEl, "This session", [
+      `${session.minutes || 0} min · ${session.levels || 0} level(s) loaded`,
+      `Mat presses: ${session.presses || 0} · Fires: ${session.fires || 0}`,
+      `Clears: ${session.clears || 0} · Hints: ${session.hints || 0} · Time ups: ${session.timeUps || 0}`,
+    ]);
+  }
+
+  fillReadout(el, title, lines) {
+    el.innerHTML = "";
+    const heading = document.createElement("strong");
+    heading.textContent = title;
+    el.appendChild(heading);
+    for (const line of lines) {
+      const row = document.createElement("div");
+      row.textContent = line;
+      el.appendChild(row);
+    }
+  }
+
+  // The player screen's grid with every cell shown, the entry/exit cells and the last ray
+  renderGrid(state) {
+    const { level, grid = [] } = state;
+    const n = level.size;
+    this.gridEl.style.setProperty("--grid-n", String(n));
+    this.gridEl.style.setProperty("--cell-size", `${Math.max(20, Math.min(40, Math.floor(480 / n)))}px`);
+    this.gridEl.innerHTML = "";
+
+    const marks = new Map(); // "r,c" -> { classes, style }
+    const mark = (r, c, className, property, value) => {
+      const key = `${r},${c}`;
+      if (!marks.has(key)) marks.set(key, { classes: [], style: {} });
+      marks.get(key).classes.push(className);
+      if (property && value) marks.get(key).style[property] = value;
+    };
+    for (const ray of level.rays || []) {
+      const entry = edgeCell(ray.entry, n);
+      const exit = edgeCell(ray.exit, n);
+      mark(entry.r, entry.c, "cell-entry", "--entry-color", ray.color);
+      mark(exit.r, exit.c, "cell-exit", "--exit-color", ray.color);
+    }
+    for (const [r, c] of level.checkpoints || []) mark(r, c, "cell-checkpoint");
+    for (const ray of state.rays || []) {
+      for (const [r, c] of ray.path || []) mark(r, c, "cell-ray", "--ray-color", ray.color);
+    }
+
+    for (let r = 0; r < n; r++) {
+      for (let c = 0; c < n; c++) {
+        const el = document.createElement("div");
+        el.className = "grid-cell";
+        const type = CELL_TYPES[(grid[r] || [])[c] || CELL.EMPTY];
+        if (type && type.className) el.classList.add(type.className);
+        el.dataset.glyph = type ? type.glyph : "";
+        const cellMarks = marks.get(`${r},${c}`);
+        if (cellMarks) {
+          el.classList.add(...cellMarks.classes);
+          for (const [property, value] of Object.entries(cellMarks.style)) el.style.setProperty(property, value);
+        }
+        el.title = `(${r + 1},${c + 1})`;
+        this.gridEl.appendChild(el);
+      }
+    }
+  }
+}
+
+// Border cell of an entry or exit { side, index }
+function edgeCell({ side, index }, n) {
+  if (side === "left") return { r: index, c: 0 };
+  if (side === "right") return { r: index, c: n - 1 };
+  if (side === "top") return { r: 0, c: index };
+  return { r: n - 1, c: index };
+}
+
+function formatClock(seconds) {
+  const total = Math.max(0, seconds || 0);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// Boot
+const caregiverView = new CaregiverView({
+  linkSelect: document.getElementById("caregiverLink"),
+  roomInput: document.getElementById("caregiverRoom"),
+  btnConnect: document.getElementById("btnConnect"),
+  connectionEl: document.getElementById("connection"),
+  levelSelect: document.getElementById("levelSelect"),
+  btnLoadLevel: document.getElementById("btnLoadLevel"),
+  btnStartRound: document.getElementById("btnStartRound"),
+  btnPause: document.getElementById("btnPause"),
+  btnResume: document.getElementById("btnResume"),
+  btnHint: document.getElementById("btnHint"),
+  gridEl: document.getElementById("grid-container"),
+  roundEl: document.getElementById("roundReadout"),
+  statsEl: document.getElementById("statsReadout"),
+  sessionEl: document.getElementById("sessionReadout"),
+  statusEl: document.getElementById("status"),
+});
+window.addEventListener("beforeunload", () => {
+  if (caregiverView.link) caregiverView.link.close();
+});
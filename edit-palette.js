@@ -0,0 +1,205 @@
+// edit-palette.js - Edit Mode tool palette and entry/exit arrows
+// The palette picks what a click (or click-drag) on the grid does in Edit Mode:
+// place a level cell type, toggle checkpoints or cover mask cells (see fog.js),
+// erase, or move a ray's entry/exit.
+// Arrows around the grid mark each ray's entry (pointing in) and exit (pointing
+// out). With the Entry or Exit tool, clicking an arrow moves that end of the ray
+// there; with any tool, an entry/exit arrow can be dragged to another position.
+// Layout problems (findLayoutProblems() in levels.js) are listed next to the
+// palette and marked on the arrows while editing.
+
+const EDIT_ARROW_SIZE = 20; // px
+
+// Tools besides the level cell types (whose keys come from CELL_TYPES)
+const EDIT_TOOLS = [
+  { key: "entry", label: "Entry", glyph: "⇥" },
+  { key: "exit", label: "Exit", glyph: "↦" },
+  { key: "checkpoint", label: "Checkpoint", glyph: "⚑" },
+  { key: "mask", label: "Mask", glyph: "▒" },
+  { key: "eraser", label: "Eraser", glyph: "⌫" },
+];
+
+// Arrow glyphs per side: "in" for an entry, "out" for an exit
+const EDIT_ARROW_GLYPHS = {
+  left: { in: "→", out: "←" },
+  right: { in: "←", out: "→" },
+  top: { in: "↓", out: "↑" },
+  bottom: { in: "↑", out: "↓" },
+};
+
+class EditPalette {
+  constructor(game, { palette, raySelect, problemsEl }) {
+    this.game = game;
+    this.palette = palette;
+    this.raySelect = raySelect;
+    this.problemsEl = problemsEl;
+    this.tool = "fixed";
+    this.buttons = [];
+    this.arrows = []; // { el, side, index }
+    this.drag = null; // { kind, rayIndex, target }
+
+    this.build();
+    window.addEventListener("pointermove", (e) => this.moveDrag(e));
+    window.addEventListener("pointerup", (e) => this.endDrag(e));
+    window.addEventListener("pointercancel", () => this.cancelDrag());
+  }
+
+  build() {
+    const cellTools = Object.entries(CELL_TYPES)
+      .filter(([code]) => isLevelCell(Number(code)))
+      .map(([, type]) => ({ key: type.key, label: type.label, glyph: type.glyph || "■" }));
+    for (const tool of [...cellTools, ...EDIT_TOOLS]) {
+      const button = document.createElement("button");
+      button.className = "edit-tool";
+      button.dataset.tool = tool.key;
+      button.textContent = `${tool.glyph} ${tool.label}`;
+      button.addEventListener("click", () => this.setTool(tool.key));
+      this.palette.appendChild(button);
+      this.buttons.push(button);
+    }
+    this.setTool(this.tool);
+  }
+
+  setTool(key) {
+    this.tool = key;
+    for (const button of this.buttons) button.classList.toggle("active", button.dataset.tool === key);
+    if (key === "entry" || key === "exit") {
+      this.game.setStatus(`${this.game.describeLevel()} | Click an arrow outside the grid to move the ${key}`);
+    }
+  }
+
+  // Level cell code of the selected tool, or null for the other tools
+  cellType() {
+    return cellTypeByKey(this.tool);
+  }
+
+  get rayIndex() {
+    const index = Number(this.raySelect.value);
+    return Number.isInteger(index) && index < this.game.level.rays.length ? index : 0;
+  }
+
+  // Arrows live inside the grid container, so buildGrid() calls this after clearing it
+  attachToGrid() {
+    const game = this.game;
+    this.arrows = [];
+    const along = (index) => `${game.cellOffset(index) + (game.cellSize - EDIT_ARROW_SIZE) / 2}px`;
+    const outside = `-${EDIT_ARROW_SIZE + 4}px`;
+    for (const side of LEVEL_SIDES) {
+      for (let index = 0; index < game.N; index++) {
+        const el = document.createElement("button");
+        el.className = "edit-arrow";
+        el.style.width = `${EDIT_ARROW_SIZE}px`;
+        el.style.height = `${EDIT_ARROW_SIZE}px`;
+        el.style[side] = outside;
+        el.style[side === "left" || side === "right" ? "top" : "left"] = along(index);
+        el.addEventListener("click", () => this.clickArrow(side, index));
+        el.addEventListener("pointerdown", (e) => this.startDrag(e, side, index));
+        game.gridEl.appendChild(el);
+        this.arrows.push({ el, side, index });
+      }
+    }
+    this.render();
+  }
+
+  clickArrow(side, index) {
+    const game = this.game;
+    if (this.tool === "entry" || this.tool === "exit") {
+      game.placeRayEndpoint(this.rayIndex, this.tool, side, index);
+    } else {
+      game.setStatus(`${game.describeLevel()} | Pick the Entry or Exit tool to place it here, or drag an entry/exit arrow`);
+    }
+  }
+
+  // Which ray ends at this arrow: { kind, rayIndex } or null; the selected ray wins
+  endpointAt(side, index) {
+    const rays = this.game.level.rays;
+    const order = [this.rayIndex, ...rays.keys()];
+    for (const kind of ["entry", "exit"]) {
+      const rayIndex = order.find(i => rays[i][kind].side === side && rays[i][kind].index === index);
+      if (rayIndex !== undefined) return { kind, rayIndex };
+    }
+    return null;
+  }
+
+  startDrag(e, side, index) {
+    const game = this.game;
+    if (game.coverVisible || game.animating || game.replaying || e.button !== 0) return;
+    const endpoint = this.endpointAt(side, index);
+    if (!endpoint) return;
+    e.preventDefault();
+    this.drag = { ...endpoint, target: null };
+  }
+
+  moveDrag(e) {
+    if (!this.drag) return;
+    const target = this.arrowAt(e.clientX, e.clientY);
+    if (this.drag.target) this.drag.target.el.classList.remove("drop");
+    this.drag.target = target;
+    if (target) target.el.classList.add("drop");
+  }
+
+  endDrag(e) {
+    if (!this.drag) return;
+    const { kind, rayIndex } = this.drag;
+    const target = this.arrowAt(e.clientX, e.clientY);
+    this.cancelDrag();
+    if (!target) return;
+    const current = this.game.level.rays[rayIndex][kind];
+    if (current.side === target.side && current.index === target.index) return;
+    this.game.placeRayEndpoint(rayIndex, kind, target.side, target.index);
+  }
+
+  cancelDrag() {
+    if (this.drag && this.drag.target) this.drag.target.el.classList.remove("drop");
+    this.drag = null;
+  }
+
+  arrowAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const arrowEl = el && el.closest ? el.closest(".edit-arrow") : null;
+    return this.arrows.find(a => a.el === arrowEl) || null;
+  }
+
+  render() {
+    const game = this.game;
+    const rays = game.level.rays;
+
+    // Ray picker, only needed with several rays
+    if (this.raySelect.options.length !== rays.length) {
+      const selected = this.rayIndex;
+      this.raySelect.innerHTML = "";
+      rays.forEach((ray, i) => this.raySelect.appendChild(new Option(describeRay(game.level, i), String(i))));
+      this.raySelect.value = String(Math.min(selected, rays.length - 1));
+    }
+    this.raySelect.hidden = rays.length < 2;
+
+    const problems = findLayoutProblems(game.level, game.state);
+    const invalid = new Set();
+    for (const problem of problems) {
+      for (const kind of problem.kinds) invalid.add(`${problem.rayIndex}:${kind}`);
+    }
+    const editing = !game.coverVisible;
+    for (const { el, side, index } of this.arrows) {
+      el.hidden = !editing;
+      el.classList.remove("entry", "exit", "invalid");
+      el.style.removeProperty("--arrow-color");
+      el.textContent = EDIT_ARROW_GLYPHS[side].in;
+      el.title = `${side.toUpperCase()} @ ${index + 1}`;
+      rays.forEach((ray, i) => {
+        for (const kind of ["entry", "exit"]) {
+          if (ray[kind].side !== side || ray[kind].index !== index) continue;
+          el.classList.add(kind);
+          el.textContent = EDIT_ARROW_GLYPHS[side][kind === "entry" ? "in" : "out"];
+          el.title += ` · ${rays.length > 1 ? describeRay(game.level, i) : "Ray"} ${kind} (drag to move)`;
+          if (rays.length > 1) el.style.setProperty("--arrow-color", ray.color);
+          if (invalid.has(`${i}:${kind}`)) el.classList.add("invalid");
+        }
+      });
+    }
+
+    this.problemsEl.textContent = problems.length
+      ? problems.map(p => p.message).join(" · ")
+      : "Layout OK";
+    this.problemsEl.classList.toggle("bad", problems.length > 0);
+  }
+}
@@ -0,0 +1,347 @@
+// engine.js - Headless game engine
+// One round of the puzzle without any DOM: the level (levels.js) and its state
+// matrix, ray tracing (ray.js), mat-signal decoding, gestures (gestures.js),
+// the round state and clock, and scoring (scoring.js). RayGridGame (grid-test.js) draws the engine and reacts to
+// its events; the tests in test/ run it under Node.
+//
+// Events (engine.on(type, listener), listener gets one data object):
+//   level   { level }            a level was loaded
+//   toggle  { r, c, value }      a player mat was placed (1) or removed (0)
+//   reset   { cleared }          every player mat was removed
+//   fire    { result }           the rays were traced (RaySim.traceAll())
+//   cell    { r, c, signals }    a row + column tap sequence picked a cell (r / c may
+//                                be outside the grid; the listener decides what to do)
+//   action  { action, gesture }  a gesture finished; action is null when nothing is bound
+//   input   {}                   pending mat input changed (for displays)
+//   state   { state, previous }  the round moved to another ROUND_STATES entry
+//   tick    { secondsLeft, elapsedSeconds }  a second of play went by
+//   time    { change, reason, secondsLeft }  a time bonus (change > 0) or penalty;
+//                                reason is a TIME_EVENTS key (levels.js)
+
+// ready: no round (Edit Mode); playing; paused; won; lost: the time ran out.
+// The engine doesn't run a clock itself: the game calls tick() once a second.
+const ROUND_STATES = ["ready", "playing", "paused", "won", "lost"];
+
+// Tiles 1~8 pick a coordinate; grids larger than 8 tap a page tile first (two taps per coordinate)
+const COORDINATE_TILES = 8;
+
+function tapsPerCoordinate(size) {
+  return size <= COORDINATE_TILES ? 1 : 2;
+}
+
+// Mat taps that select a 0-based row/col index, e.g. 10 -> [2, 3] on a 10x10 grid.
+function coordinateToTaps(index, size) {
+  if (tapsPerCoordinate(size) === 1) return [index + 1];
+  return [Math.floor(index / COORDINATE_TILES) + 1, (index % COORDINATE_TILES) + 1];
+}
+
+function tapsToCoordinate(taps) {
+  if (taps.length === 1) return taps[0] - 1;
+  return (taps[0] - 1) * COORDINATE_TILES + (taps[1] - 1);
+}
+
+// Adds a coordinate signal (1~8) to `buffer` (edited in place). Returns { r, c, signals }
+// once a full row + column sequence is in, else null; r and c may be outside the grid.
+// windowMs is the longest gap allowed between two taps of a sequence.
+function takeCoordinateTap(buffer, signal, timestamp, { size, windowMs }) {
+  // Clean old signals from buffer: a sequence is dropped once its latest tap
+  // is outside the time window (each tap restarts the window)
+  const lastPending = buffer[buffer.length - 1];
+  if (!lastPending || (timestamp - lastPending.timestamp) > windowMs) buffer.length = 0;
+
+  buffer.push({ signal, timestamp });
+
+  // Once a full row+col sequence is buffered, process the last one
+  // (2 taps on grids up to 8x8, 4 taps on larger grids)
+  const perCoordinate = tapsPerCoordinate(size);
+  const needed = perCoordinate * 2;
+  if (buffer.length < needed) return null;
+  const taps = buffer.slice(-needed);
+
+  // Check that consecutive signals are within the time window
+  const lateIndex = taps.findIndex((item, i) => {
+    if (i === 0) return false;
+    const timeDiff = item.timestamp - taps[i - 1].timestamp;
+    return timeDiff > windowMs || timeDiff < 0;
+  });
+  if (lateIndex !== -1) {
+    // Signals are too far apart, keep only the coordinate signals after the gap
+    buffer.splice(0, buffer.length, ...taps.slice(lateIndex));
+    return null;
+  }
+  // Convert 1~8 signals to 0-based internal indices, then clear the buffer
+  const signals = taps.map(item => item.signal);
+  buffer.length = 0;
+  return {
+    r: tapsToCoordinate(signals.slice(0, perCoordinate)),
+    c: tapsToCoordinate(signals.slice(perCoordinate)),
+    signals,
+  };
+}
+
+// What a coordinate buffer is waiting for: { stage, taps, row, remainingMs }.
+// stage is "row", "rowPage" (large grids: page tapped, waiting for the position),
+// "col" (row known, waiting for the column) or "colPage".
+function readCoordinateBuffer(buffer, now, { size, windowMs }) {
+  const perCoordinate = tapsPerCoordinate(size);
+  const last = buffer[buffer.length - 1];
+  const live = last && (now - last.timestamp) <= windowMs ? buffer : [];
+  const taps = live.map(item => item.signal);
+  const state = {
+    stage: "row",
+    taps,
+    row: null,
+    remainingMs: live.length ? Math.max(0, windowMs - (now - last.timestamp)) : 0,
+  };
+  if (taps.length >= perCoordinate) {
+    state.row = tapsToCoordinate(taps.slice(0, perCoordinate));
+    state.stage = taps.length > perCoordinate ? "colPage" : "col";
+  } else if (taps.length > 0) {
+    state.stage = "rowPage";
+  }
+  return state;
+}
+
+// State matrix of a level: level cells in place, no player mats
+function createLevelState(level) {
+  const state = Array.from({ length: level.size }, () => Array(level.size).fill(CELL.EMPTY));
+  for (const [r, c] of level.fixedObstacles) {
+    state[r][c] = CELL.FIXED;
+  }
+  for (const { r, c, type } of level.specialCells || []) {
+    state[r][c] = cellTypeByKey(type);
+  }
+  for (const pair of level.portals || []) {
+    for (const [r, c] of pair) state[r][c] = CELL.PORTAL;
+  }
+  return state;
+}
+
+class RayGridEngine {
+  // level: already validated by parseLevel(); gestureMap: a GESTURE_PRESETS entry or parseGestureMap() result
+  constructor({ level = parseLevel(DEFAULT_LEVEL), gestureMap = GESTURE_PRESETS.standard } = {}) {
+    this.listeners = {};
+    this.signalBuffer = []; // Array of {signal: 1-8, timestamp: ms}
+    this.gestureMap = gestureMap;
+    this.gestures = new GestureRecognizer(gestureMap, {
+      onAction: (action, gesture) => this.emit("action", { action, gesture }),
+      onTap: (signal, timestamp) => this.coordinateSignal(signal, timestamp),
+      onChange: () => this.emit("input", {}),
+    });
+    this.fires = 0; // fires this round
+    this.roundState = "ready";
+    this.secondsLeft = null; // null when the round is untimed (or there is no round)
+    this.elapsedSeconds = 0; // seconds played, pauses left out
+    this.checkpointsReached = new Set(); // "r,c" keys, for the checkpoint time bonus
+    this.loadLevel(level);
+  }
+
+  // Returns a function that removes the listener again
+  on(type, listener) {
+    if (!this.listeners[type]) this.listeners[type] = [];
+    this.listeners[type].push(listener);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    };
+  }
+
+  emit(type, data) {
+    for (const listener of this.listeners[type] || []) listener(data);
+  }
+
+  get N() {
+    return this.level.size;
+  }
+
+  loadLevel(level) {
+    this.level = level;
+    this.state = createLevelState(level);
+    this.cancelInput();
+    this.emit("level", { level });
+  }
+
+  // ---------- Round ----------
+  // timed: false for an untimed (practice) round
+  startRound({ timed = true } = {}) {
+    this.fires = 0;
+    this.elapsedSeconds = 0;
+    this.secondsLeft = timed ? this.level.timeLimitSeconds : null;
+    this.checkpointsReached = new Set();
+    this.cancelInput();
+    this.setRoundState("playing");
+  }
+
+  // Back to no round (Edit Mode)
+  endRound() {
+    this.fires = 0;
+    this.elapsedSeconds = 0;
+    this.secondsLeft = null;
+    this.setRoundState("ready");
+  }
+
+  setRoundState(state) {
+    const previous = this.roundState;
+    if (state === previous) return;
+    this.roundState = state;
+    this.emit("state", { state, previous });
+  }
+
+  get timed() {
+    return this.secondsLeft !== null;
+  }
+
+  // Returns false when there was nothing to pause or resume
+  pause() {
+    if (this.roundState !== "playing") return false;
+    this.cancelInput();
+    this.setRoundState("paused");
+    return true;
+  }
+
+  resume() {
+    if (this.roundState !== "paused") return false;
+    this.setRoundState("playing");
+    return true;
+  }
+
+  win() {
+    if (this.roundState !== "playing") return false;
+    this.setRoundState("won");
+    return true;
+  }
+
+  // One second of play; ignored unless the round is being played
+  tick() {
+    if (this.roundState !== "playing") return;
+    this.elapsedSeconds++;
+    if (this.timed) this.secondsLeft = Math.max(0, this.secondsLeft - 1);
+    this.emit("tick", { secondsLeft: this.secondsLeft, elapsedSeconds: this.elapsedSeconds });
+    if (this.secondsLeft === 0) this.setRoundState("lost");
+  }
+
+  // Adds change seconds (negative takes them away) to a timed round being played
+  adjustTime(change, reason) {
+    if (this.roundState !== "playing" || !this.timed || !change) return;
+    this.secondsLeft = Math.max(0, this.secondsLeft + change);
+    this.emit("time", { change, reason, secondsLeft: this.secondsLeft });
+    if (this.secondsLeft === 0) this.setRoundState("lost");
+  }
+
+  // The level's bonus or penalty for a TIME_EVENTS key, count times
+  applyTimeEvent(key, count = 1) {
+    const seconds = (this.level.timeEvents || {})[key] || 0;
+    this.adjustTime(seconds * count, key);
+  }
+
+  // Places or removes the player mat at (r, c). Returns the new value, or null
+  // when the cell is a level cell (or outside the grid) and can't change.
+  toggle(r, c) {
+    if (!RaySim.isInside(r, c, this.N) || isLevelCell(this.state[r][c])) return null;
+    const value = this.state[r][c] === CELL.PLAYER ? CELL.EMPTY : CELL.PLAYER;
+    this.state[r][c] = value;
+    this.emit("toggle", { r, c, value });
+    return value;
+  }
+
+  // Removes every player mat; returns how many there were
+  resetMats() {
+    let cleared = 0;
+    for (const row of this.state) {
+      row.forEach((v, c) => {
+        if (v === CELL.PLAYER) {
+          row[c] = CELL.EMPTY;
+          cleared++;
+        }
+      });
+    }
+    this.emit("reset", { cleared });
+    return cleared;
+  }
+
+  countMats(grid = this.state) {
+    return grid.reduce((sum, row) => sum + row.filter(v => v === CELL.PLAYER).length, 0);
+  }
+
+  // Traces the rays without counting it as an attempt
+  trace(grid = this.state) {
+    return RaySim.traceAll(this.level, grid);
+  }
+
+  // A counted attempt: traces the rays and reports the result. During a round
+  // a clear wins it; a miss applies the level's time events.
+  fire() {
+    this.fires++;
+    const result = this.trace();
+    this.emit("fire", { result });
+    if (this.roundState === "playing") {
+      if (result.outcome === "WIN") {
+        this.win();
+      } else {
+        const missed = new Set(result.missedCheckpoints.map(([r, c]) => `${r},${c}`));
+        const reached = (this.level.checkpoints || []).map(([r, c]) => `${r},${c}`)
+          .filter(key => !missed.has(key) && !this.checkpointsReached.has(key));
+        for (const key of reached) this.checkpointsReached.add(key);
+        if (reached.length) this.applyTimeEvent("checkpoint", reached.length);
+        this.applyTimeEvent("missedFire");
+      }
+    }
+    return result;
+  }
+
+  // Mats, fires, seconds, par and score of the round (see scoring.js).
+  // par is the solver's minimum number of mats, or null while it is unknown.
+  roundStats({ mats = this.countMats(), attempts = this.fires, seconds = this.elapsedSeconds, par = null, hints = 0 } = {}) {
+    const { score, stars } = scoreRound({ mats, fires: attempts, seconds, par, hints }, this.level.scoring || SCORING_DEFAULTS);
+    return { mats, attempts, seconds, par, hints, score, stars };
+  }
+
+  // ---------- Mat signals ----------
+  setGestureMap(map) {
+    this.gestureMap = map;
+    this.gestures.setMap(map);
+    this.emit("input", {});
+  }
+
+  get decoderSettings() {
+    return { size: this.N, windowMs: this.gestureMap.pairWindowMs };
+  }
+
+  cancelInput() {
+    this.signalBuffer = [];
+    this.gestures.cancel();
+  }
+
+  // Command tiles (tap sequences and long presses) go to the gesture map first,
+  // everything else is a coordinate tap.
+  // releases: the source will call release() when the tile is let go (long presses)
+  processSignal(signal, timestamp, { releases = false } = {}) {
+    if (this.gestures.press(signal, timestamp, { releases })) return;
+    this.coordinateSignal(signal, timestamp);
+  }
+
+  release(signal, timestamp) {
+    this.gestures.release(signal, timestamp);
+  }
+
+  coordinateSignal(signal, timestamp) {
+    const tap = this.decodeTap(this.signalBuffer, signal, timestamp);
+    if (tap) this.emit("cell", tap);
+    this.emit("input", {});
+  }
+
+  // takeCoordinateTap() with this level's size and pairing window; buffer may be
+  // another player's (see multiplayer.js)
+  decodeTap(buffer, signal, timestamp) {
+    return takeCoordinateTap(buffer, signal, timestamp, this.decoderSettings);
+  }
+
+  // Pending mat input, for displays: readCoordinateBuffer() plus command, the
+  // gesture in progress (GestureRecognizer.getPending()) or null.
+  // input: whose buffer and gestures to read ({ signalBuffer, gestures }), the engine's by default
+  signalState(now = Date.now(), input = this) {
+    return {
+      ...readCoordinateBuffer(input.signalBuffer, now, this.decoderSettings),
+      command: input.gestures.getPending(now),
+    };
+  }
+}
@@ -0,0 +1,152 @@
+// fog.js - Play Mode cover ("fog of war") settings and rendering
+// A level may set how its cells are hidden in Play Mode under "cover":
+// {
+//   "hide": "inner",      // inner: all but the outer ring (default), full: every cell,
+//                         // obstacles: only level cells, mask: the cells listed in "mask"
+//   "mask": [[2, 3], [4, 4]],
+//   "reveal": "none",     // none, path: cells the ray passed through stay uncovered,
+//                         // hits: level cells stay uncovered once a ray has hit them
+//   "pathSeconds": 0      // > 0: the ray path fades after this many seconds
+// }
+// Revealed cells stay uncovered until the round ends (back to Edit Mode or a new level).
+
+const COVER_HIDE_MODES = {
+  inner: "all but the outer ring",
+  full: "the whole grid",
+  obstacles: "level cells only",
+  mask: "custom mask",
+};
+const COVER_REVEAL_MODES = {
+  none: "nothing",
+  path: "cells the ray passes",
+  hits: "cells the ray hits",
+};
+const COVER_DEFAULTS = { hide: "inner", mask: [], reveal: "none", pathSeconds: 0 };
+const COVER_MAX_PATH_SECONDS = 60;
+
+// Validates a level's "cover" object; missing fields take COVER_DEFAULTS
+function parseCoverSettings(raw, size, field = "cover") {
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError(`"${field}" must be an object like { "hide": "full", "reveal": "path" }`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(COVER_DEFAULTS, key)) {
+      throw new LevelFormatError(`"${field}.${key}" is not a cover setting (use ${Object.keys(COVER_DEFAULTS).join(", ")})`);
+    }
+  }
+  const cover = { ...COVER_DEFAULTS, ...raw };
+  if (!Object.prototype.hasOwnProperty.call(COVER_HIDE_MODES, cover.hide)) {
+    throw new LevelFormatError(`"${field}.hide" must be one of ${Object.keys(COVER_HIDE_MODES).join(", ")} (got ${JSON.stringify(cover.hide)})`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(COVER_REVEAL_MODES, cover.reveal)) {
+    throw new LevelFormatError(`"${field}.reveal" must be one of ${Object.keys(COVER_REVEAL_MODES).join(", ")} (got ${JSON.stringify(cover.reveal)})`);
+  }
+  if (!Number.isFinite(cover.pathSeconds) || cover.pathSeconds < 0 || cover.pathSeconds > COVER_MAX_PATH_SECONDS) {
+    throw new LevelFormatError(`"${field}.pathSeconds" must be a number of seconds from 0 to ${COVER_MAX_PATH_SECONDS} (got ${JSON.stringify(cover.pathSeconds)})`);
+  }
+  if (!Array.isArray(cover.mask)) {
+    throw new LevelFormatError(`"${field}.mask" must be an array of [row, col] pairs`);
+  }
+  const seen = new Set();
+  const mask = [];
+  cover.mask.forEach((pair, i) => {
+    const [r, c] = parseCellPair(pair, `${field}.mask[${i}]`, size);
+    if (seen.has(`${r},${c}`)) return;
+    seen.add(`${r},${c}`);
+    mask.push([r, c]);
+  });
+  return { hide: cover.hide, mask, reveal: cover.reveal, pathSeconds: cover.pathSeconds };
+}
+
+// "hiding all but the outer ring, revealing cells the ray passes, path shown for 3 s"
+function describeCover(cover) {
+  const parts = [`hiding ${COVER_HIDE_MODES[cover.hide]}`];
+  if (cover.hide === "mask") parts[0] += ` (${cover.mask.length} cell${cover.mask.length === 1 ? "" : "s"})`;
+  if (cover.reveal !== "none") parts.push(`revealing ${COVER_REVEAL_MODES[cover.reveal]}`);
+  if (cover.pathSeconds > 0) parts.push(`path shown for ${cover.pathSeconds} s`);
+  return parts.join(", ");
+}
+
+// Draws the cover as one dark tile per hidden cell inside the grid-cover element
+// and keeps track of what the current round has uncovered.
+class FogOfWar {
+  constructor(game) {
+    this.game = game;
+    this.revealed = new Set(); // "r,c"
+    this.pathTimer = null;
+  }
+
+  get settings() {
+    return this.game.level.cover || COVER_DEFAULTS;
+  }
+
+  // New round: everything hidden again
+  reset() {
+    this.revealed.clear();
+    this.cancelPathTimer();
+    this.render();
+  }
+
+  isHidden(r, c) {
+    const game = this.game;
+    if (!game.coverVisible || this.revealed.has(`${r},${c}`)) return false;
+    const { hide, mask } = this.settings;
+    if (hide === "full") return true;
+    if (hide === "obstacles") return isLevelCell(game.state[r][c]);
+    if (hide === "mask") return mask.some(([mr, mc]) => mr === r && mc === c);
+    return r > 0 && c > 0 && r < game.N - 1 && c < game.N - 1;
+  }
+
+  // Called once the fired rays have been drawn (result: RaySim.traceAll())
+  afterFire(result) {
+    const game = this.game;
+    if (!game.coverVisible) return;
+    const { pathSeconds } = this.settings;
+    for (const key of this.cellsRevealedBy(result)) this.revealed.add(key);
+    this.render();
+    if (pathSeconds > 0) {
+      this.cancelPathTimer();
+      this.pathTimer = setTimeout(() => {
+        this.pathTimer = null;
+        game.clearRayVisuals();
+      }, pathSeconds * 1000);
+    }
+  }
+
+  // "r,c" keys the level's reveal setting uncovers after a fire on `grid`
+  cellsRevealedBy(result, grid = this.game.state) {
+    const { reveal } = this.settings;
+    const keys = [];
+    for (const ray of result.rays) {
+      for (const { r, c } of ray.path) {
+        if (reveal === "path" || (reveal === "hits" && isLevelCell(grid[r][c]))) keys.push(`${r},${c}`);
+      }
+    }
+    return keys;
+  }
+
+  cancelPathTimer() {
+    if (this.pathTimer) clearTimeout(this.pathTimer);
+    this.pathTimer = null;
+  }
+
+  render() {
+    const game = this.game;
+    const cover = game.gridCover;
+    if (!cover) return;
+    cover.innerHTML = "";
+    if (!game.coverVisible) return;
+    const size = game.cellSize + 4; // tiles cover the gaps too, so hidden areas look solid
+    for (let r = 0; r < game.N; r++) {
+      for (let c = 0; c < game.N; c++) {
+        if (!this.isHidden(r, c)) continue;
+        const tile = document.createElement("div");
+        tile.className = "fog-cell";
+        tile.style.top = `${game.cellOffset(r) - 2}px`;
+        tile.style.left = `${game.cellOffset(c) - 2}px`;
+        tile.style.width = tile.style.height = `${size}px`;
+        cover.appendChild(tile);
+      }
+    }
+  }
+}
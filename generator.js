@@ -0,0 +1,121 @@
+// generator.js - Seeded procedural level generator
+// Every generated level is checked with LevelSolver, so it is always solvable and its
+// minimal solution needs exactly the requested number of mats. The same seed and
+// options always give the same level, so two sessions can share a maze by seed.
+
+// Difficulty targets, measured on the minimal solution:
+// - mats: exact number of player mats required
+// - minPathLength: minimum number of cells the winning ray passes through
+// - minTurns: minimum number of turns along the winning ray
+const GENERATOR_DIFFICULTIES = {
+  easy:   { mats: 1, minPathLength: 8,  minTurns: 2 },
+  medium: { mats: 2, minPathLength: 14, minTurns: 4 },
+  hard:   { mats: 3, minPathLength: 20, minTurns: 6 },
+};
+
+// Deterministic PRNG: string/number seed -> xmur3 hash -> mulberry32 stream in [0, 1)
+function createSeededRandom(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  let a = (h ^= h >>> 16) >>> 0;
+
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class LevelGenerator {
+  constructor(options = {}) {
+    // Small node budget per candidate: hard candidates are skipped rather than solved slowly
+    this.solverOptions = { maxMats: 8, nodeLimit: 20000, ...options.solverOptions };
+    this.maxAttempts = options.maxAttempts ?? 400;
+  }
+
+  // Returns { level, solve, attempts }. Throws if no level matching the targets is found.
+  async generate({ seed, size = 8, difficulty = "medium", isCancelled = () => false } = {}) {
+    const target = typeof difficulty === "string" ? GENERATOR_DIFFICULTIES[difficulty] : difficulty;
+    if (!target) throw new Error(`Unknown difficulty "${difficulty}"`);
+    if (seed === undefined || seed === null || String(seed).trim() === "") {
+      throw new Error("A seed is required");
+    }
+
+    const rand = createSeededRandom(`${seed}|${size}|${target.mats}|${target.minPathLength}|${target.minTurns}`);
+    const randInt = (n) => Math.floor(rand() * n);
+    const solver = new LevelSolver({ ...this.solverOptions, maxMats: target.mats });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      if (isCancelled()) throw new Error("Generation cancelled");
+
+      const candidate = this.randomCandidate(size, target, rand, randInt);
+      if (!candidate) continue;
+
+      const solve = await solver.solve(candidate, candidate.grid, { isCancelled });
+      if (solve.status !== "SOLVED" || solve.minMats !== target.mats) continue;
+
+      const path = solve.result.rays[0].path;
+      const turns = path.filter(step => step.dirAfterCell !== step.dirBeforeCell).length;
+      if (path.length < target.minPathLength || turns < target.minTurns) continue;
+
+      const level = parseLevel({
+        name: `Seed ${seed}${typeof difficulty === "string" ? ` (${difficulty})` : ""}`,
+        size,
+        rays: candidate.rays.map(({ entry, exit }) => ({ entry, exit })),
+        fixedObstacles: candidate.fixedObstacles,
+      });
+      return { level, solve, attempts: attempt };
+    }
+    throw new Error(`No level matching the difficulty was found in ${this.maxAttempts} attempts (seed "${seed}")`);
+  }
+
+  // One random level proposal. The exit is taken from a random walk of
+  // target.mats mats along the ray, so the proposal is solvable with at most
+  // that many mats; the solver then checks that fewer are not enough.
+  randomCandidate(size, target, rand, randInt) {
+    const grid = Array.from({ length: size }, () => Array(size).fill(0));
+    const density = 0.12 + rand() * 0.12;
+    const obstacleCount = Math.round(size * size * density);
+    const fixedObstacles = [];
+    while (fixedObstacles.length < obstacleCount) {
+      const r = randInt(size);
+      const c = randInt(size);
+      if (grid[r][c] !== 0) continue;
+      grid[r][c] = 2;
+      fixedObstacles.push([r, c]);
+    }
+
+    const entry = { side: LEVEL_SIDES[randInt(4)], index: randInt(size) };
+    const ray = { entry, exit: entry };
+    const level = { rays: [ray], checkpoints: [], portals: [], grid, fixedObstacles };
+
+    // Random walk: drop mats on empty cells of the current path, each after the previous one
+    const walk = grid.map(row => row.slice());
+    let fromIndex = 0;
+    for (let m = 0; m < target.mats; m++) {
+      const path = RaySim.trace(level, walk).path;
+      const options = [];
+      for (let i = fromIndex; i < path.length; i++) {
+        if (walk[path[i].r][path[i].c] === 0) options.push(i);
+      }
+      if (options.length === 0) return null;
+      const i = options[randInt(options.length)];
+      walk[path[i].r][path[i].c] = 1;
+      fromIndex = i + 1;
+    }
+
+    const result = RaySim.trace(level, walk);
+    if (!result.exitInfo) return null; // looped: no usable exit
+    ray.exit = { side: result.exitInfo.side, index: result.exitInfo.index };
+    // e.g. a walk that comes back out of its entry cell
+    if (findLayoutProblems(level, grid).length > 0) return null;
+    return level;
+  }
+}
@@ -0,0 +1,317 @@
+// gestures.js - Configurable mat gestures
+// A gesture map binds mat gestures to game actions and sets the timing windows:
+// {
+//   "name": "Relaxed",
+//   "pairWindowMs": 6000,       // max gap between the taps of a row + column pair
+//   "sequenceWindowMs": 5000,   // max gap between the taps of a command sequence
+//   "longPressMs": 1500,        // how long a tile must be held for a "hold" gesture
+//   "bindings": [
+//     { "taps": [9], "action": "fire" },
+//     { "taps": [9, 9], "action": "reset" },
+//     { "hold": 9, "action": "undo" }
+//   ]
+// }
+// Actions are the GESTURE_ACTIONS keys. A tile that starts a tap sequence is a
+// command tile and is never read as a coordinate. When one sequence is the start
+// of another (9 and 9 9), the shorter one waits sequenceWindowMs for the next tap.
+// Long presses need an input source that reports releases (keyboard, mat
+// simulator, or a bridge sending {"matNumber": 9, "released": true}); with other
+// sources "hold" bindings are ignored and the tile acts as a normal tap.
+// A level file may carry its own map under "gestures" (see levels.js).
+
+const GESTURE_ACTIONS = {
+  fire: "fire",
+  reset: "reset obstacles",
+  undo: "undo last change",
+  redo: "redo",
+  toggleCover: "toggle cover",
+  pauseTimer: "pause/resume the round",
+  hint: "show a hint",
+};
+
+const GESTURE_PRESETS = {
+  // The original mat protocol: 9 fires, 9 twice resets (9 then 8 asks for a hint,
+  // 9 then 7 pauses or resumes the round)
+  standard: {
+    name: "Standard",
+    pairWindowMs: 3000,
+    sequenceWindowMs: 3000,
+    longPressMs: 1000,
+    bindings: [
+      { taps: [9], action: "fire" },
+      { taps: [9, 9], action: "reset" },
+      { taps: [9, 8], action: "hint" },
+      { taps: [9, 7], action: "pauseTimer" },
+      { hold: 9, action: "undo" },
+    ],
+  },
+  // Same gestures with much more time between steps
+  relaxed: {
+    name: "Relaxed timing",
+    pairWindowMs: 8000,
+    sequenceWindowMs: 5000,
+    longPressMs: 1500,
+    bindings: [
+      { taps: [9], action: "fire" },
+      { taps: [9, 9], action: "reset" },
+      { taps: [9, 8], action: "hint" },
+      { taps: [9, 7], action: "pauseTimer" },
+      { hold: 9, action: "undo" },
+    ],
+  },
+  // No double taps: 9 fires straight away, a long press undoes
+  simple: {
+    name: "Simple",
+    pairWindowMs: 8000,
+    sequenceWindowMs: 3000,
+    longPressMs: 2000,
+    bindings: [
+      { taps: [9], action: "fire" },
+      { hold: 9, action: "undo" },
+    ],
+  },
+};
+
+// Validates a gesture map (from a level file or a preset) and returns a clean copy.
+// Errors are LevelFormatError because maps are read as part of level files.
+function parseGestureMap(raw, field = "gestures") {
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError(`"${field}" must be an object with "bindings"`);
+  }
+  const name = raw.name === undefined ? "Custom" : raw.name;
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new LevelFormatError(`"${field}.name" must be a non-empty string`);
+  }
+
+  const defaults = GESTURE_PRESETS.standard;
+  const windowMs = (key) => {
+    const value = raw[key] === undefined ? defaults[key] : raw[key];
+    if (!Number.isInteger(value) || value < 200 || value > 30000) {
+      throw new LevelFormatError(`"${field}.${key}" must be a whole number of milliseconds from 200 to 30000 (got ${JSON.stringify(raw[key])})`);
+    }
+    return value;
+  };
+  const isTile = (value) => Number.isInteger(value) && value >= 1 && value <= 9;
+
+  if (!Array.isArray(raw.bindings) || raw.bindings.length === 0) {
+    throw new LevelFormatError(`"${field}.bindings" must be a non-empty array`);
+  }
+  const seen = new Set();
+  const bindings = raw.bindings.map((binding, i) => {
+    const where = `${field}.bindings[${i}]`;
+    if (!isPlainObject(binding)) {
+      throw new LevelFormatError(`"${where}" must be an object like { "taps": [9], "action": "fire" }`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(GESTURE_ACTIONS, binding.action)) {
+      throw new LevelFormatError(`"${where}.action" must be one of ${Object.keys(GESTURE_ACTIONS).join(", ")} (got ${JSON.stringify(binding.action)})`);
+    }
+    let clean;
+    if (binding.hold !== undefined) {
+      if (!isTile(binding.hold)) {
+        throw new LevelFormatError(`"${where}.hold" must be a tile number from 1 to 9`);
+      }
+      clean = { hold: binding.hold, action: binding.action };
+    } else {
+      if (!Array.isArray(binding.taps) || binding.taps.length === 0 || binding.taps.length > 4 || !binding.taps.every(isTile)) {
+        throw new LevelFormatError(`"${where}.taps" must list 1 to 4 tile numbers from 1 to 9`);
+      }
+      clean = { taps: [...binding.taps], action: binding.action };
+    }
+    const gesture = describeGesture(clean);
+    if (seen.has(gesture)) {
+      throw new LevelFormatError(`"${where}" binds gesture "${gesture}" a second time`);
+    }
+    seen.add(gesture);
+    return clean;
+  });
+
+  return {
+    name: name.trim(),
+    pairWindowMs: windowMs("pairWindowMs"),
+    sequenceWindowMs: windowMs("sequenceWindowMs"),
+    longPressMs: windowMs("longPressMs"),
+    bindings,
+  };
+}
+
+// Tiles that start a tap sequence, i.e. tiles that can't be used for coordinates
+function gestureCommandTiles(map) {
+  return [...new Set(map.bindings.filter(b => b.taps).map(b => b.taps[0]))].sort((a, b) => a - b);
+}
+
+// "9", "9 9", "hold 9"
+function describeGesture(binding) {
+  return binding.hold !== undefined ? `hold ${binding.hold}` : binding.taps.join(" ");
+}
+
+// "9: fire · 9 9: reset obstacles · hold 9: undo last change"
+function describeGestureMap(map) {
+  return map.bindings.map(b => `${describeGesture(b)}: ${GESTURE_ACTIONS[b.action]}`).join(" · ");
+}
+
+// How a pending sequence can continue: "step 9 again to reset obstacles"
+function describeNextSteps(pending) {
+  const last = Number(pending.gesture.split(" ").pop());
+  return pending.next
+    .map(n => `step ${n.tile}${n.tile === last ? " again" : ""} to ${GESTURE_ACTIONS[n.action]}`)
+    .join(", ");
+}
+
+// Short per-tile labels for the mat simulator: ["tap: fire", "tap twice: reset obstacles", ...]
+function describeTileGestures(map, tile) {
+  const counts = ["", "tap", "tap twice", "tap 3 times", "tap 4 times"];
+  const lines = [];
+  for (const b of map.bindings) {
+    if (b.hold === tile) {
+      lines.push(`hold: ${GESTURE_ACTIONS[b.action]}`);
+    } else if (b.taps && b.taps[0] === tile) {
+      const label = b.taps.every(t => t === tile) ? counts[b.taps.length] : `then ${b.taps.slice(1).join(" ")}`;
+      lines.push(`${label}: ${GESTURE_ACTIONS[b.action]}`);
+    }
+  }
+  return lines;
+}
+
+// Turns mat presses into gesture actions. Taps that aren't part of any gesture
+// are left to the caller (press() returns false); a held tile that turns out to
+// be a short tap is handed back through onTap.
+class GestureRecognizer {
+  constructor(map, { onAction = () => {}, onTap = () => {}, onChange = () => {} } = {}) {
+    this.onAction = onAction; // (action or null, gesture text)
+    this.onTap = onTap; // (signal, timestamp) for released taps nobody else wants
+    this.onChange = onChange;
+    this.sequence = null; // { taps, lastTimestamp, deadline, timer }
+    this.held = null; // { signal, timestamp, deadline, timer, binding }
+    this.setMap(map);
+  }
+
+  setMap(map) {
+    this.cancel();
+    this.map = map;
+  }
+
+  cancel() {
+    if (this.sequence) clearTimeout(this.sequence.timer);
+    if (this.held) clearTimeout(this.held.timer);
+    this.sequence = null;
+    this.held = null;
+  }
+
+  // releases: whether the source will also report when this tile is let go
+  press(signal, timestamp, { releases = false } = {}) {
+    const hold = releases ? this.map.bindings.find(b => b.hold === signal) : null;
+    if (hold && !this.held) {
+      this.held = {
+        signal,
+        timestamp,
+        binding: hold,
+        deadline: Date.now() + this.map.longPressMs,
+        timer: setTimeout(() => {
+          this.held = null;
+          this.onAction(hold.action, describeGesture(hold));
+          this.onChange();
+        }, this.map.longPressMs),
+      };
+      this.onChange();
+      return true;
+    }
+    return this.tap(signal, timestamp);
+  }
+
+  release(signal) {
+    if (!this.held || this.held.signal !== signal) return;
+    const { timestamp, timer } = this.held;
+    clearTimeout(timer);
+    this.held = null;
+    // Let go before the long press: it was an ordinary tap
+    if (!this.tap(signal, timestamp)) this.onTap(signal, timestamp);
+    this.onChange();
+  }
+
+  tap(signal, timestamp) {
+    const current = this.sequence;
+    if (current && timestamp - current.lastTimestamp > this.map.sequenceWindowMs) {
+      // Too late to continue the old sequence
+      this.resolve();
+      return this.tap(signal, timestamp);
+    }
+
+    const taps = current ? [...current.taps, signal] : [signal];
+    if (!this.isPrefix(taps)) {
+      // A new command sequence settles the pending one; coordinate taps don't
+      if (current && this.isPrefix([signal])) {
+        this.resolve();
+        return this.tap(signal, timestamp);
+      }
+      return false;
+    }
+
+    if (current) clearTimeout(current.timer);
+    const exact = this.findTaps(taps);
+    const longer = this.map.bindings.some(b => b.taps && b.taps.length > taps.length && this.startsWith(b.taps, taps));
+    if (exact && !longer) {
+      this.sequence = null;
+      this.onAction(exact.action, describeGesture(exact));
+      this.onChange();
+      return true;
+    }
+    this.sequence = {
+      taps,
+      lastTimestamp: timestamp,
+      deadline: Date.now() + this.map.sequenceWindowMs,
+      timer: setTimeout(() => this.resolve(), this.map.sequenceWindowMs),
+    };
+    this.onChange();
+    return true;
+  }
+
+  // Runs whatever the pending sequence matches (or reports that it matched nothing)
+  resolve() {
+    const current = this.sequence;
+    if (!current) return;
+    clearTimeout(current.timer);
+    this.sequence = null;
+    const binding = this.findTaps(current.taps);
+    this.onAction(binding ? binding.action : null, current.taps.join(" "));
+    this.onChange();
+  }
+
+  // What the mat is in the middle of, for the HUD:
+  // { gesture, action, remainingMs, holding, next: [{ tile, action }] } or null
+  getPending(now = Date.now()) {
+    if (this.held) {
+      return {
+        gesture: `hold ${this.held.signal}`,
+        action: this.held.binding.action,
+        remainingMs: Math.max(0, this.held.deadline - now),
+        holding: true,
+        next: [],
+      };
+    }
+    if (!this.sequence) return null;
+    const { taps } = this.sequence;
+    const exact = this.findTaps(taps);
+    const next = this.map.bindings
+      .filter(b => b.taps && b.taps.length === taps.length + 1 && this.startsWith(b.taps, taps))
+      .map(b => ({ tile: b.taps[taps.length], action: b.action }));
+    return {
+      gesture: taps.join(" "),
+      action: exact ? exact.action : null,
+      remainingMs: Math.max(0, this.sequence.deadline - now),
+      holding: false,
+      next,
+    };
+  }
+
+  findTaps(taps) {
+    return this.map.bindings.find(b => b.taps && b.taps.length === taps.length && this.startsWith(b.taps, taps)) || null;
+  }
+
+  isPrefix(taps) {
+    return this.map.bindings.some(b => b.taps && this.startsWith(b.taps, taps));
+  }
+
+  startsWith(list, prefix) {
+    return prefix.length <= list.length && prefix.every((t, i) => list[i] === t);
+  }
+}
@@ -1,24 +1,35 @@
-// grid-game.js - Ray Grid Puzzle (8x8)
+// grid-game.js - Ray Grid Puzzle (NxN, size comes from the level)
 // Rules implemented:
 // - Click to toggle player obstacles.
 // - Fixed obstacles cannot be changed.
 // - Ray enters from a developer-defined entry.
 // - When ray enters obstacle (player or fixed), rotate 90° CCW.
+// - Special level cells (turners, mirrors, portals, ...) behave as defined in ray.js CELL_TYPES.
 // - Otherwise continue straight.
-// - Level clears if ray exits at the designated exit.
+// - Level clears if every ray exits at its designated exit and all checkpoints are visited.
 // - Loop detection prevents infinite bouncing.
+// The rules live in the headless engine (engine.js); this class draws it, handles
+// the page and listens to its events.
 
 class RayGridGame {
   constructor() {
-    this.N = 8;
+    this.titleEl = document.getElementById("gameTitle");
     this.gridEl = document.getElementById("grid-container");
     this.statusEl = document.getElementById("status");
 
     this.btnFire = document.getElementById("btnFire");
     this.btnReset = document.getElementById("btnReset");
     this.btnClear = document.getElementById("btnClear");
+    this.btnUndo = document.getElementById("btnUndo");
+    this.btnRedo = document.getElementById("btnRedo");
+    this.btnHint = document.getElementById("btnHint");
     this.btnToggleCover = document.getElementById("btnToggleCover");
     this.btnClearFixed = document.getElementById("btnClearFixed");
+    this.editPalette = null;
+    this.rayOverlay = new RayOverlay(this);
+    this.hints = new HintEngine(this);
+    this.fog = new FogOfWar(this);
+    this.editStroke = null; // Edit Mode click-drag in progress (see startEditStroke())
     this.gridCover = document.getElementById("grid-cover");
     this.successModal = document.getElementById("successModal");
     this.successClose = document.getElementById("successClose");
@@ -26,85 +37,264 @@ class RayGridGame {
     this.failureClose = document.getElementById("failureClose");
     this.timerDisplay = document.getElementById("timerDisplay");
     this.timerText = document.getElementById("timerText");
-
-    this.firebaseIndicator = document.getElementById("firebaseIndicator");
-    this.firebaseText = document.getElementById("firebaseText");
+    this.btnPause = document.getElementById("btnPause");
+    this.practiceModeInput = document.getElementById("practiceMode");
+    this.soundOnInput = document.getElementById("soundOn");
+    this.soundVolumeInput = document.getElementById("soundVolume");
+
+    this.solverBadge = document.getElementById("solverBadge");
+    this.inputSourceSelect = document.getElementById("inputSource");
+    this.matBridgeUrlInput = document.getElementById("matBridgeUrl");
+    this.inputIndicator = document.getElementById("inputIndicator");
+    this.inputText = document.getElementById("inputText");
+    this.gestureMapSelect = document.getElementById("gestureMap");
+
+    // Level library / import-export controls (Edit Mode only)
+    this.levelTools = document.getElementById("levelTools");
+    this.levelSelect = document.getElementById("levelSelect");
+    this.levelNameInput = document.getElementById("levelNameInput");
+    this.btnLoadLevel = document.getElementById("btnLoadLevel");
+    this.btnDeleteLevel = document.getElementById("btnDeleteLevel");
+    this.btnSaveLevel = document.getElementById("btnSaveLevel");
+    this.btnExportLevel = document.getElementById("btnExportLevel");
+    this.btnImportLevel = document.getElementById("btnImportLevel");
+    this.levelFileInput = document.getElementById("levelFileInput");
+    this.generatorSeed = document.getElementById("generatorSeed");
+    this.generatorDifficulty = document.getElementById("generatorDifficulty");
+    this.btnGenerateLevel = document.getElementById("btnGenerateLevel");
+    this.levelSizeSelect = document.getElementById("levelSize");
+    this.levelTimeLimitInput = document.getElementById("levelTimeLimit");
+    this.coverHideSelect = document.getElementById("coverHide");
+    this.coverRevealSelect = document.getElementById("coverReveal");
+    this.coverPathSecondsInput = document.getElementById("coverPathSeconds");
+    this.btnNewLevel = document.getElementById("btnNewLevel");
+
+    // Saved levels live in localStorage (see levels.js for the file format)
+    this.library = new LevelLibrary(this.getStorage());
+    // Player profiles and their round history (see profiles.js)
+    this.profiles = new PlayerProfiles(this.getStorage());
+    this.progressDashboard = null;
+    // Best cleared rounds per level (see scoring.js)
+    this.leaderboard = new LevelLeaderboard(this.getStorage());
+    // Campaigns and each player's clears in them (see campaign.js)
+    this.campaigns = new CampaignLibrary(this.getStorage());
+    this.campaignProgress = new CampaignProgress(this.getStorage());
+    this.campaignRun = null; // { campaign, chapter, index, easier } while a campaign level is played
+    this.campaignPanel = null;
+    // Several mats at once, one player per mat group (see multiplayer.js)
+    this.multiplayer = null;
+    // Control view in a second window (see remote-control.js)
+    this.caregiverHost = null;
+    // Audio cues for mat presses and rays (see sound.js)
+    this.sound = new SoundCues();
 
     // ----------------------------
-    // Level definition (developer-defined)
+    // Level, state matrix, mat signals and fires of the round (default level, replaced by loadLevel())
+    // State values: 0 = empty, 1 = player obstacle, 2 = fixed obstacle, 3+ = special cells (CELL in ray.js)
     // ----------------------------
-    this.level = {
-      // Entry is from a side; index means row/col depending on side:
-      // - left/right validate index as row (0..7)
-      // - top/bottom validate index as col (0..7)
-      entry: { side: "left", index: 3 },   // enters into (row=3, col=0), direction east
-      exit:  { side: "bottom", index: 5 },  // must exit from right side at row=6
-
-      // Fixed obstacles (immutable)
-      fixedObstacles: [
-        [0, 1], [1, 5],
-        [2, 3], [3, 6],
-        [4, 6],
-        [5, 2],
-        [6, 4], [6, 6]
-      ],
-    };
-
-    // 0 = empty, 1 = player obstacle, 2 = fixed obstacle
-    this.state = Array.from({ length: this.N }, () => Array(this.N).fill(0));
-
-    // Mark fixed
-    for (const [r, c] of this.level.fixedObstacles) {
-      this.state[r][c] = 2;
-    }
+    this.engine = new RayGridEngine({ level: parseLevel(DEFAULT_LEVEL) });
+    this.engine.on("action", ({ action, gesture }) => this.runGestureAction(action, gesture));
+    this.engine.on("cell", ({ r, c, signals }) => this.selectCellBySignals(r, c, signals));
+    this.engine.on("input", () => {
+      if (this.matSimulator) this.matSimulator.update();
+      if (this.signalHud) this.signalHud.update();
+    });
+    this.engine.on("state", ({ state }) => this.roundStateChanged(state));
+    this.engine.on("tick", ({ secondsLeft }) => this.timerTicked(secondsLeft));
+    this.engine.on("time", ({ change, reason, secondsLeft }) => this.timeAdjusted(change, reason, secondsLeft));
+    this.pendingPortal = null; // first half of a portal pair being placed in Edit Mode
+
+    // Solvability check shown in Edit Mode (see solver.js)
+    this.solver = new LevelSolver();
+    this.solveRequestId = 0; // bumped on every edit so stale searches cancel themselves
+    this.solveDebounceTimer = null;
+    this.lastSolve = null;
+    this.generator = new LevelGenerator();
+    this.generating = false;
 
     // Ray animation control
     this.animating = false;
     this.animationDelayMs = 90;
+    this.queuedInput = []; // mat presses and releases that came in during an animation
+
+    // Mat input sources (see input-adapters.js); one is active at a time
+    this.inputAdapters = this.createInputAdapters();
+    this.inputAdapter = null;
+
+    // On-screen 3x3 mat (see mat-simulator.js) and pending-input HUD (see signal-hud.js)
+    this.matSimulator = null;
+    this.signalHud = null;
+
+    // Session log and replay viewer (see session-log.js)
+    this.recorder = new SessionRecorder();
+    this.sessionReplay = null;
+    this.replaying = false; // live input is ignored while a replay drives the grid
+
+
+    // Command gestures (9 = fire, 9 9 = reset, ...) come from a gesture map (see gestures.js):
+    // the level's own map, or a preset chosen in the input bar
+    this.gestureMapKey = "level";
+    // Undo/redo, kept apart so switching modes doesn't mix Edit Mode and Play Mode changes
+    this.history = { edit: new EditHistory(), play: new EditHistory() };
 
-    // Optional Firebase input
-    this.db = null;
-    this.firebaseInitialized = false;
-    this.firebaseListenerAttached = false;
-    this.sessionStartMs = Date.now();
-    
-    // Signal buffer for 1~8 input mode
-    this.signalBuffer = []; // Array of {signal: 1-8, timestamp: ms}
-    this.signalTimeoutMs = 3000; // 3 seconds window for two signals
-    
-    // Timer for single signal 9 (fireRay)
-    this.signal9Timer = null;
-    
     // Center cover state
     this.coverVisible = false;
     
-    // Timer state
+    // Round clock: the engine keeps the round state and time left (see engine.js),
+    // this interval ticks it once a second while a round is being played
     this.timerInterval = null;
-    this.timerSeconds = 300; // 5 minutes = 300 seconds
-    this.timerInitialSeconds = 300;
-    this.gameWon = false; // Track if game was won before timer expires
-    
-    // Score tracking
-    this.fireRayCount = 0; // Number of times fireRay was called
-    this.startTime = null; // Time when Play Mode started
+    this.practiceMode = false; // untimed Play Mode rounds, not ranked on the leaderboard
 
     this.init();
   }
 
+  // The round's state lives in the engine; the rest of the game (hints, fog,
+  // solver, replays, ...) reads and replaces it through these.
+  get level() {
+    return this.engine.level;
+  }
+
+  set level(level) {
+    this.engine.level = level;
+  }
+
+  get N() {
+    return this.engine.N;
+  }
+
+  get state() {
+    return this.engine.state;
+  }
+
+  set state(state) {
+    this.engine.state = state;
+  }
+
+  // Array of {signal: 1-8, timestamp: ms}: coordinate taps waiting for their pair
+  get signalBuffer() {
+    return this.engine.signalBuffer;
+  }
+
+  set signalBuffer(buffer) {
+    this.engine.signalBuffer = buffer;
+  }
+
+  // Window for the taps of a row + column pair, from the gesture map
+  get signalTimeoutMs() {
+    return this.engine.gestureMap.pairWindowMs;
+  }
+
+  get gestureMap() {
+    return this.engine.gestureMap;
+  }
+
+  get gestures() {
+    return this.engine.gestures;
+  }
+
+  // Number of times fireRay was called this round
+  get fireRayCount() {
+    return this.engine.fires;
+  }
+
+  set fireRayCount(count) {
+    this.engine.fires = count;
+  }
+
   init() {
+    this.signalHud = new SignalHud(this, document.getElementById("signalHud"));
+    this.editPalette = new EditPalette(this, {
+      palette: document.getElementById("editPalette"),
+      raySelect: document.getElementById("editRay"),
+      problemsEl: document.getElementById("layoutProblems"),
+    });
     this.buildGrid();
     this.bindUI();
+    this.updateHistoryButtons();
     this.renderAll();
-
-    // Firebase is optional; game should work even if config is missing.
-    this.initFirebaseOptional();
+    this.refreshLevelSelect();
+
+    // Mat input is optional; the game works with mouse clicks alone.
+    this.initInputSource();
+    this.initGestureMap();
+    this.matSimulator = new MatSimulator(this, {
+      panel: document.getElementById("matSimulator"),
+      pad: document.getElementById("matSimPad"),
+      bufferEl: document.getElementById("matSimBuffer"),
+      helpEl: document.getElementById("matSimHelp"),
+      toggleButton: document.getElementById("btnMatSimulator"),
+      playerSelect: document.getElementById("matSimPlayer"),
+    });
+    this.sessionReplay = new SessionReplay(this, {
+      panel: document.getElementById("sessionPanel"),
+      toggleButton: document.getElementById("btnSessionLog"),
+      readout: document.getElementById("replayReadout"),
+      btnExport: document.getElementById("btnExportSession"),
+      btnReplayCurrent: document.getElementById("btnReplaySession"),
+      btnLoad: document.getElementById("btnLoadSession"),
+      fileInput: document.getElementById("sessionFileInput"),
+      btnPlay: document.getElementById("btnReplayPlay"),
+      btnStep: document.getElementById("btnReplayStep"),
+      btnStop: document.getElementById("btnReplayStop"),
+      speedSelect: document.getElementById("replaySpeed"),
+    });
+    this.recorder.record("level", { level: this.getLevelSnapshot() });
+    this.progressDashboard = new ProgressDashboard(this, {
+      panel: document.getElementById("progressPanel"),
+      toggleButton: document.getElementById("btnProgress"),
+      profileSelect: document.getElementById("profileSelect"),
+      nameInput: document.getElementById("profileNameInput"),
+      btnNew: document.getElementById("btnNewProfile"),
+      btnDelete: document.getElementById("btnDeleteProfile"),
+      btnExport: document.getElementById("btnExportProgress"),
+      summaryEl: document.getElementById("progressSummary"),
+      weeksEl: document.getElementById("progressWeeks"),
+      levelsEl: document.getElementById("progressLevels"),
+    });
+    this.campaignPanel = new CampaignPanel(this, {
+      panel: document.getElementById("campaignPanel"),
+      toggleButton: document.getElementById("btnCampaign"),
+      campaignSelect: document.getElementById("campaignSelect"),
+      btnContinue: document.getElementById("btnCampaignContinue"),
+      btnStop: document.getElementById("btnCampaignStop"),
+      btnResetProgress: document.getElementById("btnCampaignResetProgress"),
+      summaryEl: document.getElementById("campaignSummary"),
+      chaptersEl: document.getElementById("campaignChapters"),
+      builderLevelSelect: document.getElementById("campaignLevelSelect"),
+      btnAddLevel: document.getElementById("btnCampaignAddLevel"),
+      draftEl: document.getElementById("campaignDraft"),
+      nameInput: document.getElementById("campaignNameInput"),
+      chapterSizeInput: document.getElementById("campaignChapterSize"),
+      btnBuild: document.getElementById("btnBuildCampaign"),
+      btnDelete: document.getElementById("btnDeleteCampaign"),
+    });
+    this.multiplayer = new Multiplayer(this, {
+      panel: document.getElementById("multiplayerPanel"),
+      toggleButton: document.getElementById("btnMultiplayer"),
+      modeSelect: document.getElementById("multiplayerMode"),
+      playersEl: document.getElementById("multiplayerPlayers"),
+      btnAddPlayer: document.getElementById("btnAddPlayer"),
+      boardsEl: document.getElementById("multiplayerBoards"),
+      resultsEl: document.getElementById("multiplayerResults"),
+    });
+    this.caregiverHost = new CaregiverHost(this, {
+      panel: document.getElementById("caregiverPanel"),
+      toggleButton: document.getElementById("btnCaregiver"),
+      linkSelect: document.getElementById("caregiverLink"),
+      roomEl: document.getElementById("caregiverRoom"),
+      btnOpen: document.getElementById("btnOpenCaregiver"),
+      statusEl: document.getElementById("caregiverStatus"),
+    });
+    this.updateMatGroups();
+    this.applyProfileSettings();
 
     this.setStatus(this.describeLevel());
+    this.scheduleSolve();
   }
 
   // ---------- Level helpers ----------
-  getEntryCell() {
-    const { side, index } = this.level.entry;
+  getEntryCell(rayIndex = 0) {
+    const { side, index } = this.level.rays[rayIndex].entry;
     if (side === "left") return { r: index, c: 0 };
     if (side === "right") return { r: index, c: this.N - 1 };
     if (side === "top") return { r: 0, c: index };
@@ -112,8 +302,8 @@ class RayGridGame {
     throw new Error("Invalid entry side");
   }
 
-  getExitCell() {
-    const { side, index } = this.level.exit;
+  getExitCell(rayIndex = 0) {
+    const { side, index } = this.level.rays[rayIndex].exit;
     if (side === "left") return { r: index, c: 0 };
     if (side === "right") return { r: index, c: this.N - 1 };
     if (side === "top") return { r: 0, c: index };
@@ -121,21 +311,92 @@ class RayGridGame {
     throw new Error("Invalid exit side");
   }
 
-  entryStartOutside() {
-    // Start position is outside the grid, one step before the entry-adjacent border cell.
-    const { side, index } = this.level.entry;
-    if (side === "left") return { r: index, c: -1, dir: "E" };
-    if (side === "right") return { r: index, c: this.N, dir: "W" };
-    if (side === "top") return { r: -1, c: index, dir: "S" };
-    if (side === "bottom") return { r: this.N, c: index, dir: "N" };
-    throw new Error("Invalid entry side");
+  getStorage() {
+    try {
+      return window.localStorage || null;
+    } catch (err) {
+      // Some browsers throw on localStorage access (e.g. blocked storage)
+      console.error("localStorage unavailable:", err);
+      return null;
+    }
+  }
+
+  // Replace the current level (already validated by parseLevel()).
+  loadLevel(level) {
+    const resized = level.size !== this.N;
+    this.engine.loadLevel(level);
+    // Any other level ends the campaign; playCampaignLevel() sets it again
+    this.campaignRun = null;
+    this.pendingPortal = null;
+    this.history.edit.clear();
+    this.history.play.clear();
+    this.hints.reset();
+    this.fog.reset();
+    if (this.multiplayer) this.multiplayer.resetRound();
+    this.updateHistoryButtons();
+    this.applyGestureMap();
+    this.recorder.record("level", { level: this.getLevelSnapshot() });
+    if (this.levelNameInput) this.levelNameInput.value = level.name;
+    if (this.levelSizeSelect) this.levelSizeSelect.value = String(level.size);
+    if (this.levelTimeLimitInput) this.levelTimeLimitInput.value = String(level.timeLimitSeconds);
+    if (resized) {
+      this.buildGrid();
+    } else {
+      this.clearRayVisuals();
+    }
+    this.renderAll();
+    this.scheduleSolve();
+  }
+
+  // Current level as drawn in Edit Mode: level cells are read back from the state matrix.
+  // Portal pairs come from this.level.portals (an unpaired portal is not saved).
+  getLevelSnapshot(name = this.level.name) {
+    const fixedObstacles = [];
+    const specialCells = [];
+    for (let r = 0; r < this.N; r++) {
+      for (let c = 0; c < this.N; c++) {
+        const v = this.state[r][c];
+        if (v === CELL.FIXED) fixedObstacles.push([r, c]);
+        else if (isLevelCell(v) && v !== CELL.PORTAL) specialCells.push({ r, c, type: CELL_TYPES[v].key });
+      }
+    }
+    return {
+      name,
+      size: this.N,
+      rays: this.level.rays.map(ray => ({ entry: { ...ray.entry }, exit: { ...ray.exit }, color: ray.color })),
+      checkpoints: (this.level.checkpoints || []).map(([r, c]) => [r, c]),
+      fixedObstacles,
+      specialCells,
+      portals: (this.level.portals || []).map(pair => pair.map(([r, c]) => [r, c])),
+      gestures: this.level.gestures || null,
+      timeLimitSeconds: this.level.timeLimitSeconds,
+      timeEvents: this.level.timeEvents || null,
+      scoring: this.level.scoring || null,
+      cover: this.level.cover || null,
+    };
+  }
+
+  // Mat tiles 1~8 address one row/col each. Larger grids use two taps per
+  // coordinate: first tap picks a page of 8, second the position inside it,
+  // so index = (page - 1) * 8 + (position - 1).
+  getTapsPerCoordinate() {
+    return tapsPerCoordinate(this.N);
   }
 
   describeLevel() {
-    const e = this.level.entry;
-    const x = this.level.exit;
-    // Display indices as 1-based (1~8)
-    return `Entry: ${e.side.toUpperCase()} @ ${e.index + 1} | Exit: ${x.side.toUpperCase()} @ ${x.index + 1}`;
+    const rays = this.level.rays;
+    const checkpoints = (this.level.checkpoints || []).length;
+    const checkpointText = checkpoints > 0 ? ` | Checkpoints: ${checkpoints}` : "";
+    // Display indices as 1-based (1~N)
+    if (rays.length === 1) {
+      const e = rays[0].entry;
+      const x = rays[0].exit;
+      return `Entry: ${e.side.toUpperCase()} @ ${e.index + 1} | Exit: ${x.side.toUpperCase()} @ ${x.index + 1}${checkpointText}`;
+    }
+    const list = rays.map((ray, i) =>
+      `${i + 1}: ${ray.entry.side.toUpperCase()} @ ${ray.entry.index + 1} → ${ray.exit.side.toUpperCase()} @ ${ray.exit.index + 1}`
+    );
+    return `Rays ${list.join(", ")}${checkpointText}`;
   }
 
   // ---------- UI ----------
@@ -143,14 +404,87 @@ class RayGridGame {
     this.btnFire.addEventListener("click", () => this.fireRay());
     this.btnReset.addEventListener("click", () => this.resetPlayerObstacles());
     this.btnClear.addEventListener("click", () => this.clearAllPlayerObstacles());
+    this.btnUndo.addEventListener("click", () => this.undo());
+    this.btnRedo.addEventListener("click", () => this.redo());
+    this.btnHint.addEventListener("click", () => this.showHint());
+    // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on macOS); text fields keep their own undo
+    window.addEventListener("keydown", (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target && e.target.closest && e.target.closest("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) this.redo();
+        else this.undo();
+      } else if (key === "y") {
+        e.preventDefault();
+        this.redo();
+      }
+    });
     this.btnToggleCover.addEventListener("click", () => this.toggleCover());
     this.btnClearFixed.addEventListener("click", () => this.clearFixedObstacles());
+
+    // Edit Mode click-drag painting: strokes start on a cell (see buildGrid) and
+    // follow the pointer across cells until it is released
+    window.addEventListener("pointermove", (e) => {
+      if (!this.editStroke) return;
+      const el = document.elementFromPoint(e.clientX, e.clientY);
+      const cell = el && el.closest ? el.closest(".grid-cell") : null;
+      if (cell && this.gridEl.contains(cell)) this.continueEditStroke(Number(cell.dataset.row), Number(cell.dataset.col));
+    });
+    window.addEventListener("pointerup", () => this.endEditStroke());
+    window.addEventListener("pointercancel", () => this.endEditStroke());
+
+    // Level library / file controls
+    this.btnLoadLevel.addEventListener("click", () => this.loadSelectedLevel());
+    this.btnDeleteLevel.addEventListener("click", () => this.deleteSelectedLevel());
+    this.btnSaveLevel.addEventListener("click", () => this.saveLevelToLibrary());
+    this.btnExportLevel.addEventListener("click", () => this.exportLevel());
+    this.btnImportLevel.addEventListener("click", () => this.levelFileInput.click());
+    this.levelFileInput.addEventListener("change", () => {
+      const file = this.levelFileInput.files[0];
+      // Reset so picking the same file again still fires "change"
+      this.levelFileInput.value = "";
+      if (file) this.importLevelFile(file);
+    });
+    this.btnGenerateLevel.addEventListener("click", () => this.generateLevel());
+    if (this.levelTimeLimitInput) {
+      this.levelTimeLimitInput.value = String(this.level.timeLimitSeconds);
+      this.levelTimeLimitInput.addEventListener("change", () => this.setLevelTimeLimit(this.levelTimeLimitInput.value));
+    }
+    if (this.coverHideSelect) {
+      this.coverHideSelect.addEventListener("change", () => this.setCoverSetting("hide", this.coverHideSelect.value));
+      this.coverRevealSelect.addEventListener("change", () => this.setCoverSetting("reveal", this.coverRevealSelect.value));
+      this.coverPathSecondsInput.addEventListener("change", () => this.setCoverSetting("pathSeconds", Number(this.coverPathSecondsInput.value)));
+    }
+    this.btnNewLevel.addEventListener("click", () => this.newEmptyLevel());
+    if (this.levelSizeSelect) {
+      for (let size = LEVEL_MIN_SIZE; size <= LEVEL_MAX_SIZE; size++) {
+        const opt = document.createElement("option");
+        opt.value = String(size);
+        opt.textContent = `${size}×${size}`;
+        this.levelSizeSelect.appendChild(opt);
+      }
+      this.levelSizeSelect.value = String(this.N);
+    }
+    // Default seed: today's date, so every session on the same day gets the same maze
+    if (this.generatorSeed && !this.generatorSeed.value) {
+      this.generatorSeed.value = new Date().toISOString().slice(0, 10);
+    }
     
     // Success modal close button
     if (this.successClose) {
       this.successClose.addEventListener("click", () => this.hideSuccessModal());
     }
     
+    // Campaign choices after a round (see campaign.js)
+    const btnCampaignNext = document.getElementById("btnCampaignNext");
+    if (btnCampaignNext) {
+      btnCampaignNext.addEventListener("click", () => this.nextCampaignLevel());
+      document.getElementById("btnCampaignRetry").addEventListener("click", () => this.retryCampaignLevel(false));
+      document.getElementById("btnCampaignEasier").addEventListener("click", () => this.retryCampaignLevel(true));
+    }
+
     // Close modal when clicking outside
     if (this.successModal) {
       this.successModal.addEventListener("click", (e) => {
@@ -159,6 +493,48 @@ class RayGridGame {
         }
       });
     }
+
+    // Failure modal: close it to look at the grid, or retry the level
+    if (this.failureModal) {
+      this.failureClose.addEventListener("click", () => this.hideFailureModal());
+      this.failureModal.addEventListener("click", (e) => {
+        if (e.target === this.failureModal) {
+          this.hideFailureModal();
+        }
+      });
+      document.getElementById("btnRetryRound").addEventListener("click", () => this.retryRound());
+    }
+
+    // Pause / resume / retry next to the timer, and untimed practice rounds
+    if (this.btnPause) {
+      this.btnPause.addEventListener("click", () => this.pauseButtonClicked());
+    }
+    if (this.practiceModeInput) {
+      this.practiceMode = this.loadSetting("practiceMode") === "on";
+      this.practiceModeInput.checked = this.practiceMode;
+      this.practiceModeInput.addEventListener("change", () => {
+        this.setPracticeMode(this.practiceModeInput.checked);
+        const when = this.coverVisible ? " from the next round" : "";
+        this.setStatus(`${this.describeLevel()} | ${this.practiceMode ? `Practice: untimed rounds${when}, not ranked` : `Timed rounds${when}`}`);
+      });
+    }
+
+    // Sound cues: mute and volume, with a sample tone when the volume changes
+    if (this.soundOnInput) {
+      const savedVolume = this.loadSetting("soundVolume");
+      this.setSoundSettings({
+        muted: this.loadSetting("soundMuted") === "on",
+        volume: savedVolume === null ? SOUND_DEFAULT_VOLUME : Number(savedVolume),
+      }, { save: false });
+      this.soundOnInput.addEventListener("change", () => this.setSoundSettings({ muted: !this.soundOnInput.checked }));
+      this.soundVolumeInput.addEventListener("change", () => {
+        this.setSoundSettings({ volume: Number(this.soundVolumeInput.value) / 100 });
+        this.cue("place");
+      });
+    }
+    // Audio can only start after the page has been clicked or a key pressed
+    window.addEventListener("pointerdown", () => this.sound.unlock());
+    window.addEventListener("keydown", () => this.sound.unlock());
   }
 
   setStatus(text) {
@@ -167,22 +543,34 @@ class RayGridGame {
 
   buildGrid() {
     this.gridEl.innerHTML = "";
+    // Cells shrink on large grids so the board keeps roughly the 8x8 footprint
+    this.cellSize = this.N <= 8 ? 52 : Math.max(28, Math.floor((8 * 52 + 7 * 4 - (this.N - 1) * 4) / this.N));
+    this.gridEl.style.setProperty("--grid-n", String(this.N));
+    this.gridEl.style.setProperty("--cell-size", `${this.cellSize}px`);
+    if (this.titleEl) this.titleEl.textContent = `Ray Grid Puzzle (${this.N}×${this.N})`;
+
     for (let r = 0; r < this.N; r++) {
       for (let c = 0; c < this.N; c++) {
         const cell = document.createElement("div");
         cell.className = "grid-cell";
         cell.dataset.row = String(r);
         cell.dataset.col = String(c);
-        // Display coordinates as 1-based (1,1 to 8,8)
+        // Display coordinates as 1-based (1,1 to N,N)
         cell.title = `(${r + 1},${c + 1})`;
 
         // optional: show coordinates (remove if you want a cleaner UI)
         cell.textContent = `${r + 1},${c + 1}`;
 
+        // Play Mode toggles on click; Edit Mode paints from pointerdown so it can drag
         cell.addEventListener("click", () => {
-          if (this.animating) return;
+          if (this.animating || this.replaying || !this.coverVisible) return;
           this.toggleCell(r, c);
         });
+        cell.addEventListener("pointerdown", (e) => {
+          if (this.animating || this.replaying || this.coverVisible || e.button !== 0) return;
+          e.preventDefault();
+          this.startEditStroke(r, c);
+        });
 
         this.gridEl.appendChild(cell);
       }
@@ -199,36 +587,84 @@ class RayGridGame {
       if (this.btnToggleCover) {
         this.btnToggleCover.textContent = "Play Mode";
       }
-      // Hide Clear Fixed Obstacles button in Play Mode
-      if (this.btnClearFixed) {
-        this.btnClearFixed.style.display = "none";
-      }
     } else {
       if (this.btnToggleCover) {
         this.btnToggleCover.textContent = "Edit Mode";
       }
-      // Show Clear Fixed Obstacles button in Edit Mode
-      if (this.btnClearFixed) {
-        this.btnClearFixed.style.display = "inline-block";
-      }
     }
+    this.updateEditControls();
     this.gridEl.appendChild(this.gridCover);
+    this.fog.render();
+    // Mat HUD overlays and the Edit Mode arrows live inside the grid too
+    if (this.signalHud) this.signalHud.attachToGrid();
+    if (this.editPalette) this.editPalette.attachToGrid();
+    this.rayOverlay.attachToGrid();
+    this.hints.attachToGrid();
+  }
+
+  // Pixel position of row/col `index` inside the grid container (matches the CSS padding and gap)
+  cellOffset(index) {
+    const padding = 12;
+    const gap = 4;
+    return padding + index * (this.cellSize + gap);
+  }
+
+  // Pixel size of `count` adjacent cells including the gaps between them
+  spanSize(count) {
+    const gap = 4;
+    return count * this.cellSize + (count - 1) * gap;
+  }
+
+  // Edit-only controls are hidden in Play Mode
+  updateEditControls() {
+    if (this.btnClearFixed) {
+      this.btnClearFixed.style.display = this.coverVisible ? "none" : "inline-block";
+    }
+    this.gridEl.classList.toggle("editing", !this.coverVisible);
+    if (this.levelTools) {
+      this.levelTools.style.display = this.coverVisible ? "none" : "flex";
+    }
   }
 
   renderAll() {
-    const entryCell = this.getEntryCell();
-    const exitCell = this.getExitCell();
+    // Entry/exit markers per ray; with several rays they take the ray colour
+    const multiRay = this.level.rays.length > 1;
+    const entryColors = new Map();
+    const exitColors = new Map();
+    this.level.rays.forEach((ray, i) => {
+      const entryCell = this.getEntryCell(i);
+      const exitCell = this.getExitCell(i);
+      entryColors.set(`${entryCell.r},${entryCell.c}`, ray.color);
+      exitColors.set(`${exitCell.r},${exitCell.c}`, ray.color);
+    });
+    const checkpoints = new Set((this.level.checkpoints || []).map(([r, c]) => `${r},${c}`));
+    // Edit Mode shows a custom cover mask as hatched cells
+    const cover = this.level.cover || COVER_DEFAULTS;
+    const masked = new Set(!this.coverVisible && cover.hide === "mask" ? cover.mask.map(([r, c]) => `${r},${c}`) : []);
+    this.gridEl.classList.toggle("multi-ray", multiRay);
+    const cellClasses = Object.values(CELL_TYPES).map(t => t.className).filter(Boolean);
+    // Grid changes make the last ray drawing stale
+    this.rayOverlay.clear();
+
+    // Portal pairs are numbered so you can see which two belong together
+    const portalNumbers = new Map();
+    (this.level.portals || []).forEach((pair, i) => {
+      for (const [r, c] of pair) portalNumbers.set(`${r},${c}`, i + 1);
+    });
 
     for (let r = 0; r < this.N; r++) {
       for (let c = 0; c < this.N; c++) {
         const el = this.getCellEl(r, c);
-        el.classList.remove("cell-obstacle", "cell-fixed", "cell-entry", "cell-exit");
+        el.classList.remove(...cellClasses, "cell-entry", "cell-exit", "cell-checkpoint", "cell-masked");
         el.classList.remove("cell-ray", "cell-ray-head");
 
         const v = this.state[r][c];
-        if (v === 1) el.classList.add("cell-obstacle");
-        if (v === 2) {
-          el.classList.add("cell-fixed");
+        const type = CELL_TYPES[v] || CELL_TYPES[CELL.EMPTY];
+        if (type.className) el.classList.add(type.className);
+        const portalNumber = v === CELL.PORTAL ? portalNumbers.get(`${r},${c}`) : null;
+        el.dataset.glyph = type.glyph + (portalNumber ? portalNumber : "");
+        el.title = `(${r + 1},${c + 1})${isLevelCell(v) ? ` ${type.label}` : ""}`;
+        if (isLevelCell(v)) {
           // Update cursor style based on cover state
           if (this.coverVisible) {
             el.style.cursor = "not-allowed"; // Cannot click when cover is on
@@ -239,10 +675,28 @@ class RayGridGame {
           el.style.cursor = "pointer"; // Normal cells are always clickable
         }
 
-        if (r === entryCell.r && c === entryCell.c) el.classList.add("cell-entry");
-        if (r === exitCell.r && c === exitCell.c) el.classList.add("cell-exit");
+        const key = `${r},${c}`;
+        el.style.removeProperty("--entry-color");
+        el.style.removeProperty("--exit-color");
+        el.style.removeProperty("--mat-color");
+        // Cooperative rounds colour each mat by the player who placed it
+        const matColor = v === CELL.PLAYER && this.multiplayer ? this.multiplayer.matColor(r, c) : null;
+        if (matColor) el.style.setProperty("--mat-color", matColor);
+        if (entryColors.has(key)) {
+          el.classList.add("cell-entry");
+          if (multiRay) el.style.setProperty("--entry-color", entryColors.get(key));
+        }
+        if (exitColors.has(key)) {
+          el.classList.add("cell-exit");
+          if (multiRay) el.style.setProperty("--exit-color", exitColors.get(key));
+        }
+        if (checkpoints.has(key)) el.classList.add("cell-checkpoint");
+        if (masked.has(key)) el.classList.add("cell-masked");
       }
     }
+    this.fog.render();
+    this.updateCoverControls();
+    if (this.editPalette) this.editPalette.render();
   }
 
   clearRayVisuals() {
@@ -250,8 +704,11 @@ class RayGridGame {
       for (let c = 0; c < this.N; c++) {
         const el = this.getCellEl(r, c);
         el.classList.remove("cell-ray", "cell-ray-head");
+        el.style.removeProperty("--ray-color");
       }
     }
+    this.rayOverlay.clear();
+    this.fog.cancelPathTimer();
   }
 
   getCellEl(r, c) {
@@ -259,56 +716,329 @@ class RayGridGame {
   }
 
   // ---------- Cell toggling ----------
+  // Returns true if the cell changed; when it didn't, the status says why (if there is a reason to give)
   toggleCell(r, c) {
-    // If cover is on and cell is fixed obstacle, cannot click
-    if (this.coverVisible && this.state[r][c] === 2) {
-      return; // fixed obstacle immutable when cover is on
+    // If cover is on and cell is a level cell (fixed obstacle or special), cannot click
+    if (this.coverVisible && isLevelCell(this.state[r][c])) {
+      return false; // level cells are immutable when cover is on
     }
 
-    // When cover is off: toggle between fixed obstacle and empty
+    // When cover is off: apply the palette tool, as a one-cell stroke
     if (!this.coverVisible) {
-      if (this.state[r][c] === 2) {
-        // Fixed obstacle -> empty
-        this.state[r][c] = 0;
-        this.renderAll();
-        this.setStatus(`${this.describeLevel()} | Removed fixed obstacle at (${r + 1},${c + 1})`);
-        return;
-      } else if (this.state[r][c] === 0) {
-        // Empty -> fixed obstacle
-        this.state[r][c] = 2;
-        this.renderAll();
-        this.setStatus(`${this.describeLevel()} | Added fixed obstacle at (${r + 1},${c + 1})`);
-        return;
-      } else if (this.state[r][c] === 1) {
-        // Player obstacle -> empty (next click will make it fixed obstacle)
-        this.state[r][c] = 0;
-        this.renderAll();
-        this.setStatus(`${this.describeLevel()} | Removed player obstacle at (${r + 1},${c + 1}), click again to add fixed obstacle`);
-        return;
-      }
+      const before = this.state[r][c];
+      this.startEditStroke(r, c);
+      this.endEditStroke();
+      return this.state[r][c] !== before;
+    }
+
+    if (this.roundInputBlocked()) return false;
+
+    // Competitive rounds are played on each player's own board (see multiplayer.js)
+    if (this.multiplayer && this.multiplayer.competitive) {
+      this.setStatus(`${this.describeLevel()} | Competitive round: each player places mats on their own board`);
+      return false;
     }
 
     // When cover is on (and not fixed obstacle): toggle player obstacle
     // Toggle player obstacle on/off
-    this.state[r][c] = (this.state[r][c] === 1) ? 0 : 1;
+    this.recordChange(`toggle (${r + 1},${c + 1})`, () => this.engine.toggle(r, c));
+    this.recorder.record("toggle", { r, c, value: this.state[r][c] });
+    this.cue(this.state[r][c] === CELL.PLAYER ? "place" : "remove");
+    const turn = this.multiplayer && this.multiplayer.cooperative ? this.multiplayer.sharedToggled(r, c, this.state[r][c]) : null;
+
+    this.renderAll();
+    // Display coordinates as 1-based (1,1 to N,N)
+    this.setStatus(`${this.describeLevel()} | Toggled cell (${r + 1},${c + 1})${turn ? ` · ${turn}` : ""}`);
+    return true;
+  }
+
+  // ---------- Edit Mode painting ----------
+  // A stroke is one click or click-drag in Edit Mode. The first cell decides whether
+  // the stroke paints or erases, and the whole stroke is one undo step.
+  startEditStroke(r, c) {
+    this.editStroke = { before: this.captureGrid(), mode: null, eraseType: null, visited: new Set(), changes: [], hint: null };
+    this.continueEditStroke(r, c);
+  }
+
+  continueEditStroke(r, c) {
+    const stroke = this.editStroke;
+    if (!stroke || stroke.visited.has(`${r},${c}`)) return;
+    stroke.visited.add(`${r},${c}`);
+    const change = this.applyEditTool(r, c, stroke);
+    if (change) {
+      stroke.changes.push(change);
+      this.renderAll();
+    }
+  }
+
+  endEditStroke() {
+    const stroke = this.editStroke;
+    if (!stroke) return;
+    this.editStroke = null;
+    const { changes } = stroke;
+    if (changes.length === 0) {
+      if (stroke.hint) this.setStatus(`${this.describeLevel()} | ${stroke.hint}`);
+      return;
+    }
+    const label = changes.length === 1
+      ? changes[0].label
+      : `${stroke.mode === "erase" ? "erase" : "paint"} ${changes.length} cells`;
+    const entry = this.commitChange(label, stroke.before);
+    if (entry) {
+      // Player mats cleared by the stroke are logged as toggles, like in Play Mode
+      for (const cell of entry.cells) {
+        if (cell.before === 1) this.recorder.record("toggle", { r: cell.r, c: cell.c, value: cell.after === 1 ? 1 : 0 });
+      }
+      if (this.changesLevel(entry)) {
+        this.recorder.record("edit", { level: this.getLevelSnapshot() });
+        this.scheduleSolve();
+      }
+    }
+    this.renderAll();
+    const status = changes.length === 1
+      ? changes[0].status
+      : `${stroke.mode === "erase" ? "Erased" : "Painted"} ${changes.length} cells`;
+    this.setStatus(`${this.describeLevel()} | ${status}`);
+  }
+
+  // Applies the palette tool to one cell of a stroke.
+  // Returns { label, status } (history label and status text) or null if nothing changed.
+  applyEditTool(r, c, stroke) {
+    const tool = this.editPalette ? this.editPalette.tool : "fixed";
+    const at = `(${r + 1},${c + 1})`;
+    const v = this.state[r][c];
+
+    if (tool === "entry" || tool === "exit") {
+      stroke.hint = `Click an arrow outside the grid to move the ${tool}`;
+      return null;
+    }
+
+    // Checkpoints sit on top of any cell, so they live in level.checkpoints, not in the state matrix
+    const checkpoints = this.level.checkpoints || [];
+    const hasCheckpoint = checkpoints.some(([cr, cc]) => cr === r && cc === c);
+    const removeCheckpoint = () => {
+      this.level = { ...this.level, checkpoints: checkpoints.filter(([cr, cc]) => cr !== r || cc !== c) };
+    };
+
+    if (tool === "checkpoint") {
+      if (stroke.mode === null) stroke.mode = hasCheckpoint ? "erase" : "paint";
+      if (hasCheckpoint !== (stroke.mode === "erase")) return null;
+      if (hasCheckpoint) {
+        removeCheckpoint();
+        return { label: `remove checkpoint at ${at}`, status: `Removed checkpoint at ${at}` };
+      }
+      this.level = { ...this.level, checkpoints: [...checkpoints, [r, c]] };
+      return { label: `add checkpoint at ${at}`, status: `Added checkpoint at ${at}` };
+    }
+
+    // Mask cells are kept in level.cover.mask; painting one switches the cover to the custom mask
+    if (tool === "mask") {
+      const cover = this.level.cover || COVER_DEFAULTS;
+      const masked = cover.mask.some(([mr, mc]) => mr === r && mc === c);
+      if (stroke.mode === null) stroke.mode = masked ? "erase" : "paint";
+      if (masked !== (stroke.mode === "erase")) return null;
+      const mask = masked ? cover.mask.filter(([mr, mc]) => mr !== r || mc !== c) : [...cover.mask, [r, c]];
+      this.level = { ...this.level, cover: { ...cover, hide: "mask", mask } };
+      return masked
+        ? { label: `unmask ${at}`, status: `${at} is no longer covered in Play Mode` }
+        : { label: `mask ${at}`, status: `${at} is covered in Play Mode` };
+    }
 
+    if (tool === "eraser") {
+      stroke.mode = "erase";
+      const removed = [];
+      if (isLevelCell(v)) {
+        removed.push(CELL_TYPES[v].label.toLowerCase());
+        this.removeLevelCell(r, c);
+      } else if (v === 1) {
+        removed.push("player obstacle");
+        this.state[r][c] = 0;
+      }
+      if (hasCheckpoint) {
+        removed.push("checkpoint");
+        removeCheckpoint();
+      }
+      if (removed.length === 0) return null;
+      return { label: `erase ${at}`, status: `Erased ${removed.join(" and ")} at ${at}` };
+    }
+
+    // Level cell tools: starting on a level cell erases cells of that type,
+    // starting anywhere else paints the tool's type over empty cells and player mats
+    const type = this.editPalette ? this.editPalette.cellType() : CELL.FIXED;
+    if (stroke.mode === null) {
+      stroke.mode = isLevelCell(v) ? "erase" : "paint";
+      stroke.eraseType = v;
+    }
+    if (stroke.mode === "erase") {
+      if (v !== stroke.eraseType) return null;
+      const label = CELL_TYPES[v].label.toLowerCase();
+      this.removeLevelCell(r, c);
+      return { label: `remove ${label} at ${at}`, status: `Removed ${label} at ${at}` };
+    }
+    if (isLevelCell(v)) return null;
+    this.state[r][c] = 0;
+    const note = this.placeLevelCell(r, c, type);
+    const label = CELL_TYPES[type].label.toLowerCase();
+    return { label: `add ${label} at ${at}`, status: `Added ${label} at ${at}${note}` };
+  }
+
+  // Moves one end ("entry" or "exit") of a ray to a side position (Edit Mode arrows)
+  placeRayEndpoint(rayIndex, kind, side, index) {
+    if (this.coverVisible || this.animating || this.replaying) return;
+    const rays = this.level.rays;
+    const name = rays.length === 1 ? "Ray" : describeRay(this.level, rayIndex);
+    const where = `${side.toUpperCase()} @ ${index + 1}`;
+    const other = rays.findIndex((ray, i) => i !== rayIndex && ray.entry.side === side && ray.entry.index === index);
+    if (kind === "entry" && other !== -1) {
+      this.setStatus(`${this.describeLevel()} | ${where} is already the entry of ${describeRay(this.level, other)}`);
+      return;
+    }
+    this.recordChange(`move ${name.toLowerCase()} ${kind} to ${where}`, () => {
+      this.level = {
+        ...this.level,
+        rays: rays.map((ray, i) => (i === rayIndex ? { ...ray, [kind]: { side, index } } : ray)),
+      };
+    });
+    this.recorder.record("edit", { level: this.getLevelSnapshot() });
+    this.clearRayVisuals();
     this.renderAll();
-    // Display coordinates as 1-based (1,1 to 8,8)
-    this.setStatus(`${this.describeLevel()} | Toggled cell (${r + 1},${c + 1})`);
+    this.scheduleSolve();
+    this.setStatus(`${this.describeLevel()} | Moved ${name} ${kind} to ${where}`);
+  }
+
+  // Put a level cell on an empty cell. Portals are placed in pairs:
+  // the first click leaves a pending portal, the second one completes the pair.
+  placeLevelCell(r, c, type) {
+    this.state[r][c] = type;
+    if (type !== CELL.PORTAL) return "";
+
+    const pending = this.pendingPortal;
+    if (pending && this.state[pending.r][pending.c] === CELL.PORTAL) {
+      this.level = { ...this.level, portals: [...(this.level.portals || []), [[pending.r, pending.c], [r, c]]] };
+      this.pendingPortal = null;
+      return ` (paired with (${pending.r + 1},${pending.c + 1}))`;
+    }
+    this.pendingPortal = { r, c };
+    return ", click another empty cell to place its pair";
+  }
+
+  removeLevelCell(r, c) {
+    if (this.state[r][c] === CELL.PORTAL) {
+      // Removing one end of a portal removes the whole pair
+      const portals = this.level.portals || [];
+      const pair = portals.find(p => p.some(([pr, pc]) => pr === r && pc === c));
+      if (pair) {
+        for (const [pr, pc] of pair) this.state[pr][pc] = 0;
+        this.level = { ...this.level, portals: portals.filter(p => p !== pair) };
+      }
+      if (this.pendingPortal && this.pendingPortal.r === r && this.pendingPortal.c === c) {
+        this.pendingPortal = null;
+      }
+    }
+    this.state[r][c] = 0;
   }
 
   resetPlayerObstacles() {
+    if (this.roundInputBlocked()) return;
     // Reset to empty where player obstacles exist (keep fixed as-is).
-    for (let r = 0; r < this.N; r++) {
-      for (let c = 0; c < this.N; c++) {
-        if (this.state[r][c] === 1) this.state[r][c] = 0;
+    this.recordChange("reset player obstacles", () => this.engine.resetMats());
+    this.recorder.record("reset");
+    this.renderAll();
+    this.setStatus(`${this.describeLevel()} | Player obstacles reset.`);
+  }
+
+  // ---------- Undo / redo ----------
+  // History of the mode on screen
+  currentHistory() {
+    return this.coverVisible ? this.history.play : this.history.edit;
+  }
+
+  // Runs `change` (which edits this.state and/or the level layout) and adds what it
+  // changed to the current mode's history. Returns whatever `change` returns.
+  recordChange(label, change) {
+    const before = this.captureGrid();
+    const result = change();
+    this.commitChange(label, before);
+    return result;
+  }
+
+  captureGrid() {
+    return captureGridSnapshot(this.state, this.level, this.pendingPortal);
+  }
+
+  // Adds the change since `before` (captureGrid()) to the history; returns the entry or null
+  commitChange(label, before) {
+    const entry = diffGridSnapshot(label, before, this.state, this.level, this.pendingPortal);
+    if (entry) {
+      this.currentHistory().push(entry);
+      // Play Mode entries assume the level they were made on
+      if (this.changesLevel(entry)) this.history.play.clear();
+      this.updateHistoryButtons();
+    }
+    return entry;
+  }
+
+  changesLevel(entry) {
+    return !!entry.layout || entry.cells.some(cell => isLevelCell(cell.before) || isLevelCell(cell.after));
+  }
+
+  undo() {
+    if (this.animating || this.replaying || this.roundInputBlocked()) return;
+    const entry = this.currentHistory().undo();
+    if (!entry) {
+      this.setStatus(`${this.describeLevel()} | Nothing to undo`);
+      return;
+    }
+    this.applyHistoryEntry(entry, "before");
+    this.setStatus(`${this.describeLevel()} | Undid: ${entry.label}`);
+  }
+
+  redo() {
+    if (this.animating || this.replaying || this.roundInputBlocked()) return;
+    const entry = this.currentHistory().redo();
+    if (!entry) {
+      this.setStatus(`${this.describeLevel()} | Nothing to redo`);
+      return;
+    }
+    this.applyHistoryEntry(entry, "after");
+    this.setStatus(`${this.describeLevel()} | Redid: ${entry.label}`);
+  }
+
+  // side: "before" to undo the entry, "after" to redo it
+  applyHistoryEntry(entry, side) {
+    this.clearRayVisuals();
+    for (const cell of entry.cells) {
+      this.state[cell.r][cell.c] = cell[side];
+      if (cell.before === 1 || cell.after === 1) {
+        this.recorder.record("toggle", { r: cell.r, c: cell.c, value: cell[side], [side === "before" ? "undo" : "redo"]: true });
       }
     }
+    if (entry.layout) {
+      const { rays, checkpoints, portals, cover, pendingPortal } = entry.layout[side];
+      this.level = { ...this.level, rays, checkpoints, portals, cover };
+      this.pendingPortal = pendingPortal;
+    }
+    if (this.changesLevel(entry)) {
+      this.history.play.clear();
+      this.recorder.record("edit", { level: this.getLevelSnapshot() });
+      this.scheduleSolve();
+    }
     this.renderAll();
-    this.setStatus(`${this.describeLevel()} | Player obstacles reset.`);
+    this.updateHistoryButtons();
+  }
+
+  updateHistoryButtons() {
+    if (!this.btnUndo || !this.btnRedo) return;
+    const history = this.currentHistory();
+    const mode = this.coverVisible ? "Play Mode" : "Edit Mode";
+    this.btnUndo.disabled = this.replaying || !history.canUndo;
+    this.btnRedo.disabled = this.replaying || !history.canRedo;
+    this.btnUndo.title = history.canUndo ? `Undo ${history.undoStack[history.undoStack.length - 1].label} (Ctrl+Z)` : `Nothing to undo in ${mode}`;
+    this.btnRedo.title = history.canRedo ? `Redo ${history.redoStack[history.redoStack.length - 1].label} (Ctrl+Y)` : `Nothing to redo in ${mode}`;
   }
 
   clearAllPlayerObstacles() {
+    if (this.roundInputBlocked()) return;
     // Same as reset but also clears ray visuals
     this.resetPlayerObstacles();
     this.clearRayVisuals();
@@ -322,145 +1052,548 @@ class RayGridGame {
       return;
     }
 
-    // Clear all fixed obstacles (state 2 -> 0)
+    // Clear all fixed obstacles and special cells (state >= 2 -> 0)
     let clearedCount = 0;
-    for (let r = 0; r < this.N; r++) {
-      for (let c = 0; c < this.N; c++) {
-        if (this.state[r][c] === 2) {
-          this.state[r][c] = 0;
-          clearedCount++;
+    this.recordChange("clear fixed obstacles", () => {
+      for (let r = 0; r < this.N; r++) {
+        for (let c = 0; c < this.N; c++) {
+          if (isLevelCell(this.state[r][c])) {
+            this.state[r][c] = 0;
+            clearedCount++;
+          }
         }
       }
-    }
+      this.level = { ...this.level, portals: [] };
+      this.pendingPortal = null;
+    });
+    this.recorder.record("edit", { level: this.getLevelSnapshot() });
     
     this.renderAll();
-    this.setStatus(`${this.describeLevel()} | Cleared ${clearedCount} fixed obstacle(s)`);
+    this.scheduleSolve();
+    this.setStatus(`${this.describeLevel()} | Cleared ${clearedCount} fixed obstacle(s) and special cell(s)`);
   }
 
   toggleCover() {
     this.coverVisible = !this.coverVisible;
+    this.updateHistoryButtons();
+    this.recorder.record("mode", { mode: this.coverVisible ? "play" : "edit" });
     if (this.coverVisible) {
       // Play Mode: Cover is ON
       this.gridCover.classList.add("active");
       this.btnToggleCover.textContent = "Play Mode";
-      // Hide Clear Fixed Obstacles button in Play Mode
-      if (this.btnClearFixed) {
-        this.btnClearFixed.style.display = "none";
-      }
-      // Start timer
-      this.startTimer();
-      this.setStatus(`${this.describeLevel()} | Play Mode (hiding cells 2,2 to 7,7)`);
+      // Hide edit-only controls in Play Mode
+      this.updateEditControls();
+      // Start the round and its timer
+      this.startRound();
+      // The badge would give the answer away in Play Mode
+      this.updateSolverBadge();
+      this.setStatus(`${this.describeLevel()} | Play Mode (${describeCover(this.level.cover || COVER_DEFAULTS)})`);
     } else {
-      // Edit Mode: Cover is OFF
+      // Edit Mode: Cover is OFF (editing a campaign level ends the campaign)
+      this.campaignRun = null;
+      if (this.campaignPanel) this.campaignPanel.render();
       this.gridCover.classList.remove("active");
       this.btnToggleCover.textContent = "Edit Mode";
-      // Show Clear Fixed Obstacles button in Edit Mode
-      if (this.btnClearFixed) {
-        this.btnClearFixed.style.display = "inline-block";
-      }
-      // Reset timer
-      this.resetTimer();
+      // Show edit-only controls in Edit Mode
+      this.updateEditControls();
+      // No round in Edit Mode
+      this.endRound();
       this.setStatus(`${this.describeLevel()} | Edit Mode`);
+      this.scheduleSolve();
     }
     // Update cell styles (especially cursor for fixed obstacles)
     this.renderAll();
   }
 
-  startTimer() {
-    // Reset game won flag
-    this.gameWon = false;
-    // Reset fireRay count
-    this.fireRayCount = 0;
-    // Record start time
-    this.startTime = Date.now();
-    // Reset timer to initial value
-    this.timerSeconds = this.timerInitialSeconds;
-    // Show timer display
-    if (this.timerDisplay) {
-      this.timerDisplay.style.display = "inline-flex";
-    }
-    // Update timer display
-    this.updateTimerDisplay();
-    
-    // Clear any existing timer
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-    }
-    
-    // Start countdown
-    this.timerInterval = setInterval(() => {
-      this.timerSeconds--;
-      this.updateTimerDisplay();
-      
-      if (this.timerSeconds <= 0) {
-        this.stopTimer();
-        // Check if game was won
-        if (!this.gameWon) {
-          this.showFailureModal();
-        }
+  // ---------- Solvability check ----------
+  // Debounced so click-painting several obstacles only runs one search.
+  scheduleSolve() {
+    const requestId = ++this.solveRequestId;
+    this.lastSolve = null;
+    if (this.solveDebounceTimer) clearTimeout(this.solveDebounceTimer);
+    this.updateSolverBadge();
+
+    this.solveDebounceTimer = setTimeout(async () => {
+      this.solveDebounceTimer = null;
+      const isCancelled = () => requestId !== this.solveRequestId;
+      try {
+        const solve = await this.solver.solve(this.level, this.state, { isCancelled });
+        if (isCancelled()) return;
+        this.lastSolve = solve;
+      } catch (err) {
+        console.error("Solver failed:", err);
+        if (isCancelled()) return;
+        this.lastSolve = { status: "ERROR" };
       }
-    }, 1000);
+      this.updateSolverBadge();
+    }, 150);
   }
 
-  resetTimer() {
-    this.stopTimer();
-    this.timerSeconds = this.timerInitialSeconds;
-    this.gameWon = false;
-    this.fireRayCount = 0;
-    this.startTime = null;
-    // Hide timer display
-    if (this.timerDisplay) {
-      this.timerDisplay.style.display = "none";
+  updateSolverBadge() {
+    if (!this.solverBadge) return;
+    this.solverBadge.classList.remove("ok", "bad");
+    if (this.coverVisible) {
+      this.solverBadge.textContent = "";
+      return;
+    }
+
+    const solve = this.lastSolve;
+    if (!solve) {
+      this.solverBadge.textContent = "Checking solvability…";
+    } else if (solve.status === "SOLVED") {
+      this.solverBadge.textContent = `Solvable in ${solve.minMats} mat${solve.minMats === 1 ? "" : "s"}`;
+      this.solverBadge.classList.add("ok");
+    } else if (solve.status === "UNSOLVABLE") {
+      this.solverBadge.textContent = "Unsolvable";
+      this.solverBadge.classList.add("bad");
+    } else if (solve.status === "LIMIT") {
+      this.solverBadge.textContent = `No solution within ${this.solver.maxMats} mats`;
+      this.solverBadge.classList.add("bad");
+    } else {
+      this.solverBadge.textContent = "Solvability unknown";
     }
   }
 
-  stopTimer() {
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-      this.timerInterval = null;
+  // ---------- Level library / import-export ----------
+  refreshLevelSelect(selectedName) {
+    if (!this.levelSelect) return;
+    this.levelSelect.innerHTML = "";
+
+    const builtIn = document.createElement("option");
+    builtIn.value = "";
+    builtIn.textContent = `(built-in) ${DEFAULT_LEVEL.name}`;
+    this.levelSelect.appendChild(builtIn);
+
+    for (const name of this.library.names()) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      this.levelSelect.appendChild(opt);
+    }
+    this.levelSelect.value = selectedName && this.library.names().includes(selectedName) ? selectedName : "";
+    if (this.levelNameInput && !this.levelNameInput.value) {
+      this.levelNameInput.value = this.level.name;
     }
+    // The caregiver view lists the same levels
+    if (this.caregiverHost) this.caregiverHost.schedulePublish();
   }
 
-  updateTimerDisplay() {
-    if (!this.timerText) return;
-    
-    const minutes = Math.floor(this.timerSeconds / 60);
-    const seconds = this.timerSeconds % 60;
-    const timeString = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-    this.timerText.textContent = timeString;
-    
-    // Add warning class when less than 30 seconds
-    if (this.timerDisplay) {
-      if (this.timerSeconds <= 30) {
-        this.timerDisplay.classList.add("warning");
-      } else {
-        this.timerDisplay.classList.remove("warning");
+  loadSelectedLevel() {
+    if (this.coverVisible) return;
+    const name = this.levelSelect.value;
+    try {
+      const level = name ? this.library.get(name) : parseLevel(DEFAULT_LEVEL);
+      if (!level) {
+        this.setStatus(`Level "${name}" is no longer in the library.`);
+        this.refreshLevelSelect();
+        return;
       }
+      this.loadLevel(level);
+      this.setStatus(`${this.describeLevel()} | Loaded level "${level.name}"`);
+    } catch (err) {
+      this.setStatus(`Could not load level "${name}": ${err.message}`);
     }
   }
 
-  showSuccessModal() {
-    if (this.successModal) {
-      // Calculate scores
-      const obstacleCount = this.countPlayerObstacles();
-      const testCount = this.fireRayCount;
-      const timeUsed = this.startTime ? Math.floor((Date.now() - this.startTime) / 1000) : 0;
-      
-      // Calculate total score: 1000000 / obstacleCount / testCount / timeUsed
-      let totalScore = 0;
-      if (obstacleCount > 0 && testCount > 0 && timeUsed > 0) {
-        totalScore = Math.floor(1000000 / obstacleCount / testCount / timeUsed);
-      }
-      
-      // Update score display
-      const totalScoreEl = document.getElementById("totalScore");
-      const obstacleCountEl = document.getElementById("obstacleCount");
-      const testCountEl = document.getElementById("testCount");
-      const timeUsedEl = document.getElementById("timeUsed");
-      
-      if (totalScoreEl) totalScoreEl.textContent = totalScore.toLocaleString();
-      if (obstacleCountEl) obstacleCountEl.textContent = obstacleCount;
-      if (testCountEl) testCountEl.textContent = testCount;
+  // Loads a saved level ("" = the built-in one) straight into a Play Mode round,
+  // for the caregiver view (see remote-control.js)
+  playLibraryLevel(name) {
+    if (this.animating || this.replaying) return false;
+    let level;
+    try {
+      level = name ? this.library.get(name) : parseLevel(DEFAULT_LEVEL);
+    } catch (err) {
+      this.setStatus(`Could not load level "${name}": ${err.message}`);
+      return false;
+    }
+    if (!level) {
+      this.setStatus(`Level "${name}" is no longer in the library.`);
+      return false;
+    }
+    this.hideSuccessModal();
+    this.hideFailureModal();
+    this.loadLevel(level);
+    if (this.coverVisible) {
+      this.startRound();
+    } else {
+      this.toggleCover();
+    }
+    this.setStatus(`${this.describeLevel()} | Loaded level "${level.name}"`);
+    return true;
+  }
+
+  deleteSelectedLevel() {
+    const name = this.levelSelect.value;
+    if (!name) {
+      this.setStatus("The built-in level cannot be deleted.");
+      return;
+    }
+    try {
+      this.library.remove(name);
+      this.refreshLevelSelect();
+      this.setStatus(`${this.describeLevel()} | Deleted level "${name}" from the library`);
+    } catch (err) {
+      this.setStatus(`Could not delete level "${name}": ${err.message}`);
+    }
+  }
+
+  saveLevelToLibrary() {
+    const name = (this.levelNameInput.value || "").trim();
+    if (!name) {
+      this.setStatus("Enter a level name before saving.");
+      return;
+    }
+    try {
+      const saved = this.library.save(name, this.getLevelSnapshot(name));
+      this.level = saved;
+      this.refreshLevelSelect(saved.name);
+      this.setStatus(`${this.describeLevel()} | Saved level "${saved.name}" to the library`);
+    } catch (err) {
+      this.setStatus(`Could not save level: ${err.message}`);
+    }
+  }
+
+  exportLevel() {
+    const name = (this.levelNameInput.value || "").trim() || this.level.name;
+    const text = serializeLevel(this.getLevelSnapshot(name));
+    const blob = new Blob([text], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${name.replace(/[^\w-]+/g, "_")}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    this.setStatus(`${this.describeLevel()} | Exported level "${name}"`);
+  }
+
+  importLevelFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const level = parseLevel(String(reader.result));
+        this.loadLevel(level);
+        this.setStatus(`${this.describeLevel()} | Imported level "${level.name}" (use "Save to Library" to keep it)`);
+      } catch (err) {
+        this.setStatus(`Import failed (${file.name}): ${err.message}`);
+      }
+    };
+    reader.onerror = () => {
+      this.setStatus(`Import failed (${file.name}): file could not be read`);
+    };
+    reader.readAsText(file);
+  }
+
+  // Edit Mode: Play Mode time limit of the current level, in seconds
+  setLevelTimeLimit(value) {
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < LEVEL_MIN_TIME_LIMIT || seconds > LEVEL_MAX_TIME_LIMIT) {
+      this.levelTimeLimitInput.value = String(this.level.timeLimitSeconds);
+      this.setStatus(`${this.describeLevel()} | Time limit must be a whole number of seconds from ${LEVEL_MIN_TIME_LIMIT} to ${LEVEL_MAX_TIME_LIMIT}`);
+      return;
+    }
+    this.level = { ...this.level, timeLimitSeconds: seconds };
+    this.recorder.record("edit", { level: this.getLevelSnapshot() });
+    this.setStatus(`${this.describeLevel()} | Time limit set to ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`);
+  }
+
+  // Edit Mode: one of the level's cover settings (see fog.js), as an undoable change
+  setCoverSetting(key, value) {
+    if (this.coverVisible) return;
+    const cover = this.level.cover || COVER_DEFAULTS;
+    if (cover[key] === value) return;
+    let next;
+    try {
+      next = parseCoverSettings({ ...cover, [key]: value }, this.N);
+    } catch (err) {
+      if (!(err instanceof LevelFormatError)) throw err;
+      this.updateCoverControls();
+      this.setStatus(`${this.describeLevel()} | ${err.message}`);
+      return;
+    }
+    this.recordChange(`set cover ${key} to ${value}`, () => {
+      this.level = { ...this.level, cover: next };
+    });
+    this.recorder.record("edit", { level: this.getLevelSnapshot() });
+    this.renderAll();
+    this.setStatus(`${this.describeLevel()} | Play Mode cover: ${describeCover(next)}`);
+  }
+
+  updateCoverControls() {
+    if (!this.coverHideSelect) return;
+    const cover = this.level.cover || COVER_DEFAULTS;
+    this.coverHideSelect.value = cover.hide;
+    this.coverRevealSelect.value = cover.reveal;
+    this.coverPathSecondsInput.value = String(cover.pathSeconds);
+  }
+
+  getSelectedSize() {
+    const size = this.levelSizeSelect ? Number(this.levelSizeSelect.value) : this.N;
+    return Number.isInteger(size) ? size : this.N;
+  }
+
+  newEmptyLevel() {
+    if (this.coverVisible) return;
+    this.loadLevel(createEmptyLevel(this.getSelectedSize()));
+    this.setStatus(`${this.describeLevel()} | New empty ${this.N}x${this.N} level`);
+  }
+
+  async generateLevel() {
+    if (this.coverVisible || this.generating) return;
+    const seed = (this.generatorSeed.value || "").trim();
+    const difficulty = this.generatorDifficulty.value;
+    const size = this.getSelectedSize();
+    if (!seed) {
+      this.setStatus("Enter a seed before generating a level.");
+      return;
+    }
+
+    this.generating = true;
+    this.btnGenerateLevel.disabled = true;
+    this.setStatus(`Generating ${difficulty} level from seed "${seed}"…`);
+    try {
+      const { level } = await this.generator.generate({ seed, size, difficulty });
+      this.loadLevel(level);
+      this.setStatus(`${this.describeLevel()} | Generated level "${level.name}"`);
+    } catch (err) {
+      console.error("Level generation failed:", err);
+      this.setStatus(`Generation failed: ${err.message}`);
+    } finally {
+      this.generating = false;
+      this.btnGenerateLevel.disabled = false;
+    }
+  }
+
+  // ---------- Round and timer ----------
+  // A new Play Mode round (see engine.js): fires, hints and the revealed cover start
+  // over and the timer starts from the level's limit. Practice rounds are untimed.
+  startRound() {
+    this.hints.reset();
+    this.fog.reset();
+    if (this.multiplayer) this.multiplayer.resetRound();
+    this.hideFailureModal();
+    this.engine.startRound({ timed: !this.practiceMode });
+    // Show timer display
+    if (this.timerDisplay) {
+      this.timerDisplay.style.display = "inline-flex";
+    }
+    this.updateTimerDisplay();
+    this.recorder.record("timer", { event: "started", seconds: this.engine.secondsLeft });
+  }
+
+  // Back to Edit Mode: no round, no timer
+  endRound() {
+    this.engine.endRound();
+    this.hints.reset();
+    this.fog.reset();
+    if (this.multiplayer) this.multiplayer.resetRound();
+    // Hide timer display
+    if (this.timerDisplay) {
+      this.timerDisplay.style.display = "none";
+    }
+  }
+
+  // Engine "state" event: the timer only runs while the round is being played
+  roundStateChanged(state) {
+    if (state === "playing") this.runTimer();
+    else this.stopTimer();
+    this.gridEl.classList.toggle("paused", state === "paused");
+    this.updateTimerDisplay();
+    // Board Fire buttons are off while the round is paused or lost
+    if (this.multiplayer) this.multiplayer.renderBoards();
+    // A miss that uses up the time is shown once its ray is drawn (see fireRay())
+    if (state === "lost" && !this.animating) this.roundLost();
+  }
+
+  // Ticks the engine once a second. The timer holds while a ray is drawn or a
+  // modal is open, so neither costs the player time.
+  runTimer() {
+    this.stopTimer();
+    this.timerInterval = setInterval(() => {
+      if (this.animating || this.isModalOpen()) return;
+      this.engine.tick();
+    }, 1000);
+  }
+
+  stopTimer() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+  }
+
+  isModalOpen() {
+    return [this.successModal, this.failureModal].some(modal => modal && modal.classList.contains("active"));
+  }
+
+  // The time ran out
+  roundLost() {
+    this.recorder.record("timer", { event: "expired", seconds: 0 });
+    if (this.multiplayer && this.multiplayer.active) this.multiplayer.recordRound("fail");
+    else this.recordRoundResult("fail");
+    this.setStatus(`TIME'S UP. ${this.describeLevel()} | Retry the level or go back to Edit Mode`);
+    this.cue("loss");
+    this.showFailureModal();
+  }
+
+  // Engine "time" event: a bonus or penalty from the level's "timeEvents" (levels.js)
+  timeAdjusted(change, reason, secondsLeft) {
+    this.recorder.record("timer", { event: change > 0 ? "bonus" : "penalty", seconds: secondsLeft, change, reason });
+    this.updateTimerDisplay();
+    if (this.signalHud) this.signalHud.announce(`${change > 0 ? "+" : "−"}${Math.abs(change)}s`);
+    if (timerWarningCrossed(secondsLeft - change, secondsLeft)) this.cue("warning");
+  }
+
+  // Pause or resume the round (Pause button, mat "pauseTimer" gesture)
+  togglePause() {
+    if (this.engine.pause()) {
+      this.recorder.record("timer", { event: "paused", seconds: this.engine.secondsLeft });
+      this.setStatus(`${this.describeLevel()} | Paused`);
+    } else if (this.engine.resume()) {
+      this.recorder.record("timer", { event: "resumed", seconds: this.engine.secondsLeft });
+      this.setStatus(`${this.describeLevel()} | Resumed`);
+    } else if (this.coverVisible) {
+      this.setStatus(`${this.describeLevel()} | The round is over`);
+    } else {
+      this.setStatus(`${this.describeLevel()} | Rounds are only played in Play Mode`);
+    }
+  }
+
+  // Timer button: Pause / Resume during the round, Retry once it is over
+  pauseButtonClicked() {
+    const state = this.engine.roundState;
+    if (state === "won" || state === "lost") this.retryRound();
+    else this.togglePause();
+  }
+
+  // The same level again from an empty grid, without leaving Play Mode
+  retryRound() {
+    if (!this.coverVisible || this.animating || this.replaying) return;
+    this.hideSuccessModal();
+    this.hideFailureModal();
+    // Campaign levels are loaded again (see playCampaignLevel())
+    if (this.campaignRun) {
+      this.retryCampaignLevel(this.campaignRun.easier);
+      return;
+    }
+    this.engine.resetMats();
+    this.recorder.record("reset");
+    this.history.play.clear();
+    this.updateHistoryButtons();
+    this.clearRayVisuals();
+    this.startRound();
+    this.renderAll();
+    this.setStatus(`${this.describeLevel()} | New round`);
+  }
+
+  // Play Mode input waits while the round is paused, and after the time ran out
+  // until the round is retried. Returns true (and says why) when input is held.
+  roundInputBlocked() {
+    if (!this.coverVisible) return false;
+    const state = this.engine.roundState;
+    if (state === "paused") {
+      this.setStatus(`${this.describeLevel()} | Paused: resume the round first`);
+      return true;
+    }
+    if (state === "lost") {
+      this.setStatus(`${this.describeLevel()} | Time is up: retry the level or go back to Edit Mode`);
+      return true;
+    }
+    return false;
+  }
+
+  // Plays a sound cue (sound.js); replays stay quiet
+  cue(name) {
+    if (!this.replaying) this.sound.play(name);
+  }
+
+  // { muted, volume (0~1) }, either or both; saved for this browser and the active player
+  setSoundSettings({ muted = this.sound.muted, volume = this.sound.volume } = {}, { save = true } = {}) {
+    this.sound.setMuted(muted);
+    this.sound.setVolume(volume);
+    if (this.soundOnInput) {
+      this.soundOnInput.checked = !this.sound.muted;
+      this.soundVolumeInput.value = String(Math.round(this.sound.volume * 100));
+      this.soundVolumeInput.disabled = this.sound.muted;
+    }
+    if (!save) return;
+    this.saveSetting("soundMuted", this.sound.muted ? "on" : "off");
+    this.saveSetting("soundVolume", String(this.sound.volume));
+    const profile = this.profiles.active();
+    if (profile) {
+      this.profiles.setSetting(profile.id, "soundMuted", this.sound.muted);
+      this.profiles.setSetting(profile.id, "soundVolume", this.sound.volume);
+    }
+  }
+
+  setPracticeMode(on) {
+    this.practiceMode = on;
+    this.saveSetting("practiceMode", on ? "on" : "off");
+    const profile = this.profiles.active();
+    if (profile) this.profiles.setSetting(profile.id, "practiceMode", on);
+    if (this.practiceModeInput) this.practiceModeInput.checked = on;
+  }
+
+  // Engine "tick" event
+  timerTicked(secondsLeft) {
+    this.updateTimerDisplay();
+    if (this.engine.timed && timerWarningCrossed(secondsLeft + 1, secondsLeft)) this.cue("warning");
+  }
+
+  updateTimerDisplay() {
+    const engine = this.engine;
+    const state = engine.roundState;
+    if (this.btnPause) {
+      this.btnPause.textContent = state === "paused" ? "Resume" : state === "won" ? "Play Again" : state === "lost" ? "Retry" : "Pause";
+    }
+    if (!this.timerText) return;
+
+    // Practice rounds count up
+    const shown = engine.timed ? engine.secondsLeft : engine.elapsedSeconds;
+    const minutes = Math.floor(shown / 60);
+    const seconds = shown % 60;
+    const timeString = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    this.timerText.textContent = engine.timed ? timeString : `Practice ${timeString}`;
+
+    // Add warning class when less than 30 seconds
+    if (this.timerDisplay) {
+      this.timerDisplay.classList.toggle("warning", engine.timed && engine.secondsLeft <= 30);
+      this.timerDisplay.classList.toggle("paused", state === "paused");
+      this.timerDisplay.classList.toggle("practice", !engine.timed);
+    }
+  }
+
+  // round: result of recordRoundResult(), or null for a clear that isn't ranked (Edit Mode)
+  showSuccessModal(round = null) {
+    if (this.successModal) {
+      // Calculate scores
+      const stats = round ? round.stats : this.getRoundStats();
+      const obstacleCount = stats.mats;
+      const testCount = stats.attempts;
+      const timeUsed = stats.seconds;
+      const totalScore = stats.score;
+      
+      // Update score display
+      const totalScoreEl = document.getElementById("totalScore");
+      const obstacleCountEl = document.getElementById("obstacleCount");
+      const testCountEl = document.getElementById("testCount");
+      const timeUsedEl = document.getElementById("timeUsed");
+      
+      const starsEl = document.getElementById("scoreStars");
+      const parEl = document.getElementById("parMats");
+      if (starsEl) {
+        starsEl.innerHTML = [1, 2, 3].map(n => `<span class="${n <= stats.stars ? "" : "star-off"}">★</span>`).join("");
+      }
+      if (parEl) parEl.textContent = stats.par === null ? "–" : String(stats.par);
+      const hintCountEl = document.getElementById("hintCount");
+      if (hintCountEl) hintCountEl.textContent = String(stats.hints);
+      this.renderLeaderboard(round);
+      if (this.multiplayer) this.multiplayer.renderResults();
+
+      if (totalScoreEl) totalScoreEl.textContent = totalScore.toLocaleString();
+      if (obstacleCountEl) obstacleCountEl.textContent = obstacleCount;
+      if (testCountEl) testCountEl.textContent = testCount;
       if (timeUsedEl) {
         const minutes = Math.floor(timeUsed / 60);
         const seconds = timeUsed % 60;
@@ -471,16 +1604,46 @@ class RayGridGame {
     }
   }
 
-  countPlayerObstacles() {
-    let count = 0;
-    for (let r = 0; r < this.N; r++) {
-      for (let c = 0; c < this.N; c++) {
-        if (this.state[r][c] === 1) {
-          count++;
-        }
-      }
+  // Level leaderboard in the success modal; the new round's row is highlighted
+  renderLeaderboard(round) {
+    const body = document.getElementById("leaderboardBody");
+    const note = document.getElementById("leaderboardNote");
+    if (!body) return;
+    const entries = this.leaderboard.entries(levelFingerprint(this.getLevelSnapshot()));
+    body.innerHTML = "";
+    entries.forEach((entry, i) => {
+      const row = body.insertRow();
+      if (round && round.rank === i + 1) row.className = "current";
+      const minutes = Math.floor(entry.seconds / 60);
+      const cells = [
+        i + 1,
+        entry.name || "訪客",
+        entry.score.toLocaleString(),
+        "★".repeat(entry.stars),
+        entry.mats,
+        entry.fires,
+        `${minutes}:${String(entry.seconds % 60).padStart(2, "0")}`,
+      ];
+      for (const value of cells) row.insertCell().textContent = String(value);
+    });
+    if (note) {
+      if (!round) note.textContent = "編輯模式的過關不列入排行榜";
+      else if (round.practice) note.textContent = "練習模式的過關不列入排行榜";
+      else if (round.rank) note.textContent = `本次成績排名第 ${round.rank} 名！`;
+      else note.textContent = `本次成績未進入前 ${LEADERBOARD_SIZE} 名`;
     }
-    return count;
+  }
+
+  // Mats, fires, seconds, par and score of the current Play Mode round (see scoring.js).
+  // Seconds are the time played, pauses left out. Par is the solver's minimum number of mats, or null while it is unknown.
+  // Competitive players pass their own mats and fires (see multiplayer.js).
+  getRoundStats({ mats = this.countPlayerObstacles(), attempts = this.fireRayCount, hints = this.hints.count } = {}) {
+    const par = this.lastSolve && this.lastSolve.status === "SOLVED" ? this.lastSolve.minMats : null;
+    return this.engine.roundStats({ mats, attempts, par, hints });
+  }
+
+  countPlayerObstacles() {
+    return this.engine.countMats();
   }
 
   hideSuccessModal() {
@@ -491,6 +1654,11 @@ class RayGridGame {
 
   showFailureModal() {
     if (this.failureModal) {
+      // Retry starts the level again; in a campaign the player can also switch to the easier variant
+      const campaignActions = document.getElementById("failureCampaign");
+      if (campaignActions) campaignActions.hidden = !this.campaignRun;
+      const retry = document.getElementById("failureRetry");
+      if (retry) retry.hidden = !!this.campaignRun;
       this.failureModal.classList.add("active");
     }
   }
@@ -502,175 +1670,140 @@ class RayGridGame {
   }
 
   // ---------- Ray logic ----------
-  dirToDelta(dir) {
-    switch (dir) {
-      case "N": return { dr: -1, dc: 0 };
-      case "S": return { dr: 1, dc: 0 };
-      case "E": return { dr: 0, dc: 1 };
-      case "W": return { dr: 0, dc: -1 };
-      default: throw new Error("Bad dir");
-    }
-  }
-
-  rotateCCW(dir) {
-    // N -> W -> S -> E -> N
-    switch (dir) {
-      case "N": return "W";
-      case "W": return "S";
-      case "S": return "E";
-      case "E": return "N";
-      default: throw new Error("Bad dir");
-    }
-  }
-
-  isInside(r, c) {
-    return r >= 0 && r < this.N && c >= 0 && c < this.N;
-  }
-
-  computeExitSideAndIndex(lastInsideR, lastInsideC, nextR, nextC) {
-    // Determine which boundary was crossed, and which index along that boundary.
-    if (nextR < 0) return { side: "top", index: lastInsideC };
-    if (nextR >= this.N) return { side: "bottom", index: lastInsideC };
-    if (nextC < 0) return { side: "left", index: lastInsideR };
-    if (nextC >= this.N) return { side: "right", index: lastInsideR };
-    throw new Error("Expected outside");
-  }
-
-  traceRay() {
-    const start = this.entryStartOutside();
-    let r = start.r;
-    let c = start.c;
-    let dir = start.dir;
-
-    const visited = new Set(); // (r,c,dir) while inside, for loop detection
-    const path = []; // list of {r,c,dirBeforeCell, cellType}
-
-    let steps = 0;
-    const maxSteps = 512; // safety cap
-
-    while (steps++ < maxSteps) {
-      const { dr, dc } = this.dirToDelta(dir);
-      const nr = r + dr;
-      const nc = c + dc;
-
-      // reminder: r,c might be outside at the start; nr,nc might enter the grid
-      if (!this.isInside(nr, nc)) {
-        // Exiting the grid (or never entered)
-        if (this.isInside(r, c)) {
-          const exitInfo = this.computeExitSideAndIndex(r, c, nr, nc);
-          const win = (exitInfo.side === this.level.exit.side && exitInfo.index === this.level.exit.index);
-          return {
-            outcome: win ? "WIN" : "LOSE",
-            exitInfo,
-            path,
-            reason: win ? "Ray exited through the designated exit." : `Ray exited at ${exitInfo.side.toUpperCase()} @ ${exitInfo.index}, not the target exit.`
-          };
-        } else {
-          // Should not happen for valid entry configs, but keep safe
-          return {
-            outcome: "LOSE",
-            exitInfo: null,
-            path,
-            reason: "Ray never entered the grid (invalid entry config)."
-          };
-        }
-      }
-
-      // Entering cell (nr,nc)
-      r = nr; c = nc;
-
-      // Loop detection: only meaningful while inside
-      const key = `${r},${c},${dir}`;
-      if (visited.has(key)) {
-        return {
-          outcome: "LOSE",
-          exitInfo: null,
-          path,
-          reason: "Loop detected (ray revisited the same cell with the same direction)."
-        };
-      }
-      visited.add(key);
-
-      const cellVal = this.state[r][c];
-      const isObstacle = (cellVal === 1 || cellVal === 2);
-
-      path.push({
-        r, c,
-        dirBeforeCell: dir,
-        cellType: (cellVal === 2 ? "FIXED" : (cellVal === 1 ? "PLAYER" : "EMPTY"))
-      });
-
-      // Rotation mechanic
-      if (isObstacle) {
-        dir = this.rotateCCW(dir);
-      }
-      // else continue straight (dir unchanged)
-    }
-
-    return {
-      outcome: "LOSE",
-      exitInfo: null,
-      path,
-      reason: "Step limit reached (likely looping)."
-    };
+  // The simulation itself lives in ray.js (RaySim) so the solver can reuse it.
+  traceAllRays(grid = this.state) {
+    return this.engine.trace(grid);
   }
 
   async fireRay() {
     if (this.animating) return;
-
-    // Increment test count
-    this.fireRayCount++;
+    if (this.multiplayer && this.multiplayer.competitive && this.coverVisible) {
+      this.setStatus(`${this.describeLevel()} | Competitive round: each player fires on their own board`);
+      return;
+    }
+    if (this.roundInputBlocked()) return;
 
     this.clearRayVisuals();
     this.renderAll();
 
-    const result = this.traceRay();
-    await this.animateRayPath(result.path);
+    // Counts the attempt and traces the rays; a clear wins the round being played.
+    // Held as animating from here, so a round lost by this miss waits for its ray.
+    const playing = this.coverVisible && this.engine.roundState === "playing";
+    this.animating = true;
+    const result = this.engine.fire();
+    this.recorder.record("fire", {
+      outcome: result.outcome,
+      reason: result.reason,
+      rays: result.rays.map(ray => ({ outcome: ray.outcome, exitInfo: ray.exitInfo })),
+    });
+    this.cue("fire");
+    await this.animateRayPaths(result.rays.map((ray, i) => ({ path: ray.path, color: this.level.rays[i].color, exitInfo: ray.exitInfo })));
+    this.fog.afterFire(result);
 
     if (result.outcome === "WIN") {
       this.setStatus(`CLEARED. ${this.describeLevel()} | ${result.reason}`);
-      this.gameWon = true;
-      this.stopTimer();
-      this.showSuccessModal();
+      this.cue("win");
+      // Only a Play Mode round that is still on the clock counts for history and leaderboard
+      let round = null;
+      if (playing) {
+        round = this.multiplayer && this.multiplayer.active ? this.multiplayer.recordRound("pass") : this.recordRoundResult("pass");
+      }
+      const campaignClear = round && this.campaignRun ? this.recordCampaignClear(round.stats) : null;
+      this.showSuccessModal(round);
+      this.showCampaignSuccess(campaignClear);
     } else {
-      const extra = result.exitInfo
-        ? ` Exit reached: ${result.exitInfo.side.toUpperCase()} @ ${result.exitInfo.index + 1}.`
-        : "";
-      this.setStatus(`FAILED. ${this.describeLevel()} | ${result.reason}${extra}`);
+      this.setStatus(`FAILED. ${this.describeLevel()} | ${this.describeFailure(result)}`);
+      if (playing && this.engine.roundState === "lost") this.roundLost();
+      else this.cue("miss");
+    }
+  }
+
+  // Which rays missed (and where they went) and which checkpoints were skipped
+  describeFailure(result) {
+    const single = this.level.rays.length === 1;
+    const parts = [];
+    result.rays.forEach((ray, i) => {
+      if (ray.outcome === "WIN") return;
+      const target = this.level.rays[i].exit;
+      const where = ray.exitInfo
+        ? `exited ${ray.exitInfo.side.toUpperCase()} @ ${ray.exitInfo.index + 1}`
+        : ray.reason.replace(/\.$/, "").replace(/^Ray /, "").toLowerCase();
+      const name = single ? "Ray" : describeRay(this.level, i);
+      parts.push(`${name} missed: ${where} (target ${target.side.toUpperCase()} @ ${target.index + 1}).`);
+    });
+    if (result.missedCheckpoints.length > 0) {
+      const cells = result.missedCheckpoints.map(([r, c]) => `(${r + 1},${c + 1})`).join(", ");
+      parts.push(`Checkpoint${result.missedCheckpoints.length === 1 ? "" : "s"} not visited: ${cells}.`);
+    }
+    return parts.join(" ");
+  }
+
+  // ---------- Hints ----------
+  // Next progressive hint (hints.js); each one lowers the round's score
+  showHint() {
+    if (this.animating || this.replaying) return;
+    if (!this.coverVisible) {
+      this.setStatus(`${this.describeLevel()} | Hints are given in Play Mode`);
+      return;
+    }
+    if (this.roundInputBlocked()) return;
+    if (this.engine.roundState === "won") {
+      this.setStatus(`${this.describeLevel()} | Level already cleared`);
+      return;
+    }
+    if (this.multiplayer && this.multiplayer.competitive) {
+      this.setStatus(`${this.describeLevel()} | No hints in competitive rounds`);
+      return;
     }
+    const hint = this.hints.request();
+    this.recorder.record("hint", { hint: hint.type });
+    if (hint.type) this.engine.applyTimeEvent("hint");
+    this.setStatus(hint.type
+      ? `${this.describeLevel()} | Hint ${this.hints.count}: ${hint.message}`
+      : `${this.describeLevel()} | ${hint.message}`);
   }
 
-  animateRayPath(path) {
+  // Animate several rays at once, one cell per ray per tick, each in its own colour.
+  // rays: [{ path, color, exitInfo }]; the overlay (ray-overlay.js) draws the path as it goes.
+  animateRayPaths(rays) {
     this.animating = true;
+    const longest = Math.max(0, ...rays.map(ray => ray.path.length));
 
     return new Promise((resolve) => {
       let i = 0;
 
       const step = () => {
-        if (i > 0) {
-          const prev = path[i - 1];
-          const prevEl = this.getCellEl(prev.r, prev.c);
-          prevEl.classList.remove("cell-ray-head");
-          prevEl.classList.add("cell-ray");
+        let turned = false;
+        for (const { path, color } of rays) {
+          if (i > 0 && i - 1 < path.length) {
+            const prev = path[i - 1];
+            const prevEl = this.getCellEl(prev.r, prev.c);
+            prevEl.classList.remove("cell-ray-head");
+            prevEl.classList.add("cell-ray");
+          }
+          if (i < path.length) {
+            const cur = path[i];
+            const el = this.getCellEl(cur.r, cur.c);
+            if (color) el.style.setProperty("--ray-color", color);
+            el.classList.add("cell-ray-head");
+            // A turn heard under the cover would give the hidden mat away
+            if (cur.dirAfterCell && cur.dirAfterCell !== cur.dirBeforeCell && !this.fog.isHidden(cur.r, cur.c)) turned = true;
+          }
         }
+        this.rayOverlay.render(rays, i);
+        if (turned) this.cue("turn");
 
-        if (i >= path.length) {
-          this.animating = false;
-          resolve();
+        if (i >= longest) {
+          this.animationDone(resolve);
           return;
         }
 
-        const cur = path[i];
-        const el = this.getCellEl(cur.r, cur.c);
-        el.classList.add("cell-ray-head");
-
         i++;
         setTimeout(step, this.animationDelayMs);
       };
 
-      if (path.length === 0) {
-        this.animating = false;
-        resolve();
+      if (longest === 0) {
+        this.animationDone(resolve);
         return;
       }
 
@@ -678,159 +1811,600 @@ class RayGridGame {
     });
   }
 
-  // ---------- Optional Firebase input ----------
-  updateFirebaseStatus(connected, message) {
-    if (connected) {
-      this.firebaseIndicator.textContent = "🟢";
-      this.firebaseText.textContent = message || "Firebase: Connected";
-    } else {
-      this.firebaseIndicator.textContent = "🔴";
-      this.firebaseText.textContent = message || "Firebase: Disconnected";
+  // Mat input queued during the animation is played once the caller has handled its result
+  animationDone(resolve) {
+    this.animating = false;
+    resolve();
+    setTimeout(() => this.flushQueuedInput(), 0);
+  }
+
+  // ---------- Mat input sources ----------
+  createInputAdapters() {
+    const adapters = [
+      new FirebaseMatAdapter(),
+      new WebSocketMatAdapter({ url: this.loadSetting("matBridgeUrl") || "ws://localhost:8765" }),
+      new KeyboardMatAdapter(),
+      // Demo script: toggle (2,7), then fire with a single 9
+      new ScriptedMatAdapter({
+        label: "Scripted demo",
+        events: [
+          { signal: 2, delayMs: 1000 },
+          { signal: 7, delayMs: 800 },
+          { signal: 9, delayMs: 1500 },
+        ],
+      }),
+    ];
+    const byKey = {};
+    for (const adapter of adapters) {
+      adapter.onSignal((signal, timestamp, groupId) => this.handleMatSignal(adapter, signal, timestamp, groupId));
+      adapter.onRelease((signal, timestamp, groupId) => {
+        if (adapter === this.inputAdapter) this.injectRelease(signal, timestamp, groupId);
+      });
+      adapter.onStatus(() => {
+        if (adapter === this.inputAdapter) this.updateInputStatus();
+      });
+      byKey[adapter.key] = adapter;
     }
+    return byKey;
   }
 
-  async initFirebaseOptional() {
+  loadSetting(name) {
+    const storage = this.getStorage();
     try {
-      if (typeof firebase === "undefined") {
-        this.updateFirebaseStatus(false, "Firebase: SDK not loaded (game still works)");
-        return;
-      }
-      if (typeof firebaseConfig === "undefined") {
-        this.updateFirebaseStatus(false, "Firebase: firebaseConfig missing (game still works)");
-        return;
+      return storage ? storage.getItem(`rayGrid.${name}`) : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  saveSetting(name, value) {
+    const storage = this.getStorage();
+    try {
+      if (storage) storage.setItem(`rayGrid.${name}`, value);
+    } catch (err) {
+      console.error(`Could not save setting ${name}:`, err);
+    }
+  }
+
+  initInputSource() {
+    if (this.inputSourceSelect) {
+      for (const adapter of Object.values(this.inputAdapters)) {
+        const opt = document.createElement("option");
+        opt.value = adapter.key;
+        opt.textContent = adapter.label;
+        this.inputSourceSelect.appendChild(opt);
       }
+      this.inputSourceSelect.addEventListener("change", () => {
+        this.setInputSource(this.inputSourceSelect.value);
+      });
+    }
+    if (this.matBridgeUrlInput) {
+      this.matBridgeUrlInput.value = this.inputAdapters.websocket.url;
+      this.matBridgeUrlInput.addEventListener("change", () => {
+        const url = this.matBridgeUrlInput.value.trim();
+        if (!url) return;
+        this.inputAdapters.websocket.url = url;
+        this.saveSetting("matBridgeUrl", url);
+        // Reconnect to the new address if the bridge is in use
+        if (this.inputAdapter === this.inputAdapters.websocket) this.setInputSource("websocket");
+      });
+    }
 
-      if (!firebase.apps.length) firebase.initializeApp(firebaseConfig);
-      this.db = firebase.database();
-      this.firebaseInitialized = true;
-      this.updateFirebaseStatus(true, "Firebase: Connected (1~8: coordinates, 9: single=fireRay, double=reset)");
+    // Firebase stays the default so existing setups keep working
+    const saved = this.loadSetting("inputSource");
+    this.setInputSource(saved && this.inputAdapters[saved] ? saved : "firebase");
+  }
 
-      this.attachFirebaseListener();
+  setInputSource(key) {
+    const adapter = this.inputAdapters[key];
+    if (!adapter) return;
+    if (this.inputAdapter) this.inputAdapter.stop();
+    this.inputAdapter = adapter;
+    this.queuedInput = [];
+    this.engine.cancelInput();
+    if (this.multiplayer) this.multiplayer.cancelInput();
+    if (this.signalHud) this.signalHud.update();
+    if (this.inputSourceSelect) this.inputSourceSelect.value = key;
+    if (this.matBridgeUrlInput) {
+      this.matBridgeUrlInput.style.display = key === "websocket" ? "inline-block" : "none";
+    }
+    this.saveSetting("inputSource", key);
+    adapter.start();
+    this.updateInputStatus();
+  }
+
+  updateInputStatus() {
+    if (!this.inputIndicator || !this.inputText || !this.inputAdapter) return;
+    const { state, message } = this.inputAdapter;
+    const icons = { connected: "🟢", connecting: "🟡", idle: "⚪", error: "🔴" };
+    this.inputIndicator.textContent = icons[state] || "🔴";
+    this.inputText.textContent = message;
+  }
+
+  handleMatSignal(adapter, signal, timestamp, groupId = null) {
+    // Ignore stray signals from a source that is no longer active
+    if (adapter !== this.inputAdapter) return;
+    this.injectSignal(signal, timestamp, { releases: adapter.reportsRelease, groupId });
+  }
+
+  // Entry point for every mat signal: input adapters and the on-screen mat simulator.
+  // releases: the source will call injectRelease() when the tile is let go (long presses)
+  // groupId: the mat group it came from, or null; only multiplayer tells groups apart
+  // Input during a ray animation is queued with its own timestamp (see flushQueuedInput())
+  injectSignal(signal, timestamp = Date.now(), { releases = false, groupId = null } = {}) {
+    if (this.replaying) return;
+    if (this.animating) {
+      this.queueInput({ signal, timestamp, releases, groupId });
+      if (this.matSimulator) this.matSimulator.flash(signal);
+      return;
+    }
+    this.recorder.record("signal", groupId === null ? { signal } : { signal, groupId });
+
+    if (this.matSimulator) this.matSimulator.flash(signal);
+
+    // Process signal in buffer mode
+    // 1~8: coordinates (displayed as 1,1 to N,N; two taps per coordinate above 8x8)
+    // Command tiles (9 by default): gestures from the active gesture map
+    // With several players each mat group has its own buffer and gestures
+    if (this.multiplayer && this.multiplayer.active) {
+      this.multiplayer.handleSignal(groupId, signal, timestamp, { releases });
+    } else {
+      this.processSignal(signal, timestamp, { releases });
+    }
+
+    if (this.matSimulator) this.matSimulator.update();
+    if (this.signalHud) this.signalHud.update();
+  }
+
+  injectRelease(signal, timestamp = Date.now(), groupId = null) {
+    if (this.replaying) return;
+    // Kept in order with its press, so a queued press is not left held
+    if (this.animating) {
+      this.queueInput({ signal, timestamp, groupId, released: true });
+      return;
+    }
+    this.recorder.record("release", groupId === null ? { signal } : { signal, groupId });
+    if (this.multiplayer && this.multiplayer.active) this.multiplayer.handleRelease(groupId, signal, timestamp);
+    else this.engine.release(signal, timestamp);
+  }
+
+  queueInput(input) {
+    if (this.queuedInput.length >= MAT_QUEUE_LIMIT) this.queuedInput.shift();
+    this.queuedInput.push(input);
+  }
+
+  // Plays queued input in order; a queued fire starts another animation, and the rest
+  // waits for that one
+  flushQueuedInput() {
+    while (this.queuedInput.length && !this.animating) {
+      const { signal, timestamp, releases, groupId, released } = this.queuedInput.shift();
+      if (released) this.injectRelease(signal, timestamp, groupId);
+      else this.injectSignal(signal, timestamp, { releases, groupId });
+    }
+  }
+
+  // Firebase listens to every player's mat group in multiplayer, else to group 1
+  updateMatGroups() {
+    const groups = this.multiplayer && this.multiplayer.active ? this.multiplayer.players.map(player => player.groupId) : [1];
+    this.inputAdapters.firebase.setGroupIds(groups);
+    if (this.matSimulator) this.matSimulator.build();
+  }
+
+  // ---------- Gesture maps ----------
+  initGestureMap() {
+    const saved = this.loadSetting("gestureMap");
+    if (saved === "level" || GESTURE_PRESETS[saved]) this.gestureMapKey = saved;
+    if (this.gestureMapSelect) {
+      this.gestureMapSelect.value = this.gestureMapKey;
+      this.gestureMapSelect.addEventListener("change", () => {
+        this.setGestureMap(this.gestureMapSelect.value);
+      });
+    }
+    this.applyGestureMap();
+  }
+
+  // key: "level" (the level's own map, standard if it has none) or a GESTURE_PRESETS key
+  setGestureMap(key) {
+    if (key !== "level" && !GESTURE_PRESETS[key]) return;
+    this.gestureMapKey = key;
+    this.saveSetting("gestureMap", key);
+    const profile = this.profiles.active();
+    if (profile) this.profiles.setSetting(profile.id, "gestureMap", key);
+    this.applyGestureMap();
+    this.setStatus(`${this.describeLevel()} | Gestures: ${this.gestureMap.name} (${describeGestureMap(this.gestureMap)})`);
+  }
+
+  applyGestureMap() {
+    const map = this.gestureMapKey === "level"
+      ? (this.level.gestures || GESTURE_PRESETS.standard)
+      : GESTURE_PRESETS[this.gestureMapKey];
+    this.engine.setGestureMap(map);
+    if (this.multiplayer) this.multiplayer.applyGestureMap(map);
+    if (this.matSimulator) this.matSimulator.build();
+    if (this.signalHud) this.signalHud.update();
+  }
+
+  // ---------- Player profiles ----------
+  // The active player's own settings win over the browser-wide ones
+  applyProfileSettings() {
+    const profile = this.profiles.active();
+    const key = profile && profile.settings.gestureMap;
+    if (key && (key === "level" || GESTURE_PRESETS[key])) {
+      this.gestureMapKey = key;
+      if (this.gestureMapSelect) this.gestureMapSelect.value = key;
+      this.applyGestureMap();
+    }
+    if (profile && typeof profile.settings.practiceMode === "boolean") {
+      this.practiceMode = profile.settings.practiceMode;
+      if (this.practiceModeInput) this.practiceModeInput.checked = this.practiceMode;
+    }
+    if (profile) {
+      const { soundMuted, soundVolume } = profile.settings;
+      this.setSoundSettings({
+        ...(typeof soundMuted === "boolean" ? { muted: soundMuted } : {}),
+        ...(typeof soundVolume === "number" ? { volume: soundVolume } : {}),
+      }, { save: false });
+    }
+  }
+
+  selectProfile(id) {
+    try {
+      this.profiles.setActive(id);
     } catch (err) {
-      console.error("Firebase init failed:", err);
-      this.updateFirebaseStatus(false, "Firebase: Init failed (game still works)");
+      this.setStatus(`Could not switch player: ${err.message}`);
+      return;
     }
+    this.applyProfileSettings();
+    if (this.progressDashboard) this.progressDashboard.render();
+    if (this.campaignPanel) this.campaignPanel.render();
+    const profile = this.profiles.active();
+    this.setStatus(`${this.describeLevel()} | ${profile ? `Player: ${profile.name}` : "Playing as guest (rounds are not saved)"}`);
   }
 
-  attachFirebaseListener() {
-    if (!this.firebaseInitialized || !this.db || this.firebaseListenerAttached) return;
+  createProfile(name) {
+    try {
+      const profile = this.profiles.create(name);
+      // A new player starts from the current gesture choice
+      this.profiles.setSetting(profile.id, "gestureMap", this.gestureMapKey);
+      this.profiles.setSetting(profile.id, "practiceMode", this.practiceMode);
+      this.profiles.setSetting(profile.id, "soundMuted", this.sound.muted);
+      this.profiles.setSetting(profile.id, "soundVolume", this.sound.volume);
+      this.setStatus(`${this.describeLevel()} | Created player "${profile.name}"`);
+    } catch (err) {
+      this.setStatus(`Could not create player: ${err.message}`);
+    }
+    if (this.progressDashboard) this.progressDashboard.render();
+    if (this.campaignPanel) this.campaignPanel.render();
+  }
 
+  deleteActiveProfile() {
+    const profile = this.profiles.active();
+    if (!profile) return;
+    if (!window.confirm(`Delete player "${profile.name}" and all of their results?`)) return;
     try {
-      const matPressesRef = this.db.ref("mat_presses");
-
-      // NOTE:
-      // child_added will replay existing data. If your DB keeps historical presses,
-      // you may want to ignore old rows. Here we try to filter by timestamp if numeric,
-      // and also ignore initial backlog by checking "sessionStartMs" when possible.
-      matPressesRef
-        .orderByChild("groupId")
-        .equalTo(1)
-        .on("child_added", (snapshot) => {
-          const data = snapshot.val();
-          if (!data || typeof data.matNumber !== "number") return;
-          if (this.animating) return;
-
-          // New mode: accept 1~9 signals
-          // 1~8: coordinates (displayed as 1,1 to 8,8)
-          // 9: special command (single = fireRay, double = resetPlayerObstacles)
-          const signal = data.matNumber;
-          if (signal < 1 || signal > 9) return;
-
-          // Optional: ignore old events if timestamp is ms
-          const timestamp = typeof data.timestamp === "number" ? data.timestamp : Date.now();
-          if (timestamp < this.sessionStartMs) return;
-
-          // Process signal in buffer mode
-          this.processSignal(signal, timestamp);
-        });
+      this.profiles.remove(profile.id);
+      this.setStatus(`${this.describeLevel()} | Deleted player "${profile.name}"`);
+    } catch (err) {
+      this.setStatus(`Could not delete player: ${err.message}`);
+    }
+    if (this.progressDashboard) this.progressDashboard.render();
+    if (this.campaignPanel) this.campaignPanel.render();
+  }
+
+  // ---------- Campaigns ----------
+  // Campaign progress is kept per player; guests share the "guest" progress
+  campaignPlayerKey() {
+    const profile = this.profiles.active();
+    return profile ? profile.id : "guest";
+  }
+
+  getCampaignProgress(campaignId) {
+    return this.campaignProgress.get(this.campaignPlayerKey(), campaignId);
+  }
+
+  // "Getting Started · First Steps · Level 2/3"
+  describeCampaignRun() {
+    const { campaign, chapter, index, easier } = this.campaignRun;
+    const { name, levels } = campaign.chapters[chapter];
+    return `${campaign.name} · ${name} · Level ${index + 1}/${levels.length}${easier ? " (easier)" : ""}`;
+  }
+
+  // Loads a campaign level (or its easier variant) and starts a Play Mode round on it
+  playCampaignLevel(campaignId, chapter, index, { easier = false } = {}) {
+    if (this.animating || this.replaying) return false;
+    const campaign = this.campaigns.get(campaignId);
+    const entry = campaign && campaign.chapters[chapter] ? campaign.chapters[chapter].levels[index] : null;
+    if (!entry) {
+      this.setStatus(`${this.describeLevel()} | Unknown campaign level`);
+      return false;
+    }
+    const summary = summarizeCampaign(campaign, this.getCampaignProgress(campaign.id));
+    if (!summary.chapters[chapter].unlocked) {
+      const { name, starsToUnlock } = campaign.chapters[chapter];
+      this.setStatus(`${this.describeLevel()} | ${name} needs ${starsToUnlock} ★ (${summary.stars} collected so far)`);
+      return false;
+    }
+    if (!summary.chapters[chapter].levels[index].unlocked) {
+      this.setStatus(`${this.describeLevel()} | Clear "${campaign.chapters[chapter].levels[index - 1].level.name}" first`);
+      return false;
+    }
+    this.hideSuccessModal();
+    this.hideFailureModal();
+    this.loadLevel(easier ? entry.easier || makeEasierLevel(entry.level) : entry.level);
+    this.campaignRun = { campaign, chapter, index, easier };
+    if (this.coverVisible) {
+      this.startRound();
+    } else {
+      this.toggleCover();
+    }
+    if (this.campaignPanel) this.campaignPanel.render();
+    this.setStatus(`${this.describeCampaignRun()} | ${this.describeLevel()}`);
+    return true;
+  }
+
+  // First unlocked level that isn't cleared yet
+  continueCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) return false;
+    const summary = summarizeCampaign(campaign, this.getCampaignProgress(campaign.id));
+    if (summary.next) return this.playCampaignLevel(campaign.id, summary.next.chapter, summary.next.index);
+    const locked = campaign.chapters.find((chapter, c) => !summary.chapters[c].unlocked);
+    this.setStatus(locked
+      ? `${this.describeLevel()} | ${campaign.name}: ${locked.name} needs ${locked.starsToUnlock} ★ (${summary.stars} collected), replay levels for more stars`
+      : `${this.describeLevel()} | ${campaign.name}: every level is cleared (${summary.stars}/${summary.maxStars} ★)`);
+    return false;
+  }
+
+  // Success modal "next level" button
+  nextCampaignLevel() {
+    if (!this.campaignRun) return;
+    this.continueCampaign(this.campaignRun.campaign.id);
+  }
+
+  // Failure modal buttons: the same level again, or its easier variant
+  retryCampaignLevel(easier) {
+    const run = this.campaignRun;
+    if (!run) return;
+    this.playCampaignLevel(run.campaign.id, run.chapter, run.index, { easier });
+  }
+
+  stopCampaign() {
+    if (!this.campaignRun) {
+      this.setStatus(`${this.describeLevel()} | No campaign is being played`);
+      return;
+    }
+    const { name } = this.campaignRun.campaign;
+    this.campaignRun = null;
+    if (this.campaignPanel) this.campaignPanel.render();
+    this.setStatus(`${this.describeLevel()} | Left the campaign "${name}"`);
+  }
 
-      this.firebaseListenerAttached = true;
+  // Saves a cleared campaign round. Returns { stars, next, unlocked: [chapter name], complete }
+  recordCampaignClear(stats) {
+    const { campaign, chapter, index, easier } = this.campaignRun;
+    const before = summarizeCampaign(campaign, this.getCampaignProgress(campaign.id));
+    const stars = easier ? Math.min(stats.stars, CAMPAIGN_EASIER_MAX_STARS) : stats.stars;
+    try {
+      this.campaignProgress.recordClear(this.campaignPlayerKey(), campaign.id, chapter, index, { stars, score: stats.score, easier });
     } catch (err) {
-      console.error("Firebase listen failed:", err);
-      this.updateFirebaseStatus(false, "Firebase: Listen failed (game still works)");
+      console.error("Could not save campaign progress:", err);
     }
+    const after = summarizeCampaign(campaign, this.getCampaignProgress(campaign.id));
+    if (this.campaignPanel) this.campaignPanel.render();
+    return {
+      stars,
+      next: after.next,
+      unlocked: campaign.chapters.filter((_, c) => after.chapters[c].unlocked && !before.chapters[c].unlocked).map(ch => ch.name),
+      complete: after.cleared === after.total,
+    };
   }
 
-  processSignal(signal, timestamp) {
-    // Handle special signal 9 (command signal)
-    if (signal === 9) {
-      // Clear any pending single 9 timer
-      if (this.signal9Timer) {
-        clearTimeout(this.signal9Timer);
-        this.signal9Timer = null;
-      }
+  // Campaign part of the success modal; clear is recordCampaignClear()'s result or null
+  showCampaignSuccess(clear) {
+    const section = document.getElementById("successCampaign");
+    if (!section) return;
+    section.hidden = !clear;
+    if (!clear) return;
+    const notes = [];
+    if (this.campaignRun.easier) notes.push(`簡單版本最多 ${CAMPAIGN_EASIER_MAX_STARS} 顆星`);
+    if (clear.unlocked.length) notes.push(`已解鎖：${clear.unlocked.join("、")}！`);
+    if (clear.complete) notes.push("恭喜完成全部關卡！");
+    else if (!clear.next) notes.push("需要更多星星才能解鎖下一章，試著重玩拿更多星星吧");
+    document.getElementById("successCampaignNote").textContent = notes.join(" ");
+    document.getElementById("btnCampaignNext").hidden = !clear.next;
+  }
 
-      // Check if there's a recent signal 9 in buffer
-      const now = timestamp;
-      const recent9 = this.signalBuffer.filter(
-        item => item.signal === 9 && (now - item.timestamp) <= this.signalTimeoutMs
-      );
-
-      if (recent9.length > 0) {
-        // Found a recent 9, this is a double 9 -> resetPlayerObstacles
-        this.signalBuffer = this.signalBuffer.filter(item => item.signal !== 9);
-        this.resetPlayerObstacles();
-        this.setStatus(`${this.describeLevel()} | Reset player obstacles via double signal 9`);
-        return;
-      } else {
-        // Single 9, add to buffer and set timer
-        this.signalBuffer.push({ signal, timestamp });
-        
-        // Set timer to execute fireRay() if no second 9 arrives
-        this.signal9Timer = setTimeout(() => {
-          // Check if still only one 9 in buffer (no second 9 arrived)
-          const current9s = this.signalBuffer.filter(item => item.signal === 9);
-          if (current9s.length === 1) {
-            this.signalBuffer = this.signalBuffer.filter(item => item.signal !== 9);
-            this.fireRay();
-            this.setStatus(`${this.describeLevel()} | Fired ray via single signal 9`);
-          }
-          this.signal9Timer = null;
-        }, this.signalTimeoutMs);
-        return;
+  // Caregiver's campaign from saved levels (names from the level library), in the given order
+  buildCustomCampaign(name, levelNames, chapterSize) {
+    if (!String(name || "").trim()) {
+      this.setStatus(`${this.describeLevel()} | Enter a name for the campaign`);
+      return null;
+    }
+    if (levelNames.length === 0) {
+      this.setStatus(`${this.describeLevel()} | Add saved levels to the campaign first`);
+      return null;
+    }
+    if (!Number.isInteger(chapterSize) || chapterSize < 1) chapterSize = CAMPAIGN_DEFAULT_CHAPTER_SIZE;
+    try {
+      const levels = levelNames.map((levelName) => {
+        const level = this.library.get(levelName);
+        if (!level) throw new Error(`Saved level "${levelName}" no longer exists`);
+        return level;
+      });
+      const campaign = this.campaigns.save(buildCampaign(name, levels, chapterSize));
+      this.setStatus(`${this.describeLevel()} | Built campaign "${campaign.name}" with ${levels.length} level(s) in ${campaign.chapters.length} chapter(s)`);
+      return campaign;
+    } catch (err) {
+      this.setStatus(`Could not build the campaign: ${err.message}`);
+      return null;
+    }
+  }
+
+  deleteCustomCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign || campaign.builtIn) return;
+    if (!window.confirm(`Delete the campaign "${campaign.name}"? Saved levels are kept.`)) return;
+    try {
+      this.campaigns.remove(campaign.id);
+      if (this.campaignRun && this.campaignRun.campaign.id === campaign.id) this.campaignRun = null;
+      this.setStatus(`${this.describeLevel()} | Deleted campaign "${campaign.name}"`);
+    } catch (err) {
+      this.setStatus(`Could not delete campaign: ${err.message}`);
+    }
+    if (this.campaignPanel) this.campaignPanel.render();
+  }
+
+  resetCampaignProgress(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) return;
+    const profile = this.profiles.active();
+    if (!window.confirm(`Forget ${profile ? `${profile.name}'s` : "the guest's"} progress in "${campaign.name}"?`)) return;
+    try {
+      this.campaignProgress.reset(this.campaignPlayerKey(), campaign.id);
+      this.setStatus(`${this.describeLevel()} | Campaign progress reset`);
+    } catch (err) {
+      this.setStatus(`Could not reset campaign progress: ${err.message}`);
+    }
+    if (this.campaignPanel) this.campaignPanel.render();
+  }
+
+  // Saves a finished Play Mode round to the active player's history and, when the
+  // level was cleared, to the level leaderboard. Returns { stats, rank }, where rank
+  // is the leaderboard position (null if the round didn't make it).
+  // Multiplayer rounds pass their own stats, the profiles to save to and the
+  // leaderboard name (see multiplayer.js).
+  recordRoundResult(result, { stats = this.getRoundStats(), players = [this.profiles.active()], name } = {}) {
+    const profiles = players.filter(Boolean);
+    const at = Date.now();
+    // Untimed practice rounds are kept in the player's history but not ranked
+    const practice = !this.engine.timed;
+    let rank = null;
+    try {
+      if (result === "pass" && !practice) {
+        rank = this.leaderboard.add(levelFingerprint(this.getLevelSnapshot()), {
+          name: name !== undefined ? name : (profiles[0] ? profiles[0].name : null),
+          score: stats.score,
+          stars: stats.stars,
+          mats: stats.mats,
+          fires: stats.attempts,
+          seconds: stats.seconds,
+          hints: stats.hints,
+          at,
+        });
       }
+      for (const profile of profiles) {
+        this.profiles.addResult(profile.id, {
+          at,
+          level: this.level.name,
+          size: this.N,
+          result,
+          attempts: stats.attempts,
+          mats: stats.mats,
+          seconds: stats.seconds,
+          hints: stats.hints,
+          score: result === "pass" ? stats.score : 0,
+          stars: result === "pass" ? stats.stars : 0,
+          ...(practice ? { practice: true } : {}),
+        });
+      }
+    } catch (err) {
+      console.error("Could not save the round result:", err);
     }
+    if (this.progressDashboard) this.progressDashboard.render();
+    return { stats, rank, practice };
+  }
 
-    // Handle coordinate signals (1~8)
-    // Clean old signals from buffer (outside time window)
-    const now = timestamp;
-    this.signalBuffer = this.signalBuffer.filter(
-      item => (now - item.timestamp) <= this.signalTimeoutMs && item.signal !== 9
-    );
+  runGestureAction(action, gesture) {
+    this.recorder.record("gesture", { action, gesture });
+    if (action !== "pauseTimer" && action !== "toggleCover" && this.roundInputBlocked()) return;
+    const via = `via gesture "${gesture}"`;
+    if (action === "fire") {
+      this.fireRay();
+      this.setStatus(`${this.describeLevel()} | Fired ray ${via}`);
+      if (this.signalHud) this.signalHud.announce("Fire!");
+    } else if (action === "reset") {
+      this.resetPlayerObstacles();
+      this.setStatus(`${this.describeLevel()} | Reset player obstacles ${via}`);
+      if (this.signalHud) this.signalHud.announce("Reset!");
+    } else if (action === "undo") {
+      this.undo();
+      if (this.signalHud) this.signalHud.announce("Undo");
+    } else if (action === "redo") {
+      this.redo();
+      if (this.signalHud) this.signalHud.announce("Redo");
+    } else if (action === "hint") {
+      this.showHint();
+      if (this.signalHud) this.signalHud.announce("Hint");
+    } else if (action === "toggleCover") {
+      this.toggleCover();
+    } else if (action === "pauseTimer") {
+      this.togglePause();
+    } else {
+      this.setStatus(`${this.describeLevel()} | Ignored gesture "${gesture}": nothing is bound to it`);
+    }
+  }
 
-    // Add new signal
-    this.signalBuffer.push({ signal, timestamp });
+  // Pending mat input, for displays: what has been selected and how long until it expires.
+  // See RayGridEngine.signalState(); input is a multiplayer MatPlayer, or the game's own.
+  getSignalState(now = Date.now(), input = this) {
+    return this.engine.signalState(now, input);
+  }
 
-    // If we have 2 or more coordinate signals, try to process the last two
-    const coordinateSignals = this.signalBuffer.filter(item => item.signal !== 9);
-    if (coordinateSignals.length >= 2) {
-      const [first, second] = coordinateSignals.slice(-2);
-      
-      // Check if both signals are within time window
-      const timeDiff = second.timestamp - first.timestamp;
-      if (timeDiff <= this.signalTimeoutMs && timeDiff >= 0) {
-        // Convert 1~8 signals to 0~7 internal indices
-        const r = first.signal - 1;
-        const c = second.signal - 1;
-
-        // Validate coordinates
-        if (r >= 0 && r < this.N && c >= 0 && c < this.N) {
-          // Toggle obstacle at (r, c)
-          this.toggleCell(r, c);
-          
-          // Clear coordinate signals from buffer after processing
-          this.signalBuffer = this.signalBuffer.filter(item => item.signal === 9);
-          
-          // Display coordinates as 1-based (1,1 to 8,8)
-          this.setStatus(`${this.describeLevel()} | Toggled cell (${r + 1},${c + 1}) via signals [${first.signal},${second.signal}]`);
-        } else {
-          // Invalid coordinates, clear coordinate signals
-          this.signalBuffer = this.signalBuffer.filter(item => item.signal === 9);
+  describeSignalBuffer(now = Date.now(), input = this) {
+    const state = this.getSignalState(now, input);
+    const seconds = (ms) => `${Math.ceil(ms / 1000)}s`;
+    const parts = [];
+
+    if (state.stage === "row") {
+      parts.push(`Waiting for row${this.getTapsPerCoordinate() > 1 ? " (page tile first)" : ""}`);
+    } else if (state.stage === "rowPage") {
+      parts.push(`Row page ${state.taps[0]} selected, waiting for row position (${seconds(state.remainingMs)} left)`);
+    } else if (state.stage === "col") {
+      parts.push(`Row ${state.row + 1} selected, waiting for column (${seconds(state.remainingMs)} left)`);
+    } else {
+      parts.push(`Row ${state.row + 1}, column page ${state.taps[state.taps.length - 1]} selected, waiting for column position (${seconds(state.remainingMs)} left)`);
+    }
+    const command = state.command;
+    if (command) {
+      const action = command.action ? GESTURE_ACTIONS[command.action] : "nothing";
+      const next = describeNextSteps(command);
+      parts.push(command.holding
+        ? `Holding ${command.gesture.replace("hold ", "")}: ${action} in ${seconds(command.remainingMs)}`
+        : `${command.gesture} pressed: ${action} in ${seconds(command.remainingMs)}${next ? `, ${next}` : ""}`);
+    }
+    return parts.join(" | ");
+  }
+
+  processSignal(signal, timestamp, { releases = false } = {}) {
+    // Command tiles go to the gesture map, the rest to the coordinate buffer (see engine.js)
+    const lastTap = this.signalBuffer[this.signalBuffer.length - 1];
+    this.engine.processSignal(signal, timestamp, { releases });
+    if (this.signalBuffer[this.signalBuffer.length - 1] !== lastTap) this.rowTapped(this.signalBuffer);
+  }
+
+  // A coordinate tap was added to buffer (the engine's or a player's): the row cue once a whole row is in
+  rowTapped(buffer) {
+    if (buffer.length === this.getTapsPerCoordinate()) this.cue("row");
+  }
+
+  // A row + column tap sequence finished (engine "cell" event)
+  selectCellBySignals(r, c, signals) {
+    // Validate coordinates
+    if (r >= 0 && r < this.N && c >= 0 && c < this.N) {
+      // Toggle obstacle at (r, c); if it can't be changed, toggleCell() has said why
+      if (!this.toggleCell(r, c)) {
+        if (this.coverVisible && isLevelCell(this.state[r][c])) {
+          this.setStatus(`${this.describeLevel()} | Cell (${r + 1},${c + 1}) is part of the level and can't be changed`);
         }
-      } else {
-        // Signals are too far apart, keep only the latest coordinate signal and all 9s
-        this.signalBuffer = [...this.signalBuffer.filter(item => item.signal === 9), second];
+        return;
       }
+      if (this.signalHud) this.signalHud.flashCell(r, c);
+
+      // Display coordinates as 1-based (1,1 to N,N)
+      this.setStatus(`${this.describeLevel()} | Toggled cell (${r + 1},${c + 1}) via signals [${signals.join(",")}]`);
+    } else {
+      // Invalid coordinates
+      this.setStatus(`${this.describeLevel()} | Ignored signals [${signals.join(",")}]: cell is outside the ${this.N}x${this.N} grid`);
     }
   }
 }
@@ -839,9 +2413,10 @@ class RayGridGame {
 const game = new RayGridGame();
 window.addEventListener("beforeunload", () => {
   // Clean up timer
-  if (game.timerInterval) {
-    clearInterval(game.timerInterval);
+  game.stopTimer();
+  // Close the active input source (Firebase listener, WebSocket, ...)
+  if (game.inputAdapter) {
+    game.inputAdapter.stop();
   }
-  // If you want, detach Firebase listeners here. For simplicity, omitted.
- /* reminding: v8 off() requires same ref + callback reference. */
+  if (game.caregiverHost) game.caregiverHost.stop();
 });
@@ -0,0 +1,153 @@
+// hints.js - Progressive hints for stuck players (Play Mode)
+// Each request gives the next hint, cycling from least to most revealing:
+// - region: outlines a 3×3 block that still needs a mat (or holds a mat that
+//   isn't needed),
+// - reveal: shows one level cell hidden under the cover, preferring cells the
+//   player's ray currently runs into,
+// - path: draws the start of the correct ray above the cover, 3 more steps
+//   each time.
+// Hints are worked out from the current grid and the solver's minimal solution
+// (RayGridGame.lastSolve); a type with nothing left to show is skipped.
+// Every hint costs points (hintPenalty, see scoring.js).
+
+const HINT_TYPES = ["region", "reveal", "path"];
+const HINT_REGION_SIZE = 3;
+const HINT_PATH_STEPS = 3;
+const HINT_PATH_COLOR = "#f1c40f";
+
+class HintEngine {
+  constructor(game) {
+    this.game = game;
+    this.layer = null;
+    this.pathOverlay = new RayOverlay(game, { className: "ray-overlay hint-path" });
+    this.reset();
+  }
+
+  // A new round starts without hints
+  reset() {
+    this.count = 0;
+    this.nextType = 0;
+    this.regions = []; // { r, c, size, extra }
+    this.revealed = []; // [r, c]
+    this.path = null; // { rayIndex, path, steps }
+    this.render();
+  }
+
+  // buildGrid() clears the grid container, so the layers are re-created each time
+  attachToGrid() {
+    this.layer = document.createElement("div");
+    this.layer.className = "hint-layer";
+    this.game.gridEl.appendChild(this.layer);
+    this.pathOverlay.attachToGrid();
+    this.render();
+  }
+
+  // Works out and shows the next hint. Returns { type, message }; type is null
+  // when no hint could be given (the message says why).
+  request() {
+    const solve = this.game.lastSolve;
+    if (!solve) return { type: null, message: "Still working out the solution, try again in a moment" };
+    if (solve.status !== "SOLVED") return { type: null, message: "No hint available: this level has no known solution" };
+
+    for (let k = 0; k < HINT_TYPES.length; k++) {
+      const index = (this.nextType + k) % HINT_TYPES.length;
+      const type = HINT_TYPES[index];
+      let message = null;
+      if (type === "region") message = this.regionHint(solve);
+      else if (type === "reveal") message = this.revealHint(solve);
+      else message = this.pathHint(solve);
+      if (message) {
+        this.nextType = (index + 1) % HINT_TYPES.length;
+        this.count++;
+        this.render();
+        return { type, message };
+      }
+    }
+    return { type: null, message: "No more hints for this grid" };
+  }
+
+  // Block around the first solution mat the player hasn't placed, else around a mat that isn't needed
+  regionHint(solve) {
+    const { state, N } = this.game;
+    const inSolution = new Set(solve.mats.map(([r, c]) => `${r},${c}`));
+    const missing = solve.mats.filter(([r, c]) => state[r][c] !== 1).map(cell => ({ cell, extra: false }));
+    const extra = [];
+    state.forEach((row, r) => row.forEach((v, c) => {
+      if (v === 1 && !inSolution.has(`${r},${c}`)) extra.push({ cell: [r, c], extra: true });
+    }));
+    const size = Math.min(HINT_REGION_SIZE, N);
+    // Blocks follow a fixed 3×3 pattern so the mat isn't simply in the middle
+    const start = (i) => Math.min(Math.floor(i / size) * size, N - size);
+    for (const { cell: [r, c], extra: isExtra } of [...missing, ...extra]) {
+      const region = { r: start(r), c: start(c), size, extra: isExtra };
+      if (this.regions.some(g => g.r === region.r && g.c === region.c && g.extra === region.extra)) continue;
+      this.regions.push(region);
+      return isExtra
+        ? "A mat in the highlighted area isn't needed"
+        : "A mat is needed somewhere in the highlighted area";
+    }
+    return null;
+  }
+
+  // A hidden level cell on the current ray path, else on the solution path
+  revealHint(solve) {
+    const game = this.game;
+    const paths = [...game.traceAllRays().rays, ...solve.result.rays].map(ray => ray.path);
+    for (const path of paths) {
+      for (const { r, c } of path) {
+        const v = game.state[r][c];
+        if (!isLevelCell(v) || !game.fog.isHidden(r, c) || this.revealed.some(([hr, hc]) => hr === r && hc === c)) continue;
+        this.revealed.push([r, c]);
+        return `Revealed (${r + 1},${c + 1}): ${CELL_TYPES[v].label.toLowerCase()}`;
+      }
+    }
+    return null;
+  }
+
+  // First steps of the solution path of the first ray that currently misses
+  pathHint(solve) {
+    const game = this.game;
+    const current = game.traceAllRays();
+    const missing = current.rays.findIndex(ray => ray.outcome !== "WIN");
+    const rayIndex = missing === -1 ? 0 : missing;
+    const path = solve.result.rays[rayIndex].path;
+    const shown = this.path && this.path.rayIndex === rayIndex ? this.path.steps : 0;
+    const steps = Math.min(path.length, shown + HINT_PATH_STEPS);
+    if (steps === shown) return null;
+    this.path = { rayIndex, path, steps };
+    const name = game.level.rays.length === 1 ? "the ray" : describeRay(game.level, rayIndex);
+    return `Showing the first ${steps} step${steps === 1 ? "" : "s"} of ${name} when the level is solved`;
+  }
+
+  render() {
+    const game = this.game;
+    if (this.path) {
+      this.pathOverlay.render([{ ...this.path, color: HINT_PATH_COLOR, exitInfo: null }], this.path.steps - 1);
+    } else {
+      this.pathOverlay.clear();
+    }
+    if (!this.layer) return;
+    this.layer.innerHTML = "";
+    for (const region of this.regions) {
+      const box = document.createElement("div");
+      box.className = `hint-region${region.extra ? " extra" : ""}`;
+      box.style.top = `${game.cellOffset(region.r) - 3}px`;
+      box.style.left = `${game.cellOffset(region.c) - 3}px`;
+      box.style.width = box.style.height = `${game.spanSize(region.size) + 6}px`;
+      this.layer.appendChild(box);
+    }
+    for (const [r, c] of this.revealed) {
+      // A copy of the hidden cell drawn above the cover
+      const type = CELL_TYPES[game.state[r][c]] || CELL_TYPES[CELL.EMPTY];
+      const cell = document.createElement("div");
+      cell.className = `grid-cell hint-reveal ${type.className || ""}`;
+      cell.dataset.glyph = type.glyph;
+      cell.textContent = `${r + 1},${c + 1}`;
+      cell.title = `(${r + 1},${c + 1}) ${type.label}`;
+      cell.style.top = `${game.cellOffset(r)}px`;
+      cell.style.left = `${game.cellOffset(c)}px`;
+      cell.style.width = cell.style.height = `${game.cellSize}px`;
+      this.layer.appendChild(cell);
+    }
+  }
+}
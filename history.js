@@ -0,0 +1,77 @@
+// history.js - Undo/redo for grid changes
+// Every change to the grid (a toggled mat, a placed or removed level cell, a
+// checkpoint, a cover setting, a bulk clear) becomes one history entry:
+// { label, cells: [{ r, c, before, after }], layout: { before, after } | null }
+// where layout holds the level parts that live outside the state matrix
+// ({ rays, checkpoints, portals, cover, pendingPortal }). Entries only touch the cells they
+// changed, so undoing one change leaves the rest of the grid alone.
+// RayGridGame keeps one EditHistory for Edit Mode and one for Play Mode.
+
+const HISTORY_LIMIT = 200; // oldest entries are dropped beyond this
+
+class EditHistory {
+  constructor(limit = HISTORY_LIMIT) {
+    this.limit = limit;
+    this.clear();
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // A new change makes the redo stack meaningless
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+  }
+
+  // Returns the entry to revert, or null
+  undo() {
+    const entry = this.undoStack.pop() || null;
+    if (entry) this.redoStack.push(entry);
+    return entry;
+  }
+
+  // Returns the entry to apply again, or null
+  redo() {
+    const entry = this.redoStack.pop() || null;
+    if (entry) this.undoStack.push(entry);
+    return entry;
+  }
+}
+
+// The grid as a history snapshot: a copy of the state matrix plus the level layout
+function captureGridSnapshot(state, level, pendingPortal) {
+  return {
+    state: state.map(row => row.slice()),
+    layout: { rays: level.rays, checkpoints: level.checkpoints || [], portals: level.portals || [], cover: level.cover || null, pendingPortal },
+  };
+}
+
+// History entry for the change from `before` (captureGridSnapshot) to the current
+// grid, or null if nothing changed. Level layouts are compared by reference:
+// RayGridGame replaces level.rays / checkpoints / portals / cover instead of editing them.
+function diffGridSnapshot(label, before, state, level, pendingPortal) {
+  const cells = [];
+  state.forEach((row, r) => row.forEach((value, c) => {
+    if (before.state[r][c] !== value) cells.push({ r, c, before: before.state[r][c], after: value });
+  }));
+  const after = { rays: level.rays, checkpoints: level.checkpoints || [], portals: level.portals || [], cover: level.cover || null, pendingPortal };
+  const layoutChanged = after.rays !== before.layout.rays ||
+    after.checkpoints !== before.layout.checkpoints ||
+    after.portals !== before.layout.portals ||
+    after.cover !== before.layout.cover ||
+    after.pendingPortal !== before.layout.pendingPortal;
+  if (cells.length === 0 && !layoutChanged) return null;
+  return { label, cells, layout: layoutChanged ? { before: before.layout, after } : null };
+}
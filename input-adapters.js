@@ -0,0 +1,361 @@
+// input-adapters.js - Mat input sources
+// Every adapter turns its source into mat signals (1~9) and reports its connection
+// state. RayGridGame listens to whichever adapter is active and passes the signals
+// to processSignal(signal, timestamp).
+//
+// Adapter interface:
+// - start() / stop()
+// - onSignal((signal, timestamp, groupId) => ...), groupId is the mat group that was
+//   stepped on (see multiplayer.js), or null for sources that don't know it
+// - onRelease((signal, timestamp, groupId) => ...), only from adapters with reportsRelease (long presses)
+// - onStatus(({ state, message }) => ...), state is "idle" | "connecting" | "connected" | "error"
+
+// Presses of the same tile closer together than this are one step reported twice
+// (worn mats, bouncing switches); nobody steps off a tile and back on that fast
+const MAT_DEBOUNCE_MS = 150;
+// Most mat presses and releases RayGridGame keeps while a ray is being drawn
+const MAT_QUEUE_LIMIT = 20;
+
+class MatInputAdapter {
+  constructor(key, label) {
+    this.key = key;
+    this.label = label;
+    this.state = "idle";
+    this.message = `${label}: Not started`;
+    this.signalListeners = [];
+    this.releaseListeners = [];
+    this.statusListeners = [];
+    this.reportsRelease = false; // true if the source also says when a tile is let go
+    this.debounceMs = 0; // hardware sources use MAT_DEBOUNCE_MS
+    this.lastPresses = new Map(); // "groupId:signal" -> time of the last press let through
+  }
+
+  onSignal(listener) {
+    this.signalListeners.push(listener);
+  }
+
+  onRelease(listener) {
+    this.releaseListeners.push(listener);
+  }
+
+  onStatus(listener) {
+    this.statusListeners.push(listener);
+  }
+
+  emitSignal(signal, timestamp = Date.now(), groupId = null) {
+    // Only 1~9 are mat tiles
+    if (!Number.isInteger(signal) || signal < 1 || signal > 9) return;
+    for (const listener of this.signalListeners) listener(signal, timestamp, groupId);
+  }
+
+  emitRelease(signal, timestamp = Date.now(), groupId = null) {
+    if (!Number.isInteger(signal) || signal < 1 || signal > 9) return;
+    for (const listener of this.releaseListeners) listener(signal, timestamp, groupId);
+  }
+
+  // True for a press of the same tile and mat group within debounceMs of the last one.
+  // at: when the press happened, by the source's own clock if it has one
+  isBounce(signal, groupId, at) {
+    if (!this.debounceMs) return false;
+    const key = `${groupId}:${signal}`;
+    const last = this.lastPresses.get(key);
+    if (last !== undefined && Math.abs(at - last) < this.debounceMs) return true;
+    this.lastPresses.set(key, at);
+    return false;
+  }
+
+  setState(state, message) {
+    this.state = state;
+    this.message = message;
+    for (const listener of this.statusListeners) listener({ state, message });
+  }
+
+  start() {}
+
+  stop() {
+    this.setState("idle", `${this.label}: Stopped`);
+  }
+}
+
+// Firebase Realtime Database: rows added to mat_presses, like
+// { "matNumber": 7, "groupId": 1, "timestamp": firebase.database.ServerValue.TIMESTAMP }
+// The query is ordered by "timestamp" and starts at the server's current time, so
+// only presses made after the listener started are downloaded, whatever the clocks
+// of the mats and this device say (the rules should index mat_presses on "timestamp").
+// Rows are kept for the listened mat groups (group 1 unless setGroupIds() says
+// otherwise, e.g. for multiplayer). The SDK reconnects by itself when the connection
+// drops; the status says so, and presses that arrive more than staleMs late are dropped.
+class FirebaseMatAdapter extends MatInputAdapter {
+  constructor({ groupIds = [1], debounceMs = MAT_DEBOUNCE_MS, staleMs = 10000 } = {}) {
+    super("firebase", "Firebase");
+    this.groupIds = groupIds;
+    this.debounceMs = debounceMs;
+    this.staleMs = staleMs;
+    this.db = null;
+    this.listener = null; // { query, handler } once connected
+    this.watchers = []; // { ref, handler } on .info paths
+    this.serverOffsetMs = 0; // server clock minus this device's clock
+    this.disconnectedAt = null;
+  }
+
+  // Every row is checked against the current groups, so the listener stays as it is
+  setGroupIds(groupIds) {
+    this.groupIds = groupIds;
+  }
+
+  start() {
+    try {
+      if (typeof firebase === "undefined") {
+        this.setState("error", "Firebase: SDK not loaded (game still works)");
+        return;
+      }
+      if (typeof firebaseConfig === "undefined") {
+        this.setState("error", "Firebase: firebaseConfig missing (game still works)");
+        return;
+      }
+
+      if (!firebase.apps.length) firebase.initializeApp(firebaseConfig);
+      this.db = firebase.database();
+      this.setState("connecting", "Firebase: Connecting…");
+      this.watchConnection();
+    } catch (err) {
+      console.error("Firebase init failed:", err);
+      this.setState("error", "Firebase: Init failed (game still works)");
+    }
+  }
+
+  // .info/connected turns false whenever the connection drops and true again once the
+  // SDK is back. The listener is attached on the first connection, when the server
+  // clock offset is known.
+  watchConnection() {
+    const offsetRef = this.db.ref(".info/serverTimeOffset");
+    const onOffset = (snapshot) => {
+      this.serverOffsetMs = snapshot.val() || 0;
+    };
+    const connectedRef = this.db.ref(".info/connected");
+    const onConnected = (snapshot) => {
+      if (snapshot.val() === true) {
+        const offlineMs = this.disconnectedAt === null ? null : Date.now() - this.disconnectedAt;
+        this.disconnectedAt = null;
+        this.attachListener();
+        this.setState("connected", offlineMs === null
+          ? "Firebase: Connected (1~8: coordinates, 9: single=fireRay, double=reset)"
+          : `Firebase: Reconnected after ${Math.round(offlineMs / 1000)}s offline`);
+      } else if (this.listener && this.disconnectedAt === null) {
+        this.disconnectedAt = Date.now();
+        this.setState("connecting", "Firebase: Connection lost, reconnecting…");
+      }
+    };
+    offsetRef.on("value", onOffset);
+    connectedRef.on("value", onConnected);
+    this.watchers = [{ ref: offsetRef, handler: onOffset }, { ref: connectedRef, handler: onConnected }];
+  }
+
+  serverNow() {
+    return Date.now() + this.serverOffsetMs;
+  }
+
+  attachListener() {
+    if (!this.db || this.listener) return;
+    // Filtered by the server: no backlog of old presses is downloaded
+    const query = this.db.ref("mat_presses").orderByChild("timestamp").startAt(this.serverNow());
+    const handler = (snapshot) => this.handleRow(snapshot.val());
+    query.on("child_added", handler);
+    this.listener = { query, handler };
+  }
+
+  handleRow(data) {
+    if (!data || typeof data.matNumber !== "number" || typeof data.timestamp !== "number") return;
+    if (!this.groupIds.includes(data.groupId)) return;
+    // Presses held up while the connection was down are too old to act on
+    if (this.serverNow() - data.timestamp > this.staleMs) return;
+    if (this.isBounce(data.matNumber, data.groupId, data.timestamp)) return;
+    // Server time on this device's clock, which the game times pairs and gestures by
+    this.emitSignal(data.matNumber, data.timestamp - this.serverOffsetMs, data.groupId);
+  }
+
+  detachListeners() {
+    // v8 off() requires the same query + callback reference
+    if (this.listener) this.listener.query.off("child_added", this.listener.handler);
+    this.listener = null;
+    for (const { ref, handler } of this.watchers) ref.off("value", handler);
+    this.watchers = [];
+  }
+
+  stop() {
+    this.detachListeners();
+    this.disconnectedAt = null;
+    this.lastPresses.clear();
+    super.stop();
+  }
+}
+
+// Local WebSocket server (e.g. tools/mat-bridge.js next to the mat hardware).
+// Accepts messages like {"matNumber": 7} or a bare "7". Works without internet.
+// With several mat groups the bridge adds the group: {"matNumber": 7, "groupId": 2}.
+// Hardware that can tell when a tile is let go may also send {"matNumber": 7, "released": true};
+// long-press gestures are enabled once the first such message arrives.
+class WebSocketMatAdapter extends MatInputAdapter {
+  constructor({ url = "ws://localhost:8765", reconnectDelayMs = 2000, debounceMs = MAT_DEBOUNCE_MS } = {}) {
+    super("websocket", "Local mat bridge");
+    this.url = url;
+    this.debounceMs = debounceMs;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.socket = null;
+    this.reconnectTimer = null;
+    this.running = false;
+  }
+
+  start() {
+    this.running = true;
+    this.connect();
+  }
+
+  connect() {
+    if (typeof WebSocket === "undefined") {
+      this.setState("error", `${this.label}: WebSocket not supported by this browser`);
+      return;
+    }
+    this.setState("connecting", `${this.label}: Connecting to ${this.url}…`);
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (err) {
+      this.setState("error", `${this.label}: Invalid address ${this.url}`);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.setState("connected", `${this.label}: Connected to ${this.url}`);
+    };
+    socket.onmessage = (event) => {
+      // Timestamps come from this browser's clock, so pairing windows don't depend on the bridge clock
+      const msg = this.parseMessage(event.data);
+      if (!msg) return;
+      const now = Date.now();
+      if (msg.released) {
+        this.reportsRelease = true;
+        this.emitRelease(msg.signal, now, msg.groupId);
+      } else if (!this.isBounce(msg.signal, msg.groupId, now)) {
+        this.emitSignal(msg.signal, now, msg.groupId);
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (!this.running) return;
+      this.setState("error", `${this.label}: Disconnected, retrying in ${Math.round(this.reconnectDelayMs / 1000)}s`);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (this.running) this.connect();
+      }, this.reconnectDelayMs);
+    };
+  }
+
+  // Returns { signal, released, groupId } or null
+  parseMessage(data) {
+    const text = String(data).trim();
+    if (/^\d+$/.test(text)) return { signal: Number(text), released: false, groupId: null };
+    try {
+      const msg = JSON.parse(text);
+      return msg && typeof msg.matNumber === "number"
+        ? { signal: msg.matNumber, released: msg.released === true, groupId: Number.isInteger(msg.groupId) ? msg.groupId : null }
+        : null;
+    } catch (err) {
+      console.error("Mat bridge sent an unreadable message:", text);
+      return null;
+    }
+  }
+
+  stop() {
+    this.running = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    super.stop();
+  }
+}
+
+// Keyboard digits 1~9 act as mat tiles.
+class KeyboardMatAdapter extends MatInputAdapter {
+  constructor({ target = window } = {}) {
+    super("keyboard", "Keyboard");
+    this.target = target;
+    this.reportsRelease = true;
+    this.handler = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      // Typing into a text field should not press mat tiles
+      const tag = e.target && e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (!/^[1-9]$/.test(e.key)) return;
+      e.preventDefault();
+      this.emitSignal(Number(e.key), Date.now());
+    };
+    this.releaseHandler = (e) => {
+      if (/^[1-9]$/.test(e.key)) this.emitRelease(Number(e.key), Date.now());
+    };
+  }
+
+  start() {
+    this.target.addEventListener("keydown", this.handler);
+    this.target.addEventListener("keyup", this.releaseHandler);
+    this.setState("connected", `${this.label}: Keys 1~9 act as mat tiles`);
+  }
+
+  stop() {
+    this.target.removeEventListener("keydown", this.handler);
+    this.target.removeEventListener("keyup", this.releaseHandler);
+    super.stop();
+  }
+}
+
+// Plays a fixed list of presses: [{ signal, delayMs }], delayMs counted from the previous press.
+// Useful for testing the mat protocol and for demos without hardware.
+class ScriptedMatAdapter extends MatInputAdapter {
+  constructor({ events = [], label = "Scripted" } = {}) {
+    super("scripted", label);
+    this.events = events;
+    this.timer = null;
+    this.position = 0;
+  }
+
+  load(events) {
+    this.stop();
+    this.events = events;
+  }
+
+  start() {
+    this.position = 0;
+    this.scheduleNext();
+  }
+
+  scheduleNext() {
+    if (this.position >= this.events.length) {
+      this.setState("idle", `${this.label}: Finished (${this.events.length} presses)`);
+      return;
+    }
+    const { signal, delayMs = 0 } = this.events[this.position];
+    this.setState("connected", `${this.label}: Playing press ${this.position + 1}/${this.events.length}`);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.position++;
+      this.emitSignal(signal, Date.now());
+      this.scheduleNext();
+    }, delayMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    super.stop();
+  }
+}
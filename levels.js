@@ -0,0 +1,432 @@
+// levels.js - Level file format and local level library
+// File format (JSON, versioned):
+// {
+//   "format": "ray-grid-level",
+//   "version": 3,
+//   "name": "Corner maze",
+//   "size": 8,
+//   "rays": [                                                        // since version 3
+//     { "entry": { "side": "left", "index": 3 }, "exit": { "side": "bottom", "index": 5 }, "color": "#1e90ff" }
+//   ],
+//   "checkpoints": [[4, 4]],                                         // since version 3
+//   "fixedObstacles": [[0, 1], [1, 5]],
+//   "specialCells": [{ "r": 2, "c": 2, "type": "mirror-slash" }],   // since version 2
+//   "portals": [[[1, 1], [6, 6]]],                                   // since version 2
+//   "gestures": { "bindings": [{ "taps": [9], "action": "fire" }] }, // optional, see gestures.js
+//   "timeLimitSeconds": 300,                                         // optional, Play Mode timer
+//   "timeEvents": { "missedFire": -10, "checkpoint": 20 },           // optional, seconds added to the timer
+//   "scoring": { "matPenalty": 100 },                                // optional, see scoring.js
+//   "cover": { "hide": "full", "reveal": "path" }                    // optional, see fog.js
+// }
+// Each ray must leave through its own exit, and every checkpoint cell must be
+// passed by at least one ray. "color" is optional (RAY_COLORS by position).
+// specialCells types are the CELL_TYPES keys from ray.js: cw, mirror-slash,
+// mirror-backslash, absorber, breakable. Portals are listed as pairs.
+// All indices are 0-based, exactly like RayGridGame.level and RayGridGame.state.
+// Older files are still accepted: a top-level "entry"/"exit" pair (versions 1
+// and 2) is read as a single ray.
+
+const LEVEL_FORMAT = "ray-grid-level";
+const LEVEL_FORMAT_VERSION = 3;
+const LEVEL_SIDES = ["left", "right", "top", "bottom"];
+const LEVEL_MIN_SIZE = 3;
+const LEVEL_MAX_SIZE = 16;
+const LEVEL_DEFAULT_TIME_LIMIT = 300; // seconds
+const LEVEL_MIN_TIME_LIMIT = 30;
+const LEVEL_MAX_TIME_LIMIT = 3600;
+
+// Timed rounds gain (positive) or lose (negative) seconds when these happen ("timeEvents")
+const TIME_EVENTS = {
+  missedFire: "a fire that misses",
+  hint: "a hint",
+  checkpoint: "a checkpoint reached for the first time",
+};
+const TIME_EVENT_MAX_SECONDS = 600;
+
+// Default ray colours, by ray position (also the maximum number of rays)
+const RAY_COLORS = [
+  { color: "#1e90ff", name: "blue" },
+  { color: "#e74c3c", name: "red" },
+  { color: "#27ae60", name: "green" },
+  { color: "#8e44ad", name: "purple" },
+];
+
+// Built-in level used when nothing else has been loaded.
+const DEFAULT_LEVEL = {
+  name: "Default",
+  size: 8,
+  // Entry is from a side; index means row/col depending on side:
+  // - left/right validate index as row (0..size-1)
+  // - top/bottom validate index as col (0..size-1)
+  rays: [
+    {
+      entry: { side: "left", index: 3 },   // enters into (row=3, col=0), direction east
+      exit:  { side: "bottom", index: 5 },  // must exit from bottom side at col=5
+    },
+  ],
+
+  // Fixed obstacles (immutable)
+  fixedObstacles: [
+    [0, 1], [1, 5],
+    [2, 3], [3, 6],
+    [4, 6],
+    [5, 2],
+    [6, 4], [6, 6]
+  ],
+};
+
+// Empty level of the given size: entry in the middle of the left side, exit opposite.
+function createEmptyLevel(size, name = `Empty ${size}x${size}`) {
+  const middle = Math.floor((size - 1) / 2);
+  return parseLevel({
+    name,
+    size,
+    rays: [{ entry: { side: "left", index: middle }, exit: { side: "right", index: middle } }],
+    checkpoints: [],
+    fixedObstacles: [],
+    specialCells: [],
+    portals: [],
+  });
+}
+
+class LevelFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LevelFormatError";
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Special cell types allowed in specialCells (fixed obstacles and portals have their own lists)
+const SPECIAL_CELL_KEYS = ["cw", "mirror-slash", "mirror-backslash", "absorber", "breakable"];
+
+function parseCellPair(pair, field, size) {
+  if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(Number.isInteger)) {
+    throw new LevelFormatError(`"${field}" must be a [row, col] pair of integers (got ${JSON.stringify(pair)})`);
+  }
+  const [r, c] = pair;
+  if (r < 0 || r >= size || c < 0 || c >= size) {
+    throw new LevelFormatError(`"${field}" (${r},${c}) is outside the ${size}x${size} grid`);
+  }
+  return [r, c];
+}
+
+function parseSidePosition(raw, field, size) {
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError(`"${field}" must be an object like { "side": "left", "index": 0 }`);
+  }
+  if (!LEVEL_SIDES.includes(raw.side)) {
+    throw new LevelFormatError(`"${field}.side" must be one of ${LEVEL_SIDES.join(", ")} (got ${JSON.stringify(raw.side)})`);
+  }
+  if (!Number.isInteger(raw.index) || raw.index < 0 || raw.index >= size) {
+    throw new LevelFormatError(`"${field}.index" must be an integer from 0 to ${size - 1} for a ${size}x${size} grid (got ${JSON.stringify(raw.index)})`);
+  }
+  return { side: raw.side, index: raw.index };
+}
+
+// Validate a level (JSON text or already-parsed object) and return a normalized copy.
+// Throws LevelFormatError with a human-readable message when anything is wrong.
+function parseLevel(input) {
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch (err) {
+      throw new LevelFormatError(`Level file is not valid JSON (${err.message})`);
+    }
+  }
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError("Level must be a JSON object");
+  }
+
+  if (raw.format !== undefined && raw.format !== LEVEL_FORMAT) {
+    throw new LevelFormatError(`Not a level file (format is ${JSON.stringify(raw.format)}, expected "${LEVEL_FORMAT}")`);
+  }
+  const version = raw.version === undefined ? LEVEL_FORMAT_VERSION : raw.version;
+  if (!Number.isInteger(version) || version < 1 || version > LEVEL_FORMAT_VERSION) {
+    throw new LevelFormatError(`Unsupported level version ${JSON.stringify(raw.version)} (this game reads up to version ${LEVEL_FORMAT_VERSION})`);
+  }
+
+  const name = raw.name === undefined ? "Untitled" : raw.name;
+  if (typeof name !== "string" || name.trim() === "") {
+    throw new LevelFormatError(`"name" must be a non-empty string`);
+  }
+
+  const size = raw.size;
+  if (!Number.isInteger(size) || size < LEVEL_MIN_SIZE || size > LEVEL_MAX_SIZE) {
+    throw new LevelFormatError(`"size" must be an integer from ${LEVEL_MIN_SIZE} to ${LEVEL_MAX_SIZE} (got ${JSON.stringify(size)})`);
+  }
+
+  const rays = parseRays(raw, size);
+
+  const checkpointsRaw = raw.checkpoints === undefined ? [] : raw.checkpoints;
+  if (!Array.isArray(checkpointsRaw)) {
+    throw new LevelFormatError(`"checkpoints" must be an array of [row, col] pairs`);
+  }
+  const checkpointKeys = new Set();
+  const checkpoints = checkpointsRaw.map((pair, i) => {
+    const [r, c] = parseCellPair(pair, `checkpoints[${i}]`, size);
+    if (checkpointKeys.has(`${r},${c}`)) {
+      throw new LevelFormatError(`"checkpoints[${i}]" (${r},${c}) is listed more than once`);
+    }
+    checkpointKeys.add(`${r},${c}`);
+    return [r, c];
+  });
+
+  const obstaclesRaw = raw.fixedObstacles === undefined ? [] : raw.fixedObstacles;
+  if (!Array.isArray(obstaclesRaw)) {
+    throw new LevelFormatError(`"fixedObstacles" must be an array of [row, col] pairs`);
+  }
+  // Every cell may hold at most one level element
+  const used = new Map();
+  const claim = ([r, c], field) => {
+    const key = `${r},${c}`;
+    if (used.has(key)) {
+      throw new LevelFormatError(`"${field}" (${r},${c}) is already used by "${used.get(key)}"`);
+    }
+    used.set(key, field);
+  };
+
+  const fixedObstacles = obstaclesRaw.map((pair, i) => {
+    const cell = parseCellPair(pair, `fixedObstacles[${i}]`, size);
+    claim(cell, `fixedObstacles[${i}]`);
+    return cell;
+  });
+
+  const specialRaw = raw.specialCells === undefined ? [] : raw.specialCells;
+  if (!Array.isArray(specialRaw)) {
+    throw new LevelFormatError(`"specialCells" must be an array of { "r", "c", "type" } objects`);
+  }
+  const specialCells = specialRaw.map((cell, i) => {
+    const field = `specialCells[${i}]`;
+    if (!isPlainObject(cell)) {
+      throw new LevelFormatError(`"${field}" must be an object like { "r": 0, "c": 0, "type": "cw" }`);
+    }
+    if (!SPECIAL_CELL_KEYS.includes(cell.type)) {
+      throw new LevelFormatError(`"${field}.type" must be one of ${SPECIAL_CELL_KEYS.join(", ")} (got ${JSON.stringify(cell.type)})`);
+    }
+    const [r, c] = parseCellPair([cell.r, cell.c], field, size);
+    claim([r, c], field);
+    return { r, c, type: cell.type };
+  });
+
+  const portalsRaw = raw.portals === undefined ? [] : raw.portals;
+  if (!Array.isArray(portalsRaw)) {
+    throw new LevelFormatError(`"portals" must be an array of [[row, col], [row, col]] pairs`);
+  }
+  const portals = portalsRaw.map((pair, i) => {
+    if (!Array.isArray(pair) || pair.length !== 2) {
+      throw new LevelFormatError(`"portals[${i}]" must list exactly two cells (got ${JSON.stringify(pair)})`);
+    }
+    const a = parseCellPair(pair[0], `portals[${i}][0]`, size);
+    const b = parseCellPair(pair[1], `portals[${i}][1]`, size);
+    claim(a, `portals[${i}][0]`);
+    claim(b, `portals[${i}][1]`);
+    return [a, b];
+  });
+
+  let gestures = null;
+  if (raw.gestures !== undefined && raw.gestures !== null) {
+    gestures = parseGestureMap(raw.gestures);
+    // Tiles 1..size (1..8 on paged grids) are needed for coordinates
+    const coordinateTiles = Math.min(size, 8);
+    const clash = gestureCommandTiles(gestures).filter(tile => tile <= coordinateTiles);
+    if (clash.length) {
+      throw new LevelFormatError(`"gestures" uses tile ${clash.join(", ")} as a command, but a ${size}x${size} grid needs tiles 1 to ${coordinateTiles} for coordinates`);
+    }
+  }
+
+  const timeLimitSeconds = raw.timeLimitSeconds === undefined ? LEVEL_DEFAULT_TIME_LIMIT : raw.timeLimitSeconds;
+  if (!Number.isInteger(timeLimitSeconds) || timeLimitSeconds < LEVEL_MIN_TIME_LIMIT || timeLimitSeconds > LEVEL_MAX_TIME_LIMIT) {
+    throw new LevelFormatError(`"timeLimitSeconds" must be a whole number from ${LEVEL_MIN_TIME_LIMIT} to ${LEVEL_MAX_TIME_LIMIT} (got ${JSON.stringify(raw.timeLimitSeconds)})`);
+  }
+  const timeEvents = raw.timeEvents === undefined || raw.timeEvents === null ? null : parseTimeEvents(raw.timeEvents);
+  const scoring = raw.scoring === undefined || raw.scoring === null ? null : parseScoringWeights(raw.scoring);
+  const cover = raw.cover === undefined || raw.cover === null ? null : parseCoverSettings(raw.cover, size);
+
+  return {
+    name: name.trim(), size, rays, checkpoints, fixedObstacles, specialCells, portals,
+    gestures, timeLimitSeconds, timeEvents, scoring, cover,
+  };
+}
+
+// { missedFire, hint, checkpoint } in whole seconds; events left out change nothing
+function parseTimeEvents(raw, field = "timeEvents") {
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError(`"${field}" must be an object like { "missedFire": -10 }`);
+  }
+  const events = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(TIME_EVENTS, key)) {
+      throw new LevelFormatError(`"${field}.${key}" is not a time event (use ${Object.keys(TIME_EVENTS).join(", ")})`);
+    }
+    if (!Number.isInteger(value) || Math.abs(value) > TIME_EVENT_MAX_SECONDS) {
+      throw new LevelFormatError(`"${field}.${key}" must be a whole number of seconds from -${TIME_EVENT_MAX_SECONDS} to ${TIME_EVENT_MAX_SECONDS} (got ${JSON.stringify(value)})`);
+    }
+    events[key] = value;
+  }
+  return events;
+}
+
+function parseRays(raw, size) {
+  if (raw.rays !== undefined && (raw.entry !== undefined || raw.exit !== undefined)) {
+    throw new LevelFormatError(`Use either "rays" or a top-level "entry"/"exit", not both`);
+  }
+  // Versions 1 and 2: a single ray given by top-level entry/exit
+  if (raw.rays === undefined) {
+    return [{
+      entry: parseSidePosition(raw.entry, "entry", size),
+      exit: parseSidePosition(raw.exit, "exit", size),
+      color: RAY_COLORS[0].color,
+    }];
+  }
+
+  if (!Array.isArray(raw.rays) || raw.rays.length === 0 || raw.rays.length > RAY_COLORS.length) {
+    throw new LevelFormatError(`"rays" must be an array of 1 to ${RAY_COLORS.length} rays`);
+  }
+  const entries = new Set();
+  return raw.rays.map((ray, i) => {
+    if (!isPlainObject(ray)) {
+      throw new LevelFormatError(`"rays[${i}]" must be an object with "entry" and "exit"`);
+    }
+    const entry = parseSidePosition(ray.entry, `rays[${i}].entry`, size);
+    const exit = parseSidePosition(ray.exit, `rays[${i}].exit`, size);
+    const entryKey = `${entry.side}@${entry.index}`;
+    if (entries.has(entryKey)) {
+      throw new LevelFormatError(`"rays[${i}].entry" (${entry.side} @ ${entry.index}) is already the entry of another ray`);
+    }
+    entries.add(entryKey);
+
+    const color = ray.color === undefined ? RAY_COLORS[i].color : ray.color;
+    if (typeof color !== "string" || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      throw new LevelFormatError(`"rays[${i}].color" must be a colour like "#1e90ff" (got ${JSON.stringify(ray.color)})`);
+    }
+    return { entry, exit, color: color.toLowerCase() };
+  });
+}
+
+// Human-readable name of a ray for status messages, e.g. "Ray 2 (red)"
+function describeRay(level, rayIndex) {
+  const color = level.rays[rayIndex].color;
+  const known = RAY_COLORS.find(c => c.color === color);
+  return `Ray ${rayIndex + 1} (${known ? known.name : color})`;
+}
+
+// Border cell of a ray entry or exit { side, index } on a size×size grid
+function sideCell({ side, index }, size) {
+  if (side === "left") return { r: index, c: 0 };
+  if (side === "right") return { r: index, c: size - 1 };
+  if (side === "top") return { r: 0, c: index };
+  return { r: size - 1, c: index };
+}
+
+// Ray layout check against a state matrix, shown live by the Edit Mode palette and
+// run on generated levels: [{ rayIndex, kinds: ["entry" | "exit", ...], message }]
+function findLayoutProblems(level, state) {
+  const problems = [];
+  const size = state.length;
+  const rays = level.rays;
+  const inGrid = ({ r, c }) => r >= 0 && r < size && c >= 0 && c < size;
+  rays.forEach((ray, i) => {
+    const name = rays.length === 1 ? "Ray" : describeRay(level, i);
+    const cells = { entry: sideCell(ray.entry, size), exit: sideCell(ray.exit, size) };
+    const outside = ["entry", "exit"].filter(kind => !inGrid(cells[kind]));
+    for (const kind of outside) {
+      problems.push({ rayIndex: i, kinds: [kind], message: `${name} ${kind} ${ray[kind].side.toUpperCase()} @ ${ray[kind].index + 1} is outside the ${size}×${size} grid` });
+    }
+    if (outside.length > 0) return;
+
+    const { entry, exit } = cells;
+    if (entry.r === exit.r && entry.c === exit.c) {
+      problems.push({ rayIndex: i, kinds: ["entry", "exit"], message: `${name} enters and exits at the same cell (${entry.r + 1},${entry.c + 1})` });
+    }
+    for (const kind of ["entry", "exit"]) {
+      const { r, c } = cells[kind];
+      if (state[r][c] === CELL.ABSORBER) {
+        problems.push({ rayIndex: i, kinds: [kind], message: `${name} ${kind} cell (${r + 1},${c + 1}) is an absorber` });
+      }
+    }
+    const shared = rays.findIndex((other, j) => j < i && other.entry.side === ray.entry.side && other.entry.index === ray.entry.index);
+    if (shared !== -1) {
+      problems.push({ rayIndex: i, kinds: ["entry"], message: `${name} shares its entry with ${describeRay(level, shared)}` });
+    }
+  });
+  return problems;
+}
+
+// Turn a level into the JSON text written by "Export Level".
+function serializeLevel(level) {
+  return JSON.stringify({
+    format: LEVEL_FORMAT,
+    version: LEVEL_FORMAT_VERSION,
+    name: level.name,
+    size: level.size,
+    rays: level.rays,
+    checkpoints: level.checkpoints || [],
+    fixedObstacles: level.fixedObstacles,
+    specialCells: level.specialCells || [],
+    portals: level.portals || [],
+    ...(level.gestures ? { gestures: level.gestures } : {}),
+    timeLimitSeconds: level.timeLimitSeconds || LEVEL_DEFAULT_TIME_LIMIT,
+    ...(level.timeEvents ? { timeEvents: level.timeEvents } : {}),
+    ...(level.scoring ? { scoring: level.scoring } : {}),
+    ...(level.cover ? { cover: level.cover } : {}),
+  }, null, 2);
+}
+
+// Named levels persisted in localStorage.
+// Stored as { version, levels: { [name]: { level, savedAt } } }.
+class LevelLibrary {
+  constructor(storage, storageKey = "rayGrid.levelLibrary") {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+  }
+
+  readAll() {
+    if (!this.storage) return {};
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return {};
+      const data = JSON.parse(raw);
+      return isPlainObject(data) && isPlainObject(data.levels) ? data.levels : {};
+    } catch (err) {
+      console.error("Level library is unreadable, starting empty:", err);
+      return {};
+    }
+  }
+
+  writeAll(levels) {
+    if (!this.storage) throw new Error("Level library is not available (no localStorage)");
+    this.storage.setItem(this.storageKey, JSON.stringify({ version: LEVEL_FORMAT_VERSION, levels }));
+  }
+
+  names() {
+    return Object.keys(this.readAll()).sort((a, b) => a.localeCompare(b));
+  }
+
+  // Returns a validated level, or null if the name is unknown.
+  get(name) {
+    const entry = this.readAll()[name];
+    if (!entry) return null;
+    return parseLevel(entry.level);
+  }
+
+  save(name, level) {
+    const levels = this.readAll();
+    const normalized = parseLevel({ ...level, name });
+    levels[normalized.name] = { level: normalized, savedAt: Date.now() };
+    this.writeAll(levels);
+    return normalized;
+  }
+
+  remove(name) {
+    const levels = this.readAll();
+    if (!(name in levels)) return false;
+    delete levels[name];
+    this.writeAll(levels);
+    return true;
+  }
+}
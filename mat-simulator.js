@@ -0,0 +1,146 @@
+// mat-simulator.js - On-screen 3x3 mat for development and accessibility
+// The tiles (and keys 1~9 while the simulator is open) go through
+// RayGridGame.injectSignal(), the same path as real mat presses, so the
+// pairing window and the gestures of the active gesture map behave identically.
+// Tiles report when they are let go, so long-press gestures work here too.
+// With multiplayer on, a picker chooses which player's mat the tiles stand for.
+
+class MatSimulator {
+  constructor(game, { panel, pad, bufferEl, helpEl, toggleButton, playerSelect = null }) {
+    this.game = game;
+    this.panel = panel;
+    this.pad = pad;
+    this.bufferEl = bufferEl;
+    this.helpEl = helpEl;
+    this.toggleButton = toggleButton;
+    this.playerSelect = playerSelect;
+    this.tiles = {};
+    this.refreshTimer = null;
+    this.isOpen = false;
+
+    this.keyHandler = (e) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      const tag = e.target && e.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") return;
+      if (!/^[1-9]$/.test(e.key)) return;
+      // The keyboard input source already turns keys into signals
+      if (this.game.inputAdapter && this.game.inputAdapter.key === "keyboard") return;
+      e.preventDefault();
+      this.press(Number(e.key));
+    };
+    this.keyUpHandler = (e) => {
+      if (!/^[1-9]$/.test(e.key)) return;
+      if (this.game.inputAdapter && this.game.inputAdapter.key === "keyboard") return;
+      this.release(Number(e.key));
+    };
+
+    this.build();
+    if (this.toggleButton) {
+      this.toggleButton.addEventListener("click", () => this.toggle());
+    }
+  }
+
+  // Called again whenever the gesture map or the multiplayer setup changes
+  build() {
+    this.buildPlayerSelect();
+    if (!this.pad) return;
+    const map = this.game.gestureMap;
+    this.pad.innerHTML = "";
+    // Same layout as the physical mat: 1 2 3 / 4 5 6 / 7 8 9
+    for (let signal = 1; signal <= 9; signal++) {
+      const tile = document.createElement("button");
+      tile.type = "button";
+      const gestures = describeTileGestures(map, signal);
+      tile.className = gestures.length ? "mat-tile mat-tile-command" : "mat-tile";
+      tile.innerHTML = gestures.length
+        ? `${signal}<small>${gestures.join("<br>")}</small>`
+        : String(signal);
+      tile.addEventListener("pointerdown", (e) => {
+        e.preventDefault();
+        this.press(signal);
+      });
+      for (const type of ["pointerup", "pointerleave", "pointercancel"]) {
+        tile.addEventListener(type, () => this.release(signal));
+      }
+      this.tiles[signal] = tile;
+      this.pad.appendChild(tile);
+    }
+    if (this.helpEl) {
+      this.helpEl.textContent = `Click the tiles or press keys 1–9. Step on a row tile, then a column tile, within ${Math.round(map.pairWindowMs / 1000)} seconds.`;
+    }
+  }
+
+  buildPlayerSelect() {
+    const select = this.playerSelect;
+    if (!select) return;
+    const multiplayer = this.game.multiplayer;
+    const selected = select.value;
+    select.innerHTML = "";
+    select.hidden = !multiplayer || !multiplayer.active;
+    if (select.hidden) return;
+    for (const player of multiplayer.players) {
+      select.appendChild(new Option(`${player.name} (mat group ${player.groupId})`, String(player.groupId)));
+    }
+    if (multiplayer.players.some(player => String(player.groupId) === selected)) select.value = selected;
+  }
+
+  // Mat group the tiles stand for, or null outside multiplayer
+  groupId() {
+    return this.playerSelect && !this.playerSelect.hidden && this.playerSelect.value ? Number(this.playerSelect.value) : null;
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    if (!this.panel) return;
+    this.isOpen = true;
+    this.panel.hidden = false;
+    if (this.toggleButton) this.toggleButton.classList.add("active");
+    window.addEventListener("keydown", this.keyHandler);
+    window.addEventListener("keyup", this.keyUpHandler);
+    // Pairing windows expire on their own, so keep the buffer readout ticking
+    this.refreshTimer = setInterval(() => this.update(), 250);
+    this.update();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.isOpen = false;
+    this.panel.hidden = true;
+    if (this.toggleButton) this.toggleButton.classList.remove("active");
+    window.removeEventListener("keydown", this.keyHandler);
+    window.removeEventListener("keyup", this.keyUpHandler);
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  press(signal) {
+    this.game.injectSignal(signal, Date.now(), { releases: true, groupId: this.groupId() });
+  }
+
+  release(signal) {
+    this.game.injectRelease(signal, Date.now(), this.groupId());
+  }
+
+  // Briefly highlight a tile; called for every signal, whatever its source
+  flash(signal) {
+    const tile = this.tiles[signal];
+    if (!tile) return;
+    tile.classList.remove("pressed");
+    // Force a reflow so the animation restarts on repeated presses
+    void tile.offsetWidth;
+    tile.classList.add("pressed");
+  }
+
+  update() {
+    if (!this.bufferEl || !this.isOpen) return;
+    const groupId = this.groupId();
+    const player = groupId === null ? null : this.game.multiplayer.playerForGroup(groupId);
+    this.bufferEl.textContent = this.game.describeSignalBuffer(Date.now(), player || this.game);
+  }
+}
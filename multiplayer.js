@@ -0,0 +1,586 @@
+// multiplayer.js - Several mats, one player per mat group
+// Every mat reports its presses with a groupId (see input-adapters.js). Multiplayer
+// maps each group to a player with their own pending-input buffer, gestures, score
+// and mat colour. Two modes:
+// - competitive: each player gets their own copy of the maze (the boards under the
+//   grid) and the first to clear it wins the round,
+// - cooperative: players take turns placing or removing one mat on the shared grid;
+//   mats keep the colour of whoever placed them and the team clears the level together.
+// Presses without a group (keyboard, scripted demo) go to the player whose turn it is
+// (cooperative) or to player 1 (competitive). The setup is kept in the "multiplayer"
+// game setting; players linked to a profile get the round in their history.
+
+const MULTIPLAYER_MODES = {
+  off: "Off (one player)",
+  competitive: "Competitive (first to clear)",
+  cooperative: "Cooperative (take turns)",
+};
+const MULTIPLAYER_COLORS = ["#2980b9", "#c0392b", "#27ae60", "#8e44ad"];
+const MULTIPLAYER_MAX_PLAYERS = MULTIPLAYER_COLORS.length;
+
+// One mat group: its input state and, in competitive rounds, its own board
+class MatPlayer {
+  constructor(multiplayer, { groupId, profileId = null }) {
+    this.multiplayer = multiplayer;
+    this.groupId = groupId;
+    this.profileId = profileId;
+    this.signalBuffer = []; // same shape as RayGridEngine.signalBuffer
+    this.gestures = new GestureRecognizer(multiplayer.game.gestureMap, {
+      onAction: (action, gesture) => multiplayer.runAction(this, action, gesture),
+      onTap: (signal, timestamp) => multiplayer.coordinateTap(this, signal, timestamp),
+      onChange: () => multiplayer.render(),
+    });
+    this.resetRound();
+  }
+
+  get index() {
+    return this.multiplayer.players.indexOf(this);
+  }
+
+  get color() {
+    return MULTIPLAYER_COLORS[this.index];
+  }
+
+  get profile() {
+    return this.profileId ? this.multiplayer.game.profiles.get(this.profileId) : null;
+  }
+
+  get name() {
+    const profile = this.profile;
+    return profile ? profile.name : `Player ${this.index + 1}`;
+  }
+
+  cancelInput() {
+    this.signalBuffer = [];
+    this.gestures.cancel();
+  }
+
+  resetRound() {
+    this.cancelInput();
+    this.mats = new Set(); // "r,c" on this player's board (competitive)
+    this.moves = []; // board toggles, for undo
+    this.revealed = new Set(); // cells this player's rays uncovered (competitive)
+    this.fires = 0;
+    this.toggles = 0;
+    this.lastResult = null;
+  }
+}
+
+class Multiplayer {
+  constructor(game, { panel, toggleButton, modeSelect, playersEl, btnAddPlayer, boardsEl, resultsEl }) {
+    this.game = game;
+    this.panel = panel;
+    this.toggleButton = toggleButton;
+    this.modeSelect = modeSelect;
+    this.playersEl = playersEl;
+    this.btnAddPlayer = btnAddPlayer;
+    this.boardsEl = boardsEl;
+    this.resultsEl = resultsEl;
+    this.mode = "off";
+    this.players = [];
+    this.turn = 0; // cooperative: index of the player placing the next mat
+    this.matOwners = new Map(); // cooperative: "r,c" → player who placed the mat
+    this.winner = null; // competitive: the player who cleared first
+    this.results = null; // last recorded round, for the success modal
+    this.refreshTimer = null;
+    this.load();
+
+    for (const [key, label] of Object.entries(MULTIPLAYER_MODES)) modeSelect.appendChild(new Option(label, key));
+    modeSelect.value = this.mode;
+    modeSelect.addEventListener("change", () => this.setMode(modeSelect.value));
+    toggleButton.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleButton.classList.toggle("active", !panel.hidden);
+      this.render();
+    });
+    btnAddPlayer.addEventListener("click", () => this.addPlayer());
+    this.render();
+  }
+
+  get active() {
+    return this.mode !== "off" && this.players.length >= 2;
+  }
+
+  get competitive() {
+    return this.active && this.mode === "competitive";
+  }
+
+  get cooperative() {
+    return this.active && this.mode === "cooperative";
+  }
+
+  // ---------- Setup ----------
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(this.game.loadSetting("multiplayer") || "null");
+    } catch (err) {
+      console.error("Could not read the multiplayer setup:", err);
+    }
+    if (saved && MULTIPLAYER_MODES[saved.mode] && Array.isArray(saved.players)) {
+      this.mode = saved.mode;
+      for (const player of saved.players.slice(0, MULTIPLAYER_MAX_PLAYERS)) {
+        if (Number.isInteger(player.groupId) && player.groupId >= 1) this.players.push(new MatPlayer(this, player));
+      }
+    }
+    // Two mats is the usual setup: groups 1 and 2
+    while (this.players.length < 2) this.players.push(new MatPlayer(this, { groupId: this.nextGroupId() }));
+  }
+
+  save() {
+    this.game.saveSetting("multiplayer", JSON.stringify({
+      mode: this.mode,
+      players: this.players.map(({ groupId, profileId }) => ({ groupId, profileId })),
+    }));
+  }
+
+  nextGroupId() {
+    return Math.max(0, ...this.players.map(player => player.groupId)) + 1;
+  }
+
+  // Any change to the setup starts a new round
+  changed(message) {
+    this.save();
+    this.resetRound();
+    this.game.updateMatGroups();
+    this.game.renderAll();
+    this.game.setStatus(`${this.game.describeLevel()} | ${message}`);
+  }
+
+  setMode(mode) {
+    if (!MULTIPLAYER_MODES[mode]) return;
+    this.mode = mode;
+    if (this.modeSelect) this.modeSelect.value = mode;
+    this.changed(mode === "off" ? "Multiplayer off" : `Multiplayer: ${MULTIPLAYER_MODES[mode]}, ${this.players.length} players`);
+  }
+
+  addPlayer() {
+    if (this.players.length >= MULTIPLAYER_MAX_PLAYERS) {
+      this.game.setStatus(`${this.game.describeLevel()} | At most ${MULTIPLAYER_MAX_PLAYERS} players`);
+      return;
+    }
+    const player = new MatPlayer(this, { groupId: this.nextGroupId() });
+    this.players.push(player);
+    this.changed(`Added ${player.name} on mat group ${player.groupId}`);
+  }
+
+  removePlayer(player) {
+    if (this.players.length <= 1) return;
+    const name = player.name;
+    player.cancelInput();
+    this.players.splice(this.players.indexOf(player), 1);
+    this.changed(`Removed ${name}`);
+  }
+
+  setPlayerGroup(player, groupId) {
+    if (!Number.isInteger(groupId) || groupId < 1) {
+      this.game.setStatus(`${this.game.describeLevel()} | Mat group must be a whole number from 1`);
+      this.render();
+      return;
+    }
+    const other = this.players.find(p => p !== player && p.groupId === groupId);
+    if (other) {
+      this.game.setStatus(`${this.game.describeLevel()} | Mat group ${groupId} is already used by ${other.name}`);
+      this.render();
+      return;
+    }
+    player.groupId = groupId;
+    this.changed(`${player.name} now plays on mat group ${groupId}`);
+  }
+
+  setPlayerProfile(player, profileId) {
+    player.profileId = profileId || null;
+    this.changed(`Player ${player.index + 1} is ${player.name}`);
+  }
+
+  applyGestureMap(map) {
+    for (const player of this.players) player.gestures.setMap(map);
+  }
+
+  cancelInput() {
+    for (const player of this.players) player.cancelInput();
+    this.render();
+  }
+
+  // New round (Play Mode started, level loaded, setup changed)
+  resetRound() {
+    for (const player of this.players) player.resetRound();
+    this.turn = 0;
+    this.matOwners.clear();
+    this.winner = null;
+    this.results = null;
+    this.render();
+  }
+
+  // ---------- Input ----------
+  playerForGroup(groupId) {
+    if (groupId === null || groupId === undefined) return this.cooperative ? this.players[this.turn] : this.players[0];
+    return this.players.find(player => player.groupId === groupId) || null;
+  }
+
+  // Same steps as RayGridGame.processSignal(), with the player's own buffer and gestures
+  handleSignal(groupId, signal, timestamp, { releases = false } = {}) {
+    const player = this.playerForGroup(groupId);
+    if (!player) {
+      this.game.setStatus(`${this.game.describeLevel()} | Ignored tile ${signal} from mat group ${groupId}: no player uses that mat`);
+      return;
+    }
+    if (!player.gestures.press(signal, timestamp, { releases })) this.coordinateTap(player, signal, timestamp);
+    this.render();
+  }
+
+  handleRelease(groupId, signal, timestamp) {
+    const player = this.playerForGroup(groupId);
+    if (player) player.gestures.release(signal, timestamp);
+  }
+
+  coordinateTap(player, signal, timestamp) {
+    const game = this.game;
+    const tap = game.engine.decodeTap(player.signalBuffer, signal, timestamp);
+    if (!tap) {
+      game.rowTapped(player.signalBuffer);
+      return;
+    }
+    const { r, c, signals } = tap;
+    const via = `${player.name} via signals [${signals.join(",")}]`;
+    if (r < 0 || r >= game.N || c < 0 || c >= game.N) {
+      game.setStatus(`${game.describeLevel()} | Ignored ${via}: cell is outside the ${game.N}x${game.N} grid`);
+      return;
+    }
+    if (this.competitive && game.coverVisible) {
+      this.toggleBoardCell(player, r, c);
+      return;
+    }
+    // Edit Mode, or a cooperative round on the shared grid
+    if (this.cooperative && game.coverVisible && player !== this.players[this.turn]) {
+      game.setStatus(`${game.describeLevel()} | ${player.name} tried (${r + 1},${c + 1}), but it is ${this.players[this.turn].name}'s turn`);
+      return;
+    }
+    if (game.toggleCell(r, c) && game.signalHud) game.signalHud.flashCell(r, c);
+  }
+
+  // Called by RayGridGame.toggleCell() after a cooperative Play Mode toggle.
+  // Returns the status text: who moved and whose turn it is now.
+  sharedToggled(r, c, value) {
+    const player = this.players[this.turn];
+    if (value === 1) this.matOwners.set(`${r},${c}`, player);
+    else this.matOwners.delete(`${r},${c}`);
+    player.toggles++;
+    this.turn = (this.turn + 1) % this.players.length;
+    this.render();
+    return `${player.name} ${value === 1 ? "placed" : "removed"} a mat, ${this.players[this.turn].name}'s turn`;
+  }
+
+  // Colour of the player mat at (r, c) on the shared grid, or null for the default
+  matColor(r, c) {
+    if (!this.cooperative) return null;
+    const owner = this.matOwners.get(`${r},${c}`);
+    return owner && this.players.includes(owner) ? owner.color : null;
+  }
+
+  runAction(player, action, gesture) {
+    const game = this.game;
+    if (action !== "pauseTimer" && action !== "toggleCover" && game.roundInputBlocked()) return;
+    if (!this.competitive || !game.coverVisible) {
+      if (action === "fire" && game.coverVisible) player.fires++;
+      game.runGestureAction(action, gesture);
+      return;
+    }
+    game.recorder.record("gesture", { action, gesture, player: player.index + 1 });
+    if (action === "fire") {
+      this.fire(player);
+      if (game.signalHud) game.signalHud.announce(`${player.name}: Fire!`);
+    } else if (action === "reset") {
+      player.mats.clear();
+      player.moves = [];
+      player.lastResult = null;
+      game.recorder.record("board", { player: player.index + 1, reset: true });
+      game.setStatus(`${game.describeLevel()} | ${player.name} cleared their board`);
+    } else if (action === "undo") {
+      const key = player.moves.pop();
+      if (key) {
+        const [r, c] = key.split(",").map(Number);
+        this.toggleBoardCell(player, r, c, { undo: true });
+      } else {
+        game.setStatus(`${game.describeLevel()} | ${player.name}: nothing to undo`);
+      }
+    } else if (action === "toggleCover" || action === "pauseTimer") {
+      game.runGestureAction(action, gesture);
+    } else {
+      game.setStatus(`${game.describeLevel()} | Gesture "${gesture}" isn't used in competitive rounds`);
+    }
+    this.render();
+  }
+
+  // ---------- Competitive boards ----------
+  // The level with this player's mats (the shared grid's mats are left out)
+  boardGrid(player) {
+    const grid = this.game.state.map(row => row.map(v => (v === 1 ? 0 : v)));
+    for (const key of player.mats) {
+      const [r, c] = key.split(",").map(Number);
+      grid[r][c] = 1;
+    }
+    return grid;
+  }
+
+  isBoardHidden(player, r, c) {
+    return this.game.fog.isHidden(r, c) && !player.revealed.has(`${r},${c}`);
+  }
+
+  toggleBoardCell(player, r, c, { undo = false } = {}) {
+    const game = this.game;
+    if (game.roundInputBlocked()) return;
+    if (this.winner) {
+      game.setStatus(`${game.describeLevel()} | ${this.winner.name} already won this round`);
+      return;
+    }
+    if (isLevelCell(game.state[r][c])) return; // level cells can't be changed, same as the shared grid
+    const key = `${r},${c}`;
+    if (player.mats.has(key)) player.mats.delete(key);
+    else player.mats.add(key);
+    if (!undo) player.moves.push(key);
+    player.toggles++;
+    player.lastResult = null;
+    const value = player.mats.has(key) ? 1 : 0;
+    game.cue(value ? "place" : "remove");
+    game.recorder.record("board", { player: player.index + 1, r, c, value, ...(undo ? { undo: true } : {}) });
+    game.setStatus(`${game.describeLevel()} | ${player.name} ${undo ? "undid" : "toggled"} (${r + 1},${c + 1})`);
+    this.render();
+  }
+
+  fire(player) {
+    const game = this.game;
+    if (game.roundInputBlocked()) return;
+    if (this.winner) return;
+    const grid = this.boardGrid(player);
+    const result = game.engine.trace(grid);
+    player.fires++;
+    player.lastResult = result;
+    if (game.coverVisible) {
+      for (const key of game.fog.cellsRevealedBy(result, grid)) player.revealed.add(key);
+    }
+    game.recorder.record("board-fire", { player: player.index + 1, outcome: result.outcome, reason: result.reason });
+    game.cue(result.outcome === "WIN" ? "win" : "miss");
+    if (result.outcome === "WIN" && game.coverVisible && game.engine.roundState === "playing") {
+      this.finishRound(player);
+    } else {
+      game.setStatus(`${game.describeLevel()} | ${player.name}: ${result.outcome === "WIN" ? result.reason : game.describeFailure(result)}`);
+    }
+    this.render();
+  }
+
+  finishRound(winner) {
+    const game = this.game;
+    this.winner = winner;
+    game.engine.win();
+    const round = this.recordRound("pass");
+    game.setStatus(`CLEARED. ${game.describeLevel()} | ${winner.name} cleared it first!`);
+    game.showSuccessModal(round);
+  }
+
+  // ---------- Scores ----------
+  playerStats(player) {
+    return this.game.getRoundStats({ mats: player.mats.size, attempts: player.fires, hints: 0 });
+  }
+
+  teamName() {
+    return this.players.map(player => player.name).join(" & ");
+  }
+
+  // Saves a finished Play Mode round for every player ("pass" or "fail").
+  // Cooperative: the team's result goes to each linked profile and the leaderboard
+  // lists the team. Competitive: only the winner passes. Returns the round shown
+  // in the success modal (see RayGridGame.recordRoundResult()).
+  recordRound(result) {
+    const game = this.game;
+    if (this.cooperative) {
+      const round = game.recordRoundResult(result, {
+        players: this.players.map(player => player.profile).filter(Boolean),
+        name: this.teamName(),
+      });
+      const placed = new Map(this.players.map(player => [player, 0]));
+      for (const owner of this.matOwners.values()) if (placed.has(owner)) placed.set(owner, placed.get(owner) + 1);
+      this.results = this.players.map(player => ({
+        player, won: result === "pass", mats: placed.get(player), fires: player.fires, score: round.stats.score,
+      }));
+      return round;
+    }
+    let shown = null;
+    this.results = this.players.map((player) => {
+      const won = result === "pass" && player === this.winner;
+      const stats = this.playerStats(player);
+      const profile = player.profile;
+      const round = game.recordRoundResult(won ? "pass" : "fail", { stats, players: [profile], name: profile ? profile.name : null });
+      if (won) shown = round;
+      return { player, won, mats: stats.mats, fires: stats.attempts, score: won ? stats.score : 0 };
+    });
+    return shown;
+  }
+
+  // Per-player table in the success modal
+  renderResults() {
+    if (!this.resultsEl) return;
+    this.resultsEl.hidden = !this.active || !this.results;
+    if (this.resultsEl.hidden) return;
+    const body = this.resultsEl.querySelector("tbody");
+    body.innerHTML = "";
+    for (const row of this.results) {
+      const tr = body.insertRow();
+      if (row.won && this.competitive) tr.className = "current";
+      const cells = [row.player.name, row.mats, row.fires, row.score.toLocaleString(), row.won ? "過關" : "未過關"];
+      cells.forEach((value, i) => {
+        const td = tr.insertCell();
+        td.textContent = String(value);
+        if (i === 0) td.style.color = row.player.color;
+      });
+    }
+  }
+
+  // ---------- Rendering ----------
+  render() {
+    if (this.panel && !this.panel.hidden) this.renderSetup();
+    if (this.toggleButton) {
+      this.toggleButton.textContent = this.active ? `Multiplayer: ${this.mode} (${this.players.length})` : "Multiplayer";
+    }
+    this.renderBoards();
+  }
+
+  renderSetup() {
+    const profiles = this.game.profiles.list();
+    this.playersEl.innerHTML = "";
+    for (const player of this.players) {
+      const row = document.createElement("div");
+      row.className = "mp-player-row";
+      row.style.setProperty("--player-color", player.color);
+
+      const label = document.createElement("span");
+      label.className = "mp-swatch";
+      label.textContent = `Player ${player.index + 1}`;
+      row.appendChild(label);
+
+      const profileSelect = document.createElement("select");
+      profileSelect.title = "Profile the player's rounds are saved to";
+      profileSelect.appendChild(new Option("Guest", ""));
+      for (const profile of profiles) profileSelect.appendChild(new Option(profile.name, profile.id));
+      profileSelect.value = player.profile ? player.profileId : "";
+      profileSelect.addEventListener("change", () => this.setPlayerProfile(player, profileSelect.value));
+      row.appendChild(profileSelect);
+
+      const groupLabel = document.createElement("label");
+      groupLabel.textContent = "Mat group ";
+      const groupInput = document.createElement("input");
+      groupInput.type = "number";
+      groupInput.min = "1";
+      groupInput.value = String(player.groupId);
+      groupInput.addEventListener("change", () => this.setPlayerGroup(player, Number(groupInput.value)));
+      groupLabel.appendChild(groupInput);
+      row.appendChild(groupLabel);
+
+      const remove = document.createElement("button");
+      remove.textContent = "×";
+      remove.title = "Remove this player";
+      remove.disabled = this.players.length <= 1;
+      remove.addEventListener("click", () => this.removePlayer(player));
+      row.appendChild(remove);
+      this.playersEl.appendChild(row);
+    }
+    this.btnAddPlayer.disabled = this.players.length >= MULTIPLAYER_MAX_PLAYERS;
+  }
+
+  // Player cards (and the boards in a competitive Play Mode round) under the grid
+  renderBoards() {
+    const el = this.boardsEl;
+    if (!el) return;
+    el.hidden = !this.active;
+    el.innerHTML = "";
+    if (!this.active) return;
+    const game = this.game;
+    const now = Date.now();
+    const showBoards = this.competitive && game.coverVisible;
+    let pending = false;
+    for (const player of this.players) {
+      const card = document.createElement("div");
+      card.className = "mp-card";
+      card.style.setProperty("--player-color", player.color);
+      card.classList.toggle("turn", this.cooperative && game.coverVisible && player === this.players[this.turn]);
+      card.classList.toggle("winner", player === this.winner);
+
+      const title = document.createElement("div");
+      title.className = "mp-card-title";
+      const turnText = card.classList.contains("turn") ? " · ▶ turn" : player === this.winner ? " · 🏆" : "";
+      title.textContent = `${player.name} · mat group ${player.groupId}${turnText}`;
+      card.appendChild(title);
+
+      const stats = document.createElement("div");
+      stats.className = "mp-card-stats";
+      if (showBoards) {
+        const outcome = player.lastResult ? ` · last ray: ${player.lastResult.outcome === "WIN" ? "cleared" : "missed"}` : "";
+        stats.textContent = `${player.mats.size} mat(s) · ${player.fires} fire(s)${outcome}`;
+      } else {
+        stats.textContent = `${player.toggles} move(s) · ${player.fires} fire(s)`;
+      }
+      card.appendChild(stats);
+
+      const state = game.getSignalState(now, player);
+      if (state.taps.length || state.command) {
+        pending = true;
+        const input = document.createElement("div");
+        input.className = "mp-card-input";
+        input.textContent = game.describeSignalBuffer(now, player);
+        card.appendChild(input);
+      }
+      if (showBoards) card.appendChild(this.renderBoard(player));
+      el.appendChild(card);
+    }
+    // Keep the pending-input countdowns current
+    if (pending && !this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.renderBoards();
+      }, 500);
+    }
+  }
+
+  renderBoard(player) {
+    const game = this.game;
+    const board = document.createElement("div");
+    board.className = "mp-board";
+    board.style.setProperty("--grid-n", String(game.N));
+    const path = new Set();
+    if (player.lastResult) {
+      for (const ray of player.lastResult.rays) for (const { r, c } of ray.path) path.add(`${r},${c}`);
+    }
+    for (let r = 0; r < game.N; r++) {
+      for (let c = 0; c < game.N; c++) {
+        const key = `${r},${c}`;
+        const cell = document.createElement("div");
+        cell.className = "mp-cell";
+        const v = game.state[r][c];
+        if (player.mats.has(key)) {
+          cell.classList.add("mp-mat");
+        } else if (this.isBoardHidden(player, r, c)) {
+          cell.classList.add("mp-hidden");
+        } else if (isLevelCell(v)) {
+          const type = CELL_TYPES[v];
+          cell.classList.add("mp-level");
+          cell.textContent = type.glyph;
+          cell.title = type.label;
+        }
+        if (path.has(key)) cell.classList.add("mp-path");
+        cell.addEventListener("click", () => this.toggleBoardCell(player, r, c));
+        board.appendChild(cell);
+      }
+    }
+    const fire = document.createElement("button");
+    fire.className = "mp-fire";
+    fire.textContent = "Fire";
+    const roundState = game.engine.roundState;
+    fire.disabled = !!this.winner || roundState === "paused" || roundState === "lost";
+    fire.addEventListener("click", () => this.fire(player));
+    const wrap = document.createElement("div");
+    wrap.className = "mp-board-wrap";
+    wrap.appendChild(board);
+    wrap.appendChild(fire);
+    return wrap;
+  }
+}
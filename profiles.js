@@ -0,0 +1,158 @@
+// profiles.js - Player profiles and play history
+// Profiles are kept in localStorage as
+// { version, activeId, profiles: { [id]: { id, name, createdAt, settings, history } } }.
+// Every finished Play Mode round adds a history entry:
+// { at, level, size, result: "pass" | "fail", attempts, mats, seconds, hints, score, stars, practice? }
+// where "fail" means the timer ran out (score and stars are 0; see scoring.js) and practice marks
+// an untimed round. settings holds per-player choices such as the gesture map (see gestures.js),
+// practice mode and the sound volume and mute (see sound.js).
+
+const PROFILE_HISTORY_LIMIT = 5000; // oldest rounds are dropped beyond this
+
+class PlayerProfiles {
+  constructor(storage, storageKey = "rayGrid.profiles") {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+  }
+
+  read() {
+    const empty = { activeId: null, profiles: {} };
+    if (!this.storage) return empty;
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return empty;
+      const data = JSON.parse(raw);
+      if (!isPlainObject(data) || !isPlainObject(data.profiles)) return empty;
+      return { activeId: data.profiles[data.activeId] ? data.activeId : null, profiles: data.profiles };
+    } catch (err) {
+      console.error("Player profiles are unreadable, starting empty:", err);
+      return empty;
+    }
+  }
+
+  write(data) {
+    if (!this.storage) throw new Error("Player profiles are not available (no localStorage)");
+    this.storage.setItem(this.storageKey, JSON.stringify({ version: 1, ...data }));
+  }
+
+  list() {
+    return Object.values(this.read().profiles).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.read().profiles[id] || null;
+  }
+
+  active() {
+    const data = this.read();
+    return data.activeId ? data.profiles[data.activeId] : null;
+  }
+
+  setActive(id) {
+    const data = this.read();
+    data.activeId = id && data.profiles[id] ? id : null;
+    this.write(data);
+  }
+
+  create(name) {
+    const trimmed = String(name || "").trim();
+    if (!trimmed) throw new Error("Enter a player name");
+    const data = this.read();
+    if (Object.values(data.profiles).some(p => p.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`A player called "${trimmed}" already exists`);
+    }
+    const id = `p${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+    const profile = { id, name: trimmed, createdAt: Date.now(), settings: {}, history: [] };
+    data.profiles[id] = profile;
+    data.activeId = id;
+    this.write(data);
+    return profile;
+  }
+
+  remove(id) {
+    const data = this.read();
+    delete data.profiles[id];
+    if (data.activeId === id) data.activeId = null;
+    this.write(data);
+  }
+
+  update(id, change) {
+    const data = this.read();
+    const profile = data.profiles[id];
+    if (!profile) return null;
+    change(profile);
+    this.write(data);
+    return profile;
+  }
+
+  addResult(id, entry) {
+    return this.update(id, (profile) => {
+      profile.history.push(entry);
+      if (profile.history.length > PROFILE_HISTORY_LIMIT) {
+        profile.history.splice(0, profile.history.length - PROFILE_HISTORY_LIMIT);
+      }
+    });
+  }
+
+  setSetting(id, name, value) {
+    return this.update(id, (profile) => {
+      profile.settings = { ...profile.settings, [name]: value };
+    });
+  }
+}
+
+// Local midnight on the Monday of the week containing `at`
+function historyWeekStart(at) {
+  const d = new Date(at);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+// The week's Monday as a local "YYYY-MM-DD" string
+function historyWeekKey(at) {
+  const d = historyWeekStart(at);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Totals for a list of history entries
+function summarizeHistory(entries) {
+  const passes = entries.filter(e => e.result === "pass");
+  const average = (list, key) => (list.length ? list.reduce((sum, e) => sum + e[key], 0) / list.length : null);
+  return {
+    rounds: entries.length,
+    passes: passes.length,
+    passRate: entries.length ? passes.length / entries.length : null,
+    // Time, mats and attempts only mean something for cleared rounds
+    avgSeconds: average(passes, "seconds"),
+    avgMats: average(passes, "mats"),
+    avgAttempts: average(passes, "attempts"),
+    bestScore: passes.length ? Math.max(...passes.map(e => e.score)) : null,
+    lastAt: entries.length ? Math.max(...entries.map(e => e.at)) : null,
+  };
+}
+
+// [{ week, ...summary }] for the last `weeks` weeks (oldest first), including empty weeks
+function summarizeByWeek(history, weeks = 8, now = Date.now()) {
+  const result = [];
+  const start = historyWeekStart(now);
+  for (let i = weeks - 1; i >= 0; i--) {
+    const d = new Date(start);
+    d.setDate(d.getDate() - i * 7);
+    const week = historyWeekKey(d.getTime());
+    result.push({ week, ...summarizeHistory(history.filter(e => historyWeekKey(e.at) === week)) });
+  }
+  return result;
+}
+
+// [{ level, ...summary }], most recently played first
+function summarizeByLevel(history) {
+  const byLevel = new Map();
+  for (const entry of history) {
+    if (!byLevel.has(entry.level)) byLevel.set(entry.level, []);
+    byLevel.get(entry.level).push(entry);
+  }
+  return [...byLevel.entries()]
+    .map(([level, entries]) => ({ level, ...summarizeHistory(entries) }))
+    .sort((a, b) => b.lastAt - a.lastAt);
+}
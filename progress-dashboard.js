@@ -0,0 +1,151 @@
+// progress-dashboard.js - Player picker and progress overview
+// Shows the active player's rounds week by week (last 8 weeks) and per level,
+// and exports the full history as CSV for therapy reports.
+// Data comes from PlayerProfiles (profiles.js); RayGridGame records the rounds.
+
+class ProgressDashboard {
+  constructor(game, { panel, toggleButton, profileSelect, nameInput, btnNew, btnDelete, btnExport, summaryEl, weeksEl, levelsEl }) {
+    this.game = game;
+    this.panel = panel;
+    this.toggleButton = toggleButton;
+    this.profileSelect = profileSelect;
+    this.nameInput = nameInput;
+    this.summaryEl = summaryEl;
+    this.weeksEl = weeksEl;
+    this.levelsEl = levelsEl;
+
+    toggleButton.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleButton.classList.toggle("active", !panel.hidden);
+      if (!panel.hidden) this.render();
+    });
+    profileSelect.addEventListener("change", () => game.selectProfile(profileSelect.value || null));
+    btnNew.addEventListener("click", () => {
+      game.createProfile(nameInput.value);
+      nameInput.value = "";
+    });
+    btnDelete.addEventListener("click", () => game.deleteActiveProfile());
+    btnExport.addEventListener("click", () => this.exportCsv());
+    this.render();
+  }
+
+  render() {
+    const profiles = this.game.profiles.list();
+    const active = this.game.profiles.active();
+
+    this.profileSelect.innerHTML = "";
+    this.profileSelect.appendChild(new Option("Guest (rounds not saved)", ""));
+    for (const profile of profiles) {
+      this.profileSelect.appendChild(new Option(profile.name, profile.id));
+    }
+    this.profileSelect.value = active ? active.id : "";
+    this.toggleButton.textContent = active ? `Progress: ${active.name}` : "Progress";
+
+    if (this.panel.hidden) return;
+    this.weeksEl.innerHTML = "";
+    this.levelsEl.innerHTML = "";
+    if (!active) {
+      this.summaryEl.textContent = "Pick or create a player to keep their results.";
+      return;
+    }
+    const history = active.history;
+    const total = summarizeHistory(history);
+    this.summaryEl.textContent = total.rounds
+      ? `${total.rounds} round(s), ${total.passes} cleared (${this.percent(total.passRate)}) · ` +
+        `cleared rounds average ${this.duration(total.avgSeconds)}, ${this.number(total.avgMats)} mat(s), ${this.number(total.avgAttempts)} fire(s)`
+      : `No rounds yet for ${active.name}. Results are saved when a level is cleared or the timer runs out.`;
+    if (!total.rounds) return;
+
+    this.renderTable(this.weeksEl, ["Week of", "Rounds", "Cleared", "Avg time", "Avg mats", "Avg fires", ""],
+      summarizeByWeek(history).map(week => [
+        week.week,
+        week.rounds,
+        week.rounds ? `${week.passes} (${this.percent(week.passRate)})` : "–",
+        this.duration(week.avgSeconds),
+        this.number(week.avgMats),
+        this.number(week.avgAttempts),
+        this.bar(week.passRate),
+      ]));
+    this.renderTable(this.levelsEl, ["Level", "Rounds", "Cleared", "Best time", "Best score", "Last played"],
+      summarizeByLevel(history).map(level => {
+        const cleared = history.filter(e => e.level === level.level && e.result === "pass");
+        return [
+          level.level,
+          level.rounds,
+          `${level.passes} (${this.percent(level.passRate)})`,
+          this.duration(cleared.length ? Math.min(...cleared.map(e => e.seconds)) : null),
+          level.bestScore === null ? "–" : level.bestScore.toLocaleString(),
+          new Date(level.lastAt).toLocaleDateString(),
+        ];
+      }));
+  }
+
+  // Cells are text (player and level names are user input) or ready-made elements
+  renderTable(container, headings, rows) {
+    const table = document.createElement("table");
+    table.className = "progress-table";
+    const head = table.createTHead().insertRow();
+    for (const heading of headings) {
+      const th = document.createElement("th");
+      th.textContent = heading;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const row of rows) {
+      const tr = body.insertRow();
+      for (const value of row) {
+        const td = tr.insertCell();
+        if (value instanceof Node) td.appendChild(value);
+        else td.textContent = String(value);
+      }
+    }
+    container.appendChild(table);
+  }
+
+  // Pass-rate bar for the weekly trend
+  bar(rate) {
+    const outer = document.createElement("div");
+    outer.className = "progress-bar";
+    const inner = document.createElement("div");
+    inner.style.width = `${Math.round((rate || 0) * 100)}%`;
+    outer.appendChild(inner);
+    return outer;
+  }
+
+  percent(rate) {
+    return rate === null ? "–" : `${Math.round(rate * 100)}%`;
+  }
+
+  number(value) {
+    return value === null ? "–" : value.toFixed(1);
+  }
+
+  duration(seconds) {
+    if (seconds === null) return "–";
+    const s = Math.round(seconds);
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+  }
+
+  exportCsv() {
+    const active = this.game.profiles.active();
+    if (!active) {
+      this.game.setStatus(`${this.game.describeLevel()} | Pick a player to export their history`);
+      return;
+    }
+    const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+    const lines = [["date", "level", "size", "result", "fires", "mats", "seconds", "hints", "score", "stars"].join(",")];
+    for (const e of active.history) {
+      lines.push([new Date(e.at).toISOString(), quote(e.level), e.size, e.result, e.attempts, e.mats, e.seconds, e.hints || 0, e.score, e.stars || 0].join(","));
+    }
+    const blob = new Blob([lines.join("\n") + "\n"], { type: "text/csv" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${active.name.replace(/[^\w-]+/g, "_")}-progress.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    this.game.setStatus(`${this.game.describeLevel()} | Exported ${active.history.length} round(s) for ${active.name}`);
+  }
+}
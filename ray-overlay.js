@@ -0,0 +1,119 @@
+// ray-overlay.js - Ray path drawing
+// Draws each fired ray as an SVG polyline over the grid: a beam coming in from
+// outside the entry, an arrow on every step showing the direction of travel,
+// a marker on each cell where the ray turned, a dashed jump between portals, and
+// a beam leaving through the side it exited (or a cross where it was stopped).
+// Steps that pass through a cell again use RAY_REVISIT_COLORS, so loops stand out.
+// The overlay sits under the Play Mode cover, so it never shows hidden cells.
+// Paths come from RaySim.trace() (see ray.js), using dirBeforeCell / dirAfterCell.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Colours for the 2nd, 3rd and 4th+ pass through the same cell
+const RAY_REVISIT_COLORS = ["#8e44ad", "#e84393", "#6d4c41"];
+
+const RAY_ARROW_ANGLES = { E: 0, S: 90, W: 180, N: -90 };
+
+class RayOverlay {
+  // className: extra layers (e.g. the hint path, see hints.js) style themselves differently
+  constructor(game, { className = "ray-overlay" } = {}) {
+    this.game = game;
+    this.className = className;
+    this.svg = null;
+  }
+
+  // buildGrid() clears the grid container, so the overlay is re-created each time
+  attachToGrid() {
+    this.svg = document.createElementNS(SVG_NS, "svg");
+    this.svg.setAttribute("class", this.className);
+    this.svg.setAttribute("aria-hidden", "true");
+    this.game.gridEl.appendChild(this.svg);
+  }
+
+  clear() {
+    if (this.svg) this.svg.innerHTML = "";
+  }
+
+  // rays: [{ path, color, exitInfo, rayIndex? }] in level.rays order (or with rayIndex). Each ray is drawn up to
+  // path index `upTo` (the animation's head); the exit beam appears once it is done.
+  render(rays, upTo = Infinity) {
+    if (!this.svg) return;
+    this.svg.innerHTML = rays.map((ray, i) => this.drawRay(ray, i, upTo)).join("");
+  }
+
+  // Centre of a cell in grid-container pixels; also works one cell outside the grid
+  center(r, c) {
+    const half = this.game.cellSize / 2;
+    return { x: this.game.cellOffset(c) + half, y: this.game.cellOffset(r) + half };
+  }
+
+  drawRay(ray, rayIndex, upTo) {
+    const { path } = ray;
+    const color = ray.color || RAY_COLORS[0].color;
+    const level = this.game.level.rays[ray.rayIndex ?? rayIndex];
+    if (!level || path.length === 0) return "";
+    const shown = path.slice(0, Math.min(path.length, upTo + 1));
+    const done = upTo >= path.length;
+    const parts = [];
+
+    // Entry beam from one cell outside the grid
+    const start = RaySim.startOutside(level.entry, this.game.N);
+    const outside = this.center(start.r, start.c);
+    const first = this.center(shown[0].r, shown[0].c);
+    parts.push(this.segment(outside, first, color, "ray-beam"));
+    parts.push(this.arrow({ x: (outside.x + first.x) / 2, y: (outside.y + first.y) / 2 }, start.dir, color));
+
+    const visits = new Map([[`${shown[0].r},${shown[0].c}`, 1]]);
+    for (let i = 1; i < shown.length; i++) {
+      const prev = shown[i - 1];
+      const cur = shown[i];
+      const from = this.center(prev.r, prev.c);
+      const to = this.center(cur.r, cur.c);
+      const key = `${cur.r},${cur.c}`;
+      const pass = (visits.get(key) || 0) + 1;
+      visits.set(key, pass);
+      if (cur.teleported) {
+        parts.push(this.segment(from, to, color, "ray-jump"));
+        continue;
+      }
+      const passColor = pass === 1 ? color : RAY_REVISIT_COLORS[Math.min(pass - 2, RAY_REVISIT_COLORS.length - 1)];
+      parts.push(this.segment(from, to, passColor, pass === 1 ? "ray-line" : "ray-line ray-revisit"));
+      parts.push(this.arrow({ x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }, cur.dirBeforeCell, passColor));
+    }
+
+    // Turn markers where the direction changed inside a cell
+    for (const step of shown) {
+      if (step.dirBeforeCell === step.dirAfterCell) continue;
+      const { x, y } = this.center(step.r, step.c);
+      parts.push(`<circle class="ray-turn" cx="${x}" cy="${y}" r="6" stroke="${color}">` +
+        `<title>(${step.r + 1},${step.c + 1}) turned ${step.dirBeforeCell} → ${step.dirAfterCell}</title></circle>`);
+    }
+
+    if (done) {
+      const last = path[path.length - 1];
+      const end = this.center(last.r, last.c);
+      if (ray.exitInfo) {
+        // Exit beam out through the side the ray left by
+        const { dr, dc } = RaySim.dirToDelta(last.dirAfterCell);
+        parts.push(this.segment(end, this.center(last.r + dr, last.c + dc), color, "ray-beam"));
+        parts.push(this.arrow(this.center(last.r + dr * 0.75, last.c + dc * 0.75), last.dirAfterCell, color));
+      } else {
+        // Absorbed, looping or out of steps: mark where it stopped
+        const s = 7;
+        parts.push(`<path class="ray-stop" stroke="${color}" d="M ${end.x - s} ${end.y - s} L ${end.x + s} ${end.y + s} M ${end.x + s} ${end.y - s} L ${end.x - s} ${end.y + s}"></path>`);
+      }
+    }
+    return `<g class="ray-trace">${parts.join("")}</g>`;
+  }
+
+  segment(from, to, color, className) {
+    return `<line class="${className}" x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${color}"></line>`;
+  }
+
+  // Arrowhead at a point, pointing in direction dir (N/E/S/W)
+  arrow({ x, y }, dir, color) {
+    const s = 5;
+    return `<path class="ray-arrow" fill="${color}" d="M ${-s} ${-s} L ${s} 0 L ${-s} ${s} z" ` +
+      `transform="translate(${x} ${y}) rotate(${RAY_ARROW_ANGLES[dir]})"></path>`;
+  }
+}
@@ -0,0 +1,283 @@
+// ray.js - Ray simulation shared by the game and the solver
+// Pure functions over a level ({ rays: [{ entry, exit }], checkpoints, portals })
+// and a state matrix of CELL codes (see below). No DOM access here.
+
+// State matrix values
+const CELL = {
+  EMPTY: 0,
+  PLAYER: 1,       // player obstacle (mat)
+  FIXED: 2,        // fixed obstacle
+  CW: 3,           // clockwise turner
+  MIRROR_SLASH: 4, // "/" mirror
+  MIRROR_BACKSLASH: 5, // "\" mirror
+  PORTAL: 6,       // teleports to its paired portal (level.portals)
+  ABSORBER: 7,     // swallows the ray
+  BREAKABLE: 8,    // turns the ray like an obstacle once, then breaks
+};
+
+// Cell behaviours. Each entry describes one state value:
+// - key: name used in level files (specialCells[].type)
+// - cellType: label recorded in the ray path
+// - className / glyph: how renderAll() draws it
+// - onEnter(dir): what happens when the ray enters the cell, returning
+//   { dir } (new direction), { teleport: true }, { absorb: true } or { dir, breaks: true }
+// Adding a cell type only needs a new CELL code and an entry here.
+const CELL_TYPES = {
+  [CELL.EMPTY]: {
+    key: "empty", label: "Empty", cellType: "EMPTY", className: null, glyph: "",
+    onEnter: (dir) => ({ dir }),
+  },
+  [CELL.PLAYER]: {
+    key: "player", label: "Player obstacle", cellType: "PLAYER", className: "cell-obstacle", glyph: "",
+    onEnter: (dir) => ({ dir: RaySim.rotateCCW(dir) }),
+  },
+  [CELL.FIXED]: {
+    key: "fixed", label: "Fixed obstacle", cellType: "FIXED", className: "cell-fixed", glyph: "",
+    onEnter: (dir) => ({ dir: RaySim.rotateCCW(dir) }),
+  },
+  [CELL.CW]: {
+    key: "cw", label: "Clockwise turner", cellType: "CW", className: "cell-cw", glyph: "↻",
+    onEnter: (dir) => ({ dir: RaySim.rotateCW(dir) }),
+  },
+  [CELL.MIRROR_SLASH]: {
+    key: "mirror-slash", label: "Mirror /", cellType: "MIRROR", className: "cell-mirror-slash", glyph: "╱",
+    onEnter: (dir) => ({ dir: { N: "E", E: "N", S: "W", W: "S" }[dir] }),
+  },
+  [CELL.MIRROR_BACKSLASH]: {
+    key: "mirror-backslash", label: "Mirror \\", cellType: "MIRROR", className: "cell-mirror-backslash", glyph: "╲",
+    onEnter: (dir) => ({ dir: { N: "W", W: "N", S: "E", E: "S" }[dir] }),
+  },
+  [CELL.PORTAL]: {
+    key: "portal", label: "Portal", cellType: "PORTAL", className: "cell-portal", glyph: "◎",
+    onEnter: () => ({ teleport: true }),
+  },
+  [CELL.ABSORBER]: {
+    key: "absorber", label: "Absorber", cellType: "ABSORBER", className: "cell-absorber", glyph: "●",
+    onEnter: () => ({ absorb: true }),
+  },
+  [CELL.BREAKABLE]: {
+    key: "breakable", label: "Breakable wall", cellType: "BREAKABLE", className: "cell-breakable", glyph: "▦",
+    onEnter: (dir) => ({ dir: RaySim.rotateCCW(dir), breaks: true }),
+  },
+};
+
+// Level cells are everything the player cannot change (fixed obstacle and the special types)
+function isLevelCell(value) {
+  return value >= CELL.FIXED;
+}
+
+function cellTypeByKey(key) {
+  const code = Object.keys(CELL_TYPES).find(k => CELL_TYPES[k].key === key);
+  return code === undefined ? null : Number(code);
+}
+
+const RaySim = {
+  MAX_STEPS: 512, // safety cap
+
+  dirToDelta(dir) {
+    switch (dir) {
+      case "N": return { dr: -1, dc: 0 };
+      case "S": return { dr: 1, dc: 0 };
+      case "E": return { dr: 0, dc: 1 };
+      case "W": return { dr: 0, dc: -1 };
+      default: throw new Error("Bad dir");
+    }
+  },
+
+  rotateCCW(dir) {
+    // N -> W -> S -> E -> N
+    switch (dir) {
+      case "N": return "W";
+      case "W": return "S";
+      case "S": return "E";
+      case "E": return "N";
+      default: throw new Error("Bad dir");
+    }
+  },
+
+  rotateCW(dir) {
+    // N -> E -> S -> W -> N
+    switch (dir) {
+      case "N": return "E";
+      case "E": return "S";
+      case "S": return "W";
+      case "W": return "N";
+      default: throw new Error("Bad dir");
+    }
+  },
+
+  // "r,c" -> partner { r, c } for every complete portal pair of the level
+  portalPartners(level) {
+    const partners = new Map();
+    for (const [[r1, c1], [r2, c2]] of level.portals || []) {
+      partners.set(`${r1},${c1}`, { r: r2, c: c2 });
+      partners.set(`${r2},${c2}`, { r: r1, c: c1 });
+    }
+    return partners;
+  },
+
+  isInside(r, c, N) {
+    return r >= 0 && r < N && c >= 0 && c < N;
+  },
+
+  // Start position is outside the grid, one step before the entry-adjacent border cell.
+  startOutside(entry, N) {
+    const { side, index } = entry;
+    if (side === "left") return { r: index, c: -1, dir: "E" };
+    if (side === "right") return { r: index, c: N, dir: "W" };
+    if (side === "top") return { r: -1, c: index, dir: "S" };
+    if (side === "bottom") return { r: N, c: index, dir: "N" };
+    throw new Error("Invalid entry side");
+  },
+
+  computeExitSideAndIndex(lastInsideR, lastInsideC, nextR, nextC, N) {
+    // Determine which boundary was crossed, and which index along that boundary.
+    if (nextR < 0) return { side: "top", index: lastInsideC };
+    if (nextR >= N) return { side: "bottom", index: lastInsideC };
+    if (nextC < 0) return { side: "left", index: lastInsideR };
+    if (nextC >= N) return { side: "right", index: lastInsideR };
+    throw new Error("Expected outside");
+  },
+
+  // Trace every ray of the level. The level is won when each ray leaves through its
+  // own exit and every checkpoint cell was passed by at least one ray.
+  // Returns { outcome, rays: [trace result per ray], missedCheckpoints, reason }.
+  traceAll(level, grid) {
+    const rays = level.rays.map((ray, i) => this.trace(level, grid, i));
+    const visited = new Set();
+    for (const result of rays) {
+      for (const { r, c } of result.path) visited.add(`${r},${c}`);
+    }
+    const missedCheckpoints = (level.checkpoints || []).filter(([r, c]) => !visited.has(`${r},${c}`));
+
+    const missedRays = rays.filter(result => result.outcome !== "WIN").length;
+    const win = missedRays === 0 && missedCheckpoints.length === 0;
+    let reason = "Every ray exited through its designated exit.";
+    if (!win) {
+      const parts = [];
+      if (missedRays > 0) parts.push(`${missedRays} of ${rays.length} ray(s) missed their exit`);
+      if (missedCheckpoints.length > 0) parts.push(`${missedCheckpoints.length} checkpoint(s) not visited`);
+      reason = `${parts.join(", ")}.`;
+    }
+    return { outcome: win ? "WIN" : "LOSE", rays, missedCheckpoints, reason };
+  },
+
+  // Trace a single ray (level.rays[rayIndex]) through the grid.
+  trace(level, grid, rayIndex = 0) {
+    const N = grid.length;
+    const ray = level.rays[rayIndex];
+    const start = this.startOutside(ray.entry, N);
+    let r = start.r;
+    let c = start.c;
+    let dir = start.dir;
+
+    const visited = new Set(); // (r,c,dir) while inside, for loop detection
+    const path = []; // list of {r,c,dirBeforeCell,dirAfterCell,cellType}
+    const partners = this.portalPartners(level);
+    const broken = new Set(); // breakable walls already hit in this trace
+
+    let steps = 0;
+
+    while (steps++ < this.MAX_STEPS) {
+      const { dr, dc } = this.dirToDelta(dir);
+      const nr = r + dr;
+      const nc = c + dc;
+
+      // reminder: r,c might be outside at the start; nr,nc might enter the grid
+      if (!this.isInside(nr, nc, N)) {
+        // Exiting the grid (or never entered)
+        if (this.isInside(r, c, N)) {
+          const exitInfo = this.computeExitSideAndIndex(r, c, nr, nc, N);
+          const win = (exitInfo.side === ray.exit.side && exitInfo.index === ray.exit.index);
+          return {
+            outcome: win ? "WIN" : "LOSE",
+            exitInfo,
+            path,
+            reason: win ? "Ray exited through the designated exit." : `Ray exited at ${exitInfo.side.toUpperCase()} @ ${exitInfo.index}, not the target exit.`
+          };
+        } else {
+          // Should not happen for valid entry configs, but keep safe
+          return {
+            outcome: "LOSE",
+            exitInfo: null,
+            path,
+            reason: "Ray never entered the grid (invalid entry config)."
+          };
+        }
+      }
+
+      // Entering cell (nr,nc)
+      r = nr; c = nc;
+
+      // Loop detection: only meaningful while inside
+      const key = `${r},${c},${dir}`;
+      if (visited.has(key)) {
+        return {
+          outcome: "LOSE",
+          exitInfo: null,
+          path,
+          reason: "Loop detected (ray revisited the same cell with the same direction)."
+        };
+      }
+      visited.add(key);
+
+      // Walls broken earlier in this trace behave as empty cells
+      const cellVal = broken.has(`${r},${c}`) ? CELL.EMPTY : grid[r][c];
+      const behaviour = CELL_TYPES[cellVal] || CELL_TYPES[CELL.EMPTY];
+      const effect = behaviour.onEnter(dir);
+      const step = {
+        r, c,
+        dirBeforeCell: dir,
+        dirAfterCell: dir,
+        cellType: behaviour.cellType
+      };
+      path.push(step);
+
+      if (effect.absorb) {
+        return {
+          outcome: "LOSE",
+          exitInfo: null,
+          path,
+          reason: `Ray was absorbed at (${r + 1},${c + 1}).`
+        };
+      }
+
+      if (effect.teleport) {
+        // Continue from the paired portal in the same direction (unpaired portals act as empty)
+        const partner = partners.get(`${r},${c}`);
+        if (partner) {
+          r = partner.r; c = partner.c;
+          const partnerKey = `${r},${c},${dir}`;
+          if (visited.has(partnerKey)) {
+            return {
+              outcome: "LOSE",
+              exitInfo: null,
+              path,
+              reason: "Loop detected (ray revisited the same cell with the same direction)."
+            };
+          }
+          visited.add(partnerKey);
+          path.push({ r, c, dirBeforeCell: dir, dirAfterCell: dir, cellType: behaviour.cellType, teleported: true });
+        }
+        continue;
+      }
+
+      // Rotation mechanic (obstacles turn CCW, special cells as defined above)
+      dir = effect.dir;
+      step.dirAfterCell = dir;
+
+      if (effect.breaks) {
+        broken.add(`${r},${c}`);
+        // The grid changed, so earlier (cell, direction) states can no longer repeat
+        visited.clear();
+      }
+    }
+
+    return {
+      outcome: "LOSE",
+      exitInfo: null,
+      path,
+      reason: "Step limit reached (likely looping)."
+    };
+  },
+};
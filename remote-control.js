@@ -0,0 +1,290 @@
+// remote-control.js - Caregiver control from a second window
+// The player screen (CaregiverHost) sends its state to a control view
+// (caregiver.html) and runs the commands that come back, so a caregiver can load
+// levels, start and pause rounds and give hints without touching the screen the
+// child plays on. The two sides share a room code and talk over a link:
+// - "local": a BroadcastChannel, for another tab or window of the same browser
+// - "firebase": caregiver_rooms/<room> in Firebase Realtime Database, for another device
+//   (state is the player screen's latest state; commands are pushed rows)
+//
+// Messages:
+//   { type: "state", state }             player screen -> control view (see CaregiverHost.snapshot())
+//   { type: "command", command, name }   control view -> player screen; command is one of
+//                                        CAREGIVER_COMMANDS, name is the level for loadLevel
+
+const CAREGIVER_LINKS = {
+  local: "This computer (another tab or window)",
+  firebase: "Another device (Firebase)",
+  off: "Off",
+};
+const CAREGIVER_COMMANDS = ["refresh", "loadLevel", "startRound", "pause", "resume", "hint"];
+
+function newCaregiverRoom() {
+  return String(Math.floor(100000 + Math.random() * 900000));
+}
+
+class BroadcastCaregiverLink {
+  constructor(room) {
+    this.channel = new BroadcastChannel(`ray-grid-caregiver-${room}`);
+  }
+
+  send(message) {
+    this.channel.postMessage(message);
+  }
+
+  onMessage(listener) {
+    this.channel.onmessage = (event) => listener(event.data);
+  }
+
+  onError(listener) {
+    this.channel.onmessageerror = () => listener(new Error("A message could not be read"));
+  }
+
+  close() {
+    this.channel.close();
+  }
+}
+
+// listenTo: "command" on the player screen, "state" on the control view
+class FirebaseCaregiverLink {
+  constructor(room, { listenTo }) {
+    if (!firebase.apps.length) firebase.initializeApp(firebaseConfig);
+    this.db = firebase.database();
+    this.ref = this.db.ref(`caregiver_rooms/${room}`);
+    this.listenTo = listenTo;
+    this.listener = null; // { query, event, handler }
+    this.errorListener = null;
+    this.closed = false;
+  }
+
+  // Writes finish later; one the database refuses (e.g. its rules) goes to onError()
+  send(message) {
+    const write = message.type === "state"
+      ? this.ref.child("state").set(message.state)
+      : this.ref.child("commands").push({ ...message, at: firebase.database.ServerValue.TIMESTAMP });
+    write.catch((err) => {
+      console.error("Firebase caregiver link write failed:", err);
+      if (this.errorListener && !this.closed) this.errorListener(err);
+    });
+  }
+
+  onError(listener) {
+    this.errorListener = listener;
+  }
+
+  onMessage(listener) {
+    if (this.listenTo === "state") {
+      const query = this.ref.child("state");
+      const handler = (snapshot) => {
+        if (snapshot.val()) listener({ type: "state", state: snapshot.val() });
+      };
+      query.on("value", handler);
+      this.listener = { query, event: "value", handler };
+      return;
+    }
+    // Commands from before the player screen started listening are skipped. The
+    // listener is attached once the server offset is in, unless the link was closed meanwhile.
+    this.db.ref(".info/serverTimeOffset").once("value", (offset) => {
+      if (this.closed) return;
+      const query = this.ref.child("commands").orderByChild("at").startAt(Date.now() + (offset.val() || 0));
+      const handler = (snapshot) => listener(snapshot.val());
+      query.on("child_added", handler);
+      this.listener = { query, event: "child_added", handler };
+    });
+  }
+
+  close() {
+    this.closed = true;
+    if (this.listener) this.listener.query.off(this.listener.event, this.listener.handler);
+    this.listener = null;
+  }
+}
+
+// Returns { link, error }: link is null for "off", or when it can't be used here (error says why)
+function openCaregiverLink(key, room, { listenTo }) {
+  if (key === "local") {
+    if (typeof BroadcastChannel === "undefined") {
+      return { link: null, error: "This browser has no BroadcastChannel" };
+    }
+    return { link: new BroadcastCaregiverLink(room), error: null };
+  }
+  if (key === "firebase") {
+    if (typeof firebase === "undefined" || typeof firebaseConfig === "undefined") {
+      return { link: null, error: "Firebase is not set up (firebase-config.js)" };
+    }
+    try {
+      return { link: new FirebaseCaregiverLink(room, { listenTo }), error: null };
+    } catch (err) {
+      console.error("Firebase caregiver link failed:", err);
+      return { link: null, error: "Firebase could not be started" };
+    }
+  }
+  return { link: null, error: null };
+}
+
+// Player screen side: the "Caregiver View" panel, the link and the commands
+class CaregiverHost {
+  constructor(game, { panel, toggleButton, linkSelect, roomEl, btnOpen, statusEl }) {
+    this.game = game;
+    this.linkSelect = linkSelect;
+    this.roomEl = roomEl;
+    this.statusEl = statusEl;
+    this.link = null;
+    this.linkKey = "off";
+    this.room = game.loadSetting("caregiverRoom") || newCaregiverRoom();
+    game.saveSetting("caregiverRoom", this.room);
+    this.publishTimer = null;
+    this.lastRays = []; // paths of the last fire, drawn on the control view
+    this.lastCommandAt = null;
+
+    toggleButton.addEventListener("click", () => {
+      panel.hidden = !panel.hidden;
+      toggleButton.classList.toggle("active", !panel.hidden);
+    });
+    for (const [key, label] of Object.entries(CAREGIVER_LINKS)) {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = label;
+      linkSelect.appendChild(opt);
+    }
+    linkSelect.addEventListener("change", () => this.setLink(linkSelect.value));
+    btnOpen.addEventListener("click", () => {
+      if (this.linkKey === "off") this.setLink("local");
+      window.open(`caregiver.html?room=${this.room}&link=${this.linkKey}`, "ray-grid-caregiver");
+    });
+
+    // Every change the control view shows comes with an engine event
+    for (const type of ["level", "toggle", "reset", "state", "tick", "time"]) {
+      game.engine.on(type, () => this.schedulePublish());
+    }
+    game.engine.on("fire", ({ result }) => {
+      this.lastRays = result.rays.map((ray, i) => ({
+        color: game.level.rays[i].color || null,
+        outcome: ray.outcome,
+        path: ray.path.map(({ r, c }) => [r, c]),
+      }));
+      this.schedulePublish();
+    });
+    for (const type of ["level", "reset"]) {
+      game.engine.on(type, () => {
+        this.lastRays = [];
+      });
+    }
+
+    // Off until a link is picked or the control window is opened, so a screen without
+    // one doesn't send its state around
+    const saved = game.loadSetting("caregiverLink");
+    this.setLink(CAREGIVER_LINKS[saved] ? saved : "off");
+  }
+
+  setLink(key) {
+    if (this.link) this.link.close();
+    const { link, error } = openCaregiverLink(key, this.room, { listenTo: "command" });
+    this.link = link;
+    this.linkKey = link ? key : "off";
+    this.lastCommandAt = null;
+    this.linkSelect.value = this.linkKey;
+    this.roomEl.textContent = this.room;
+    // A link that didn't open isn't remembered, so the next visit doesn't retry it
+    if (link || key === "off") this.game.saveSetting("caregiverLink", key);
+    if (link) {
+      link.onMessage((message) => this.handleMessage(message));
+      link.onError((err) => this.updateStatus(`The caregiver view could not be updated (${err.message || err})`));
+      this.publish();
+    }
+    this.updateStatus(error);
+  }
+
+  stop() {
+    if (this.link) this.link.close();
+    this.link = null;
+  }
+
+  updateStatus(error = null) {
+    if (error && this.link) {
+      this.statusEl.textContent = `${error}: check the link and the database rules.`;
+    } else if (error) {
+      this.statusEl.textContent = `${error}: the caregiver view is off.`;
+    } else if (!this.link) {
+      this.statusEl.textContent = "The caregiver view is off: open the control window or pick a link.";
+    } else if (this.lastCommandAt === null) {
+      const where = this.linkKey === "local" ? "Open the control window" : `Open caregiver.html on the other device with room ${this.room}`;
+      this.statusEl.textContent = `${where}; it can load levels, start and pause rounds and give hints.`;
+    } else {
+      this.statusEl.textContent = `Control window connected (last command at ${new Date(this.lastCommandAt).toLocaleTimeString()}).`;
+    }
+  }
+
+  handleMessage(message) {
+    if (!message || message.type !== "command" || !CAREGIVER_COMMANDS.includes(message.command)) return;
+    this.lastCommandAt = Date.now();
+    this.updateStatus();
+    this.runCommand(message.command, message.name);
+    this.publish();
+  }
+
+  // The player screen stays in Play Mode: levels are loaded straight into a new round
+  runCommand(command, name) {
+    const game = this.game;
+    if (game.replaying && command !== "refresh") {
+      game.setStatus(`${game.describeLevel()} | A replay is running`);
+      return;
+    }
+    const state = game.engine.roundState;
+    if (command === "loadLevel") game.playLibraryLevel(name || "");
+    else if (command === "startRound" && game.coverVisible) game.retryRound();
+    else if (command === "startRound") game.toggleCover();
+    else if (command === "pause" && state === "playing") game.togglePause();
+    else if (command === "resume" && state === "paused") game.togglePause();
+    else if (command === "hint") game.showHint();
+  }
+
+  // Ticks and mat presses can come in quick succession; they are sent together
+  schedulePublish() {
+    if (!this.link || this.publishTimer) return;
+    this.publishTimer = setTimeout(() => {
+      this.publishTimer = null;
+      this.publish();
+    }, 100);
+  }
+
+  publish() {
+    if (!this.link) return;
+    try {
+      this.link.send({ type: "state", state: this.snapshot() });
+    } catch (err) {
+      console.error("Could not send the state to the caregiver view:", err);
+    }
+  }
+
+  // Everything the control view draws: the uncovered grid, the round and the session
+  snapshot() {
+    const game = this.game;
+    const engine = game.engine;
+    const profile = game.profiles.active();
+    return {
+      at: Date.now(),
+      level: {
+        name: game.level.name,
+        size: game.N,
+        rays: game.level.rays.map(ray => ({ entry: { ...ray.entry }, exit: { ...ray.exit }, color: ray.color || null })),
+        checkpoints: (game.level.checkpoints || []).map(([r, c]) => [r, c]),
+      },
+      grid: game.state.map(row => [...row]),
+      rays: this.lastRays,
+      mode: game.coverVisible ? "play" : "edit",
+      round: {
+        state: engine.roundState,
+        timed: engine.timed,
+        secondsLeft: engine.secondsLeft,
+        elapsedSeconds: engine.elapsedSeconds,
+      },
+      stats: game.getRoundStats(),
+      session: summarizeSession(game.recorder.events),
+      status: game.statusEl.textContent,
+      player: profile ? profile.name : null,
+      campaign: game.campaignRun ? game.describeCampaignRun() : null,
+      levels: [{ name: "", label: `(built-in) ${DEFAULT_LEVEL.name}` }, ...game.library.names().map(name => ({ name, label: name }))],
+    };
+  }
+}
@@ -0,0 +1,124 @@
+// scoring.js - Round scores, star ratings and per-level leaderboards
+// A cleared round starts from `base` points and loses points for:
+// - every mat above par (par = the solver's minimum number of mats),
+// - every fire after the first,
+// - every second above timeParSeconds,
+// - every hint used (see hints.js).
+// The score never drops below minScore, so clearing a level always scores, and
+// a level solved with zero mats is not penalised. Stars: 1 for any clear, 2 from
+// starThresholds[0] points, 3 from starThresholds[1].
+// Levels may override any weight under "scoring" (see levels.js).
+
+const SCORING_DEFAULTS = {
+  base: 1000,
+  matPenalty: 150,
+  firePenalty: 50,
+  timeParSeconds: 60,
+  secondPenalty: 2,
+  hintPenalty: 100,
+  minScore: 100,
+  starThresholds: [600, 850],
+};
+
+const LEADERBOARD_SIZE = 10;
+
+// Validates a level's partial "scoring" object and returns complete weights
+function parseScoringWeights(raw, field = "scoring") {
+  if (!isPlainObject(raw)) {
+    throw new LevelFormatError(`"${field}" must be an object of scoring weights`);
+  }
+  const weights = { ...SCORING_DEFAULTS };
+  for (const [key, value] of Object.entries(raw)) {
+    if (!Object.prototype.hasOwnProperty.call(SCORING_DEFAULTS, key)) {
+      throw new LevelFormatError(`"${field}.${key}" is not a scoring weight (use ${Object.keys(SCORING_DEFAULTS).join(", ")})`);
+    }
+    if (key === "starThresholds") {
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(v => Number.isFinite(v) && v >= 0) || value[0] > value[1]) {
+        throw new LevelFormatError(`"${field}.starThresholds" must be two scores, lowest first (got ${JSON.stringify(value)})`);
+      }
+      weights.starThresholds = [...value];
+    } else {
+      if (!Number.isFinite(value) || value < 0) {
+        throw new LevelFormatError(`"${field}.${key}" must be a number of 0 or more (got ${JSON.stringify(value)})`);
+      }
+      weights[key] = value;
+    }
+  }
+  if (weights.minScore > weights.base) {
+    throw new LevelFormatError(`"${field}.minScore" can't be higher than "${field}.base"`);
+  }
+  return weights;
+}
+
+// round: { mats, fires, seconds, par, hints } where par is null when the minimum is unknown
+function scoreRound({ mats, fires, seconds, par, hints = 0 }, weights = SCORING_DEFAULTS) {
+  const matsOverPar = par === null ? 0 : Math.max(0, mats - par);
+  const extraFires = Math.max(0, fires - 1);
+  const secondsOverPar = Math.max(0, seconds - weights.timeParSeconds);
+  const raw = weights.base
+    - matsOverPar * weights.matPenalty
+    - extraFires * weights.firePenalty
+    - secondsOverPar * weights.secondPenalty
+    - hints * weights.hintPenalty;
+  const score = Math.round(Math.max(weights.minScore, raw));
+  const stars = 1 + (score >= weights.starThresholds[0] ? 1 : 0) + (score >= weights.starThresholds[1] ? 1 : 0);
+  return { score, stars, matsOverPar, extraFires, secondsOverPar };
+}
+
+// Identifies a level by name and layout, so an edited level gets a fresh leaderboard
+function levelFingerprint(level) {
+  const layout = JSON.stringify([
+    level.size, level.rays, level.checkpoints || [], level.fixedObstacles,
+    level.specialCells || [], level.portals || [],
+    // A different cover is a different challenge; levels without one keep their old boards
+    ...(level.cover ? [level.cover] : []),
+    // So do different time bonuses and penalties
+    ...(level.timeEvents ? [level.timeEvents] : []),
+  ]);
+  // FNV-1a, 32 bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < layout.length; i++) {
+    hash ^= layout.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `${level.name}#${hash.toString(16)}`;
+}
+
+// Best rounds per level, kept in localStorage as { version, boards: { [fingerprint]: [entry] } }.
+// entry: { name, score, stars, mats, fires, seconds, hints, at }
+class LevelLeaderboard {
+  constructor(storage, storageKey = "rayGrid.leaderboards") {
+    this.storage = storage || null;
+    this.storageKey = storageKey;
+  }
+
+  readAll() {
+    if (!this.storage) return {};
+    try {
+      const raw = this.storage.getItem(this.storageKey);
+      if (!raw) return {};
+      const data = JSON.parse(raw);
+      return isPlainObject(data) && isPlainObject(data.boards) ? data.boards : {};
+    } catch (err) {
+      console.error("Leaderboards are unreadable, starting empty:", err);
+      return {};
+    }
+  }
+
+  entries(key) {
+    return this.readAll()[key] || [];
+  }
+
+  // Returns the entry's 1-based rank, or null if it didn't make the board
+  add(key, entry) {
+    if (!this.storage) throw new Error("Leaderboards are not available (no localStorage)");
+    const boards = this.readAll();
+    const board = [...(boards[key] || []), entry].sort((a, b) =>
+      b.score - a.score || a.seconds - b.seconds || a.at - b.at
+    ).slice(0, LEADERBOARD_SIZE);
+    boards[key] = board;
+    this.storage.setItem(this.storageKey, JSON.stringify({ version: 1, boards }));
+    const rank = board.indexOf(entry);
+    return rank === -1 ? null : rank + 1;
+  }
+}
@@ -0,0 +1,385 @@
+// session-log.js - Session recording and replay
+// SessionRecorder keeps a timestamped log of a play session: mat signals, gestures,
+// cell toggles, level loads and edits, ray fires (with their results), mode
+// switches and timer events. Exported logs look like:
+// {
+//   "format": "ray-grid-session",
+//   "version": 1,
+//   "startedAt": "2026-10-19T09:30:00.000Z",
+//   "events": [
+//     { "t": 0, "type": "level", "level": { ...level file, see levels.js... } },
+//     { "t": 5230, "type": "signal", "signal": 3 },
+//     { "t": 6010, "type": "toggle", "r": 2, "c": 6, "value": 1 },
+//     { "t": 9100, "type": "fire", "outcome": "LOSE", "reason": "...", "rays": [{ "outcome": "LOSE", "exitInfo": {...} }] }
+//   ]
+// }
+// t is milliseconds since the recording started. Event types: level, edit (Edit
+// Mode change, with the whole level), toggle, reset, signal, release, gesture,
+// fire, hint, mode, timer, and for competitive multiplayer rounds board (a toggle
+// on one player's board) and board-fire. Signals from a known mat group carry
+// "groupId"; events for one player carry "player" (1-based).
+// SessionReplay plays a log back on the real grid. Grid changes are applied in
+// order and every "fire" traces the rays again, so each attempt's path is drawn.
+// Player boards are listed in the readout but not redrawn.
+
+const SESSION_FORMAT = "ray-grid-session";
+const SESSION_FORMAT_VERSION = 1;
+const SESSION_MAX_EVENTS = 50000; // roughly a full day of mat presses
+const REPLAY_MAX_GAP_MS = 3000; // idle stretches are shortened to this during replay
+
+class SessionFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionFormatError";
+  }
+}
+
+class SessionRecorder {
+  constructor() {
+    this.paused = false; // set while a replay drives the grid
+    this.clear();
+  }
+
+  clear() {
+    this.startedAt = Date.now();
+    this.events = [];
+  }
+
+  record(type, data = {}) {
+    if (this.paused || this.events.length >= SESSION_MAX_EVENTS) return;
+    this.events.push({ t: Date.now() - this.startedAt, type, ...data });
+  }
+
+  serialize() {
+    return JSON.stringify({
+      format: SESSION_FORMAT,
+      version: SESSION_FORMAT_VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      events: this.events,
+    });
+  }
+}
+
+// Checks the envelope of a session log; level snapshots are validated when replayed.
+function parseSessionLog(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    throw new SessionFormatError(`Session log is not valid JSON (${err.message})`);
+  }
+  if (!isPlainObject(raw) || raw.format !== SESSION_FORMAT) {
+    throw new SessionFormatError(`Not a session log (format must be "${SESSION_FORMAT}")`);
+  }
+  if (raw.version !== SESSION_FORMAT_VERSION) {
+    throw new SessionFormatError(`Unsupported session log version ${JSON.stringify(raw.version)}`);
+  }
+  if (!Array.isArray(raw.events)) {
+    throw new SessionFormatError(`"events" must be an array`);
+  }
+  raw.events.forEach((event, i) => {
+    if (!isPlainObject(event) || typeof event.type !== "string" || !Number.isFinite(event.t)) {
+      throw new SessionFormatError(`"events[${i}]" must be an object with a "type" and a numeric "t"`);
+    }
+  });
+  if (!raw.events.some(event => event.type === "level")) {
+    throw new SessionFormatError("Session log has no level to replay");
+  }
+  return { startedAt: raw.startedAt || null, events: raw.events };
+}
+
+function formatSessionTime(ms) {
+  const total = Math.floor(ms / 1000);
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// Totals of a session so far, for the caregiver view (remote-control.js)
+function summarizeSession(events) {
+  const summary = { minutes: 0, levels: 0, presses: 0, fires: 0, clears: 0, hints: 0, timeUps: 0 };
+  for (const event of events) {
+    if (event.type === "level") summary.levels++;
+    else if (event.type === "signal") summary.presses++;
+    else if (event.type === "fire") {
+      summary.fires++;
+      if (event.outcome === "WIN") summary.clears++;
+    } else if (event.type === "hint" && event.hint) summary.hints++;
+    else if (event.type === "timer" && event.event === "expired") summary.timeUps++;
+  }
+  if (events.length) summary.minutes = Math.floor(events[events.length - 1].t / 60000);
+  return summary;
+}
+
+function describeSessionEvent(event) {
+  const cell = () => `(${event.r + 1},${event.c + 1})`;
+  const mat = Number.isInteger(event.groupId) ? ` (mat group ${event.groupId})` : "";
+  const who = Number.isInteger(event.player) ? `Player ${event.player}: ` : "";
+  switch (event.type) {
+    case "level": return `Loaded level "${event.level && event.level.name}"`;
+    case "edit": return "Edited the level";
+    case "toggle": return `${event.undo ? "Undid toggle at" : event.redo ? "Redid toggle at" : "Toggled"} ${cell()}: ${event.value === 1 ? "mat placed" : "mat removed"}`;
+    case "reset": return "Reset player obstacles";
+    case "signal": return `Stepped on tile ${event.signal}${mat}`;
+    case "release": return `Let go of tile ${event.signal}${mat}`;
+    case "gesture": return `${who}Gesture "${event.gesture}": ${GESTURE_ACTIONS[event.action] || "not bound"}`;
+    case "fire": return `Fired the ray: ${event.outcome}`;
+    case "board": return event.reset
+      ? `${who}Cleared their board`
+      : `${who}${event.undo ? "Undid toggle at" : "Toggled"} ${cell()}: ${event.value === 1 ? "mat placed" : "mat removed"}`;
+    case "board-fire": return `${who}Fired the ray: ${event.outcome}`;
+    case "hint": return `Asked for a hint (${event.hint || "none available"})`;
+    case "mode": return `Switched to ${event.mode === "play" ? "Play" : "Edit"} Mode`;
+    case "timer": {
+      const change = event.change ? ` ${event.change > 0 ? "+" : ""}${event.change}s (${TIME_EVENTS[event.reason] || event.reason})` : "";
+      const left = event.seconds === null ? "untimed" : `${formatSessionTime((event.seconds || 0) * 1000)} left`;
+      return `Timer ${event.event}${change} (${left})`;
+    }
+    default: return event.type;
+  }
+}
+
+// Plays a session log on the game's grid. Live input is blocked while it runs, and
+// the level, grid and undo history are put back when the replay stops.
+class SessionReplay {
+  constructor(game, { panel, toggleButton, readout, btnExport, btnReplayCurrent, btnLoad, fileInput, btnPlay, btnStep, btnStop, speedSelect }) {
+    this.game = game;
+    this.panel = panel;
+    this.toggleButton = toggleButton;
+    this.readout = readout;
+    this.btnPlay = btnPlay;
+    this.btnStep = btnStep;
+    this.btnStop = btnStop;
+    this.speedSelect = speedSelect;
+
+    this.events = null;
+    this.index = 0;
+    this.playing = false;
+    this.busy = false; // an event (e.g. a ray animation) is being applied
+    this.stopAfterStep = false;
+    this.waitTimer = null;
+    this.saved = null; // live game to restore: { level, state, history }
+    this.disabled = []; // controls disabled during the replay
+
+    if (toggleButton) {
+      toggleButton.addEventListener("click", () => {
+        panel.hidden = !panel.hidden;
+        toggleButton.classList.toggle("active", !panel.hidden);
+      });
+    }
+    btnExport.addEventListener("click", () => this.exportCurrent());
+    btnReplayCurrent.addEventListener("click", () => this.start(game.recorder.events.slice()));
+    btnLoad.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files[0];
+      // Reset so picking the same file again still fires "change"
+      fileInput.value = "";
+      if (file) this.loadFile(file);
+    });
+    btnPlay.addEventListener("click", () => (this.playing ? this.pause() : this.play()));
+    btnStep.addEventListener("click", () => {
+      this.pause();
+      this.step();
+    });
+    btnStop.addEventListener("click", () => this.stop());
+    this.updateControls();
+  }
+
+  get speed() {
+    return Number(this.speedSelect.value) || 1;
+  }
+
+  exportCurrent() {
+    const blob = new Blob([this.game.recorder.serialize()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `session-${new Date(this.game.recorder.startedAt).toISOString().slice(0, 16).replace(/[^\d]/g, "")}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    this.game.setStatus(`${this.game.describeLevel()} | Exported session log (${this.game.recorder.events.length} events)`);
+  }
+
+  loadFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this.start(parseSessionLog(String(reader.result)).events);
+      } catch (err) {
+        this.game.setStatus(`Could not open session log (${file.name}): ${err.message}`);
+      }
+    };
+    reader.onerror = () => {
+      this.game.setStatus(`Could not open session log (${file.name}): file could not be read`);
+    };
+    reader.readAsText(file);
+  }
+
+  start(events) {
+    const game = this.game;
+    if (this.events) this.stop();
+    if (game.animating || this.events) return;
+    const first = events.findIndex(event => event.type === "level");
+    if (first === -1) {
+      game.setStatus(`${game.describeLevel()} | Nothing to replay yet`);
+      return;
+    }
+
+    // Replays run in Edit Mode so every cell is visible. Leaving Play Mode would end
+    // the round (and a campaign run), which stop() couldn't give back
+    if (game.coverVisible) {
+      game.setStatus(`${game.describeLevel()} | Switch to Edit Mode to replay a session`);
+      return;
+    }
+    const copyHistory = ({ undoStack, redoStack }) => ({ undoStack: [...undoStack], redoStack: [...redoStack] });
+    this.saved = {
+      level: game.getLevelSnapshot(),
+      state: game.state.map(row => row.slice()),
+      history: { edit: copyHistory(game.history.edit), play: copyHistory(game.history.play) },
+    };
+    game.recorder.paused = true;
+    game.replaying = true;
+    // Drop half-entered mat input so it can't act on the replayed grid
+    game.gestures.cancel();
+    game.signalBuffer = [];
+    this.disabled = [...document.querySelectorAll("button, select, input")]
+      .filter(el => !el.disabled && !this.panel.contains(el));
+    for (const el of this.disabled) el.disabled = true;
+
+    // Events before the first level belong to whatever was loaded before the log started
+    this.events = events.slice(first);
+    this.index = 0;
+    this.step();
+  }
+
+  play() {
+    if (!this.events) return;
+    this.playing = true;
+    this.updateControls();
+    this.scheduleNext(0);
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.waitTimer) {
+      clearTimeout(this.waitTimer);
+      this.waitTimer = null;
+    }
+    this.updateControls();
+  }
+
+  scheduleNext(delayMs) {
+    this.waitTimer = setTimeout(async () => {
+      this.waitTimer = null;
+      if (!this.playing || !this.events) return;
+      await this.step();
+      if (!this.playing || !this.events) return;
+      if (this.index >= this.events.length) {
+        this.pause();
+        return;
+      }
+      const gap = this.events[this.index].t - this.events[this.index - 1].t;
+      this.scheduleNext(Math.min(Math.max(gap, 0), REPLAY_MAX_GAP_MS) / this.speed);
+    }, delayMs);
+  }
+
+  async step() {
+    if (!this.events || this.busy || this.index >= this.events.length) return;
+    const event = this.events[this.index++];
+    this.busy = true;
+    let note = "";
+    try {
+      note = await this.apply(event);
+    } catch (err) {
+      note = ` (could not replay: ${err.message})`;
+    }
+    this.busy = false;
+    if (this.stopAfterStep) {
+      this.stopAfterStep = false;
+      this.stop();
+      return;
+    }
+    this.readout.textContent = `Event ${this.index}/${this.events.length} · ${formatSessionTime(event.t)} · ${describeSessionEvent(event)}${note}`;
+    this.updateControls();
+  }
+
+  // Applies one event to the grid; returns extra text for the readout
+  async apply(event) {
+    const game = this.game;
+    const inGrid = () => Number.isInteger(event.r) && Number.isInteger(event.c) &&
+      event.r >= 0 && event.r < game.N && event.c >= 0 && event.c < game.N;
+
+    if (event.type === "level") {
+      game.loadLevel(parseLevel(event.level));
+    } else if (event.type === "edit") {
+      // Edit Mode changes replace the level cells; player mats stay where they were
+      const players = game.state.map(row => row.map(v => v === 1));
+      game.loadLevel(parseLevel(event.level));
+      game.state.forEach((row, r) => row.forEach((v, c) => {
+        if (v === 0 && players[r] && players[r][c]) row[c] = 1;
+      }));
+      game.renderAll();
+    } else if (event.type === "toggle") {
+      // A hand-edited or cut-off log can point anywhere: only mats on this grid are changed
+      const matValue = event.value === CELL.EMPTY || event.value === CELL.PLAYER;
+      if (!inGrid() || !matValue || isLevelCell(game.state[event.r][event.c])) return " (skipped: no such mat on this grid)";
+      game.clearRayVisuals();
+      game.state[event.r][event.c] = event.value;
+      game.renderAll();
+    } else if (event.type === "reset") {
+      game.clearRayVisuals();
+      game.state.forEach(row => row.forEach((v, c) => {
+        if (v === 1) row[c] = 0;
+      }));
+      game.renderAll();
+    } else if (event.type === "signal") {
+      if (game.matSimulator) game.matSimulator.flash(event.signal);
+    } else if (event.type === "fire") {
+      game.clearRayVisuals();
+      game.renderAll();
+      const result = game.traceAllRays();
+      await game.animateRayPaths(result.rays.map((ray, i) => ({ path: ray.path, color: game.level.rays[i].color, exitInfo: ray.exitInfo })));
+      return result.outcome === event.outcome
+        ? ""
+        : ` (replay gives ${result.outcome}: the log may be incomplete)`;
+    }
+    return "";
+  }
+
+  stop() {
+    const game = this.game;
+    this.pause();
+    if (!this.events) return;
+    // Let a running ray animation finish before the grid is swapped back
+    if (this.busy) {
+      this.stopAfterStep = true;
+      return;
+    }
+    this.events = null;
+    if (this.saved) {
+      game.loadLevel(parseLevel(this.saved.level));
+      game.state = this.saved.state;
+      // loadLevel() cleared the undo/redo stacks
+      Object.assign(game.history.edit, this.saved.history.edit);
+      Object.assign(game.history.play, this.saved.history.play);
+      game.renderAll();
+      this.saved = null;
+    }
+    for (const el of this.disabled) el.disabled = false;
+    this.disabled = [];
+    game.replaying = false;
+    game.recorder.paused = false;
+    game.updateHistoryButtons();
+    this.readout.textContent = "No replay running";
+    game.setStatus(`${game.describeLevel()} | Replay finished`);
+    this.updateControls();
+  }
+
+  updateControls() {
+    const active = !!this.events;
+    this.btnPlay.disabled = !active;
+    this.btnStep.disabled = !active || this.playing;
+    this.btnStop.disabled = !active;
+    this.btnPlay.textContent = this.playing ? "Pause" : "Play";
+  }
+}
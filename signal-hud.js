@@ -0,0 +1,193 @@
+// signal-hud.js - Live feedback for the pending mat-signal buffer
+// Shows what the mat is waiting for, a countdown ring for the pairing window
+// (or the single-9 fire delay), and highlights the row / cells a pending tap
+// sequence points at, plus any command gesture in progress (9 → fire, ...).
+// The highlight sits above the Play Mode cover but only outlines cells, so it
+// never reveals what is hidden underneath.
+// All state comes from RayGridGame.getSignalState(); this file only draws it.
+
+const HUD_RING_RADIUS = 18;
+const HUD_RING_LENGTH = 2 * Math.PI * HUD_RING_RADIUS;
+
+class SignalHud {
+  constructor(game, el) {
+    this.game = game;
+    this.el = el;
+    this.previewEl = null;
+    this.targetEl = null;
+    this.frame = null;
+    this.announcement = null; // { text, until }
+    this.targetTimer = null;
+    this.build();
+  }
+
+  build() {
+    if (!this.el) return;
+    this.el.innerHTML = `
+      <div class="hud-ring">
+        <svg viewBox="0 0 44 44" aria-hidden="true">
+          <circle class="hud-ring-track" cx="22" cy="22" r="${HUD_RING_RADIUS}"></circle>
+          <circle class="hud-ring-progress" cx="22" cy="22" r="${HUD_RING_RADIUS}"
+            stroke-dasharray="${HUD_RING_LENGTH}" stroke-dashoffset="${HUD_RING_LENGTH}"></circle>
+        </svg>
+        <span class="hud-ring-label"></span>
+      </div>
+      <div class="hud-text">
+        <div class="hud-main"></div>
+        <div class="hud-sub"></div>
+      </div>`;
+    this.ringEl = this.el.querySelector(".hud-ring-progress");
+    this.ringLabelEl = this.el.querySelector(".hud-ring-label");
+    this.mainEl = this.el.querySelector(".hud-main");
+    this.subEl = this.el.querySelector(".hud-sub");
+    this.update();
+  }
+
+  // buildGrid() clears the grid container, so the overlays are re-created each time
+  attachToGrid() {
+    const gridEl = this.game.gridEl;
+    this.previewEl = document.createElement("div");
+    this.previewEl.className = "signal-preview";
+    this.targetEl = document.createElement("div");
+    this.targetEl.className = "signal-target";
+    gridEl.appendChild(this.previewEl);
+    gridEl.appendChild(this.targetEl);
+    this.update();
+  }
+
+  // Redraw now and keep redrawing while something is counting down
+  update() {
+    const busy = this.render(Date.now());
+    if (busy && !this.frame) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.update();
+      });
+    }
+  }
+
+  // Short message ("Fire!", "Reset!") shown in place of the idle prompt
+  announce(text) {
+    this.announcement = { text, until: Date.now() + 1200 };
+    this.update();
+  }
+
+  // Pulse the cell a completed row + column sequence toggled
+  flashCell(r, c) {
+    if (!this.targetEl) return;
+    this.placeBox(this.targetEl, r, 1, c, 1);
+    this.targetEl.classList.remove("flash");
+    // Force a reflow so the animation restarts on repeated toggles
+    void this.targetEl.offsetWidth;
+    this.targetEl.classList.add("flash");
+    if (this.targetTimer) clearTimeout(this.targetTimer);
+    this.targetTimer = setTimeout(() => {
+      this.targetTimer = null;
+      this.targetEl.classList.remove("flash");
+    }, 700);
+  }
+
+  // Returns true while the display still changes over time
+  render(now) {
+    if (!this.el) return false;
+    const game = this.game;
+    const state = game.getSignalState(now);
+    const paged = game.getTapsPerCoordinate() > 1;
+    const seconds = (ms) => Math.ceil(ms / 1000);
+    let main;
+    let sub = "";
+    let ring = null; // { fraction, label, kind }
+
+    if (state.stage === "row") {
+      main = paged ? "Step on a row page tile" : "Step on a row tile";
+      const gestures = describeGestureMap(game.gestureMap);
+      sub = paged
+        ? `Two taps per coordinate (page, then position) · ${gestures}`
+        : `Then a column tile · ${gestures}`;
+    } else if (state.stage === "rowPage") {
+      main = `Row page ${state.taps[0]}: step on the row position`;
+    } else if (state.row >= game.N) {
+      main = `Row ${state.row + 1} is outside the grid`;
+      sub = "Finish the pair or wait for it to expire";
+    } else if (state.stage === "col") {
+      main = `Row ${state.row + 1} selected: step on a column tile`;
+    } else {
+      main = `Row ${state.row + 1}, column page ${state.taps[state.taps.length - 1]}: step on the column position`;
+    }
+    if (state.stage !== "row") {
+      ring = { fraction: state.remainingMs / game.signalTimeoutMs, label: seconds(state.remainingMs), kind: "pair" };
+      if (!sub) sub = `${seconds(state.remainingMs)}s left to finish the pair`;
+    }
+
+    // A command gesture in progress is the most urgent thing on the mat
+    const command = state.command;
+    if (command) {
+      const left = seconds(command.remainingMs);
+      const countdown = [];
+      for (let s = left; s >= 1; s--) countdown.push(s);
+      const action = command.action ? GESTURE_ACTIONS[command.action] : null;
+      const next = describeNextSteps(command);
+      sub = state.stage === "row" ? main : `${main} · ${sub}`;
+      if (command.holding) {
+        main = `Keep holding: ${action} in ${countdown.join("…")}…`;
+      } else if (action) {
+        main = `${action[0].toUpperCase()}${action.slice(1)} in ${countdown.join("…")}…${next ? ` ${next}` : ""}`;
+      } else {
+        main = `${command.gesture}: ${next}`;
+      }
+      const windowMs = command.holding ? game.gestureMap.longPressMs : game.gestureMap.sequenceWindowMs;
+      ring = { fraction: command.remainingMs / windowMs, label: left, kind: "command" };
+    }
+
+    const announcing = this.announcement && now < this.announcement.until;
+    if (announcing && state.stage === "row" && !command) {
+      main = this.announcement.text;
+      sub = "";
+    }
+
+    this.mainEl.textContent = main;
+    this.subEl.textContent = sub;
+    this.el.classList.toggle("pending", !!ring);
+    this.el.classList.toggle("command", !!ring && ring.kind === "command");
+    this.ringEl.setAttribute("stroke-dashoffset", String(HUD_RING_LENGTH * (1 - (ring ? ring.fraction : 0))));
+    this.ringLabelEl.textContent = ring ? String(ring.label) : "";
+    this.renderPreview(state);
+
+    return !!ring || !!announcing;
+  }
+
+  // Outline the cells the buffered taps can still end up on
+  renderPreview(state) {
+    if (!this.previewEl) return;
+    const game = this.game;
+    const N = game.N;
+    const pageSpan = (page) => {
+      const start = Math.min((page - 1) * 8, N);
+      return [start, Math.max(Math.min(page * 8, N) - start, 0)];
+    };
+
+    let rows = null;
+    let cols = [0, N];
+    if (state.stage === "rowPage") {
+      rows = pageSpan(state.taps[0]);
+    } else if (state.stage === "col" || state.stage === "colPage") {
+      rows = state.row < N ? [state.row, 1] : null;
+      if (state.stage === "colPage") cols = pageSpan(state.taps[state.taps.length - 1]);
+    }
+
+    if (!rows || rows[1] === 0 || cols[1] === 0) {
+      this.previewEl.classList.remove("active");
+      return;
+    }
+    this.placeBox(this.previewEl, rows[0], rows[1], cols[0], cols[1]);
+    this.previewEl.classList.add("active");
+  }
+
+  placeBox(el, row, rowCount, col, colCount) {
+    const game = this.game;
+    el.style.top = `${game.cellOffset(row)}px`;
+    el.style.left = `${game.cellOffset(col)}px`;
+    el.style.height = `${game.spanSize(rowCount)}px`;
+    el.style.width = `${game.spanSize(colCount)}px`;
+  }
+}
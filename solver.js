@@ -0,0 +1,104 @@
+// solver.js - Finds the minimum number of player mats that clears a level
+// Search idea:
+// - A mat only matters if a ray passes through it, so every mat in a minimal
+//   solution lies on a final ray path.
+// - Order the mats of a solution ray by ray (ray 1 first), and within a ray by
+//   when that ray first reaches them. A ray's path up to its next mat is the same
+//   as with only the earlier mats placed, so the next mat is always an empty cell
+//   on the current path of that ray (or a later ray), first reached after the
+//   previous mat of the same ray.
+// - Iterative deepening over the mat count therefore finds the minimum, and if a
+//   whole depth finishes without ever being cut off, no solution exists at all.
+// Checkpoints only change the win test (RaySim.traceAll), not the search.
+// The search yields to the browser every few hundred traces so the UI stays responsive.
+
+class LevelSolver {
+  constructor(options = {}) {
+    this.maxMats = options.maxMats ?? 8; // give up (status "LIMIT") beyond this many mats
+    this.nodeLimit = options.nodeLimit ?? 200000; // max traces per solve
+    this.yieldEvery = options.yieldEvery ?? 400; // traces between yields to the event loop
+  }
+
+  // level: { rays, checkpoints, portals }, grid: state matrix. Player obstacles in the grid are ignored.
+  // Returns { status, minMats, mats, result, nodes } where status is one of
+  // "SOLVED", "UNSOLVABLE", "LIMIT" or "CANCELLED".
+  async solve(level, grid, { isCancelled = () => false } = {}) {
+    const work = grid.map(row => row.map(v => (v === 1 ? 0 : v)));
+    const search = {
+      level,
+      work,
+      placed: [],
+      nodes: 0,
+      truncated: false,
+      isCancelled,
+    };
+
+    try {
+      for (let depth = 0; depth <= this.maxMats; depth++) {
+        search.truncated = false;
+        const found = await this.search(search, depth, 0, 0);
+        if (found) {
+          const mats = search.placed.map(([r, c]) => [r, c]);
+          return { status: "SOLVED", minMats: mats.length, mats, result: found, nodes: search.nodes };
+        }
+        // Nothing was cut off by the depth bound: every placement has been tried.
+        if (!search.truncated) {
+          return { status: "UNSOLVABLE", minMats: null, mats: null, result: null, nodes: search.nodes };
+        }
+      }
+      return { status: "LIMIT", minMats: null, mats: null, result: null, nodes: search.nodes };
+    } catch (err) {
+      if (err instanceof SolverStop) {
+        return { status: err.status, minMats: null, mats: null, result: null, nodes: search.nodes };
+      }
+      throw err;
+    }
+  }
+
+  async search(search, matsLeft, rayIndex, fromIndex) {
+    search.nodes++;
+    if (search.nodes > this.nodeLimit) throw new SolverStop("LIMIT");
+    if (search.nodes % this.yieldEvery === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (search.isCancelled()) throw new SolverStop("CANCELLED");
+    }
+
+    const result = RaySim.traceAll(search.level, search.work);
+    if (result.outcome === "WIN") return result;
+    if (matsLeft === 0) {
+      search.truncated = true;
+      return null;
+    }
+
+    for (let ray = rayIndex; ray < result.rays.length; ray++) {
+      const path = result.rays[ray].path;
+      const start = ray === rayIndex ? fromIndex : 0;
+
+      // Candidate cells: empty, first reached by this ray at or after start
+      const seen = new Set();
+      for (let i = 0; i < path.length; i++) {
+        const { r, c } = path[i];
+        const key = `${r},${c}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (i < start || search.work[r][c] !== 0) continue;
+
+        search.work[r][c] = 1;
+        search.placed.push([r, c]);
+        const found = await this.search(search, matsLeft - 1, ray, i + 1);
+        if (found) return found;
+        search.placed.pop();
+        search.work[r][c] = 0;
+      }
+    }
+    return null;
+  }
+}
+
+// Internal: unwinds the recursive search when it is stopped early.
+class SolverStop extends Error {
+  constructor(status) {
+    super(`Solver stopped: ${status}`);
+    this.status = status;
+  }
+}
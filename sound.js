@@ -0,0 +1,100 @@
+// sound.js - Audio cues for mat presses and ray events
+// Children on the mat are often not looking at the status line, so the game also
+// answers with short tones. They are generated with the Web Audio API (no sound
+// files, so it works offline). Each cue in SOUND_CUES is a list of notes:
+// { freq (Hz), ms, type (oscillator wave, "sine" by default), slideTo (Hz, optional) }.
+// RayGridGame plays them as things happen; volume and mute are saved per player
+// profile (settings.soundVolume 0~1, settings.soundMuted).
+
+const SOUND_CUES = {
+  row: [{ freq: 523, ms: 70 }], // a row was tapped, the column comes next
+  place: [{ freq: 659, ms: 60 }, { freq: 880, ms: 90 }], // mat placed: rising
+  remove: [{ freq: 880, ms: 60 }, { freq: 587, ms: 90 }], // mat removed: falling
+  fire: [{ freq: 330, ms: 180, type: "sawtooth", slideTo: 660 }],
+  turn: [{ freq: 1047, ms: 45, type: "triangle" }], // the ray changed direction on its way
+  win: [{ freq: 523, ms: 110 }, { freq: 659, ms: 110 }, { freq: 784, ms: 110 }, { freq: 1047, ms: 260 }],
+  miss: [{ freq: 392, ms: 120, type: "triangle" }, { freq: 311, ms: 200, type: "triangle" }],
+  loss: [{ freq: 392, ms: 160, type: "square" }, { freq: 330, ms: 160, type: "square" }, { freq: 262, ms: 360, type: "square" }],
+  warning: [{ freq: 988, ms: 90, type: "square" }, { freq: 0, ms: 60 }, { freq: 988, ms: 90, type: "square" }],
+};
+const SOUND_DEFAULT_VOLUME = 0.6;
+// Seconds left at which a timed round plays the warning cue
+const SOUND_WARNING_SECONDS = [30, 10];
+
+// True when the clock went past a warning threshold between two readings. A tick
+// or a penalty can skip over the exact second; at 0 the loss cue plays instead.
+function timerWarningCrossed(previous, current) {
+  return current > 0 && SOUND_WARNING_SECONDS.some(t => previous > t && t >= current);
+}
+
+class SoundCues {
+  constructor() {
+    this.context = null; // AudioContext, made on the first cue
+    this.output = null; // master gain, set from the volume
+    this.volume = SOUND_DEFAULT_VOLUME;
+    this.muted = false;
+  }
+
+  get available() {
+    return typeof AudioContext !== "undefined";
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+    if (this.output) this.output.gain.value = this.volume;
+  }
+
+  setMuted(muted) {
+    this.muted = Boolean(muted);
+  }
+
+  // Browsers keep audio suspended until the page is clicked or a key is pressed
+  unlock() {
+    const context = this.getContext();
+    if (context && context.state === "suspended") context.resume();
+  }
+
+  getContext() {
+    if (this.context || !this.available) return this.context;
+    try {
+      this.context = new AudioContext();
+      this.output = this.context.createGain();
+      this.output.gain.value = this.volume;
+      this.output.connect(this.context.destination);
+    } catch (err) {
+      console.error("Web Audio unavailable:", err);
+      this.context = null;
+    }
+    return this.context;
+  }
+
+  // Plays a SOUND_CUES entry; returns false when nothing is played
+  play(name) {
+    const notes = SOUND_CUES[name];
+    if (!notes || this.muted || this.volume === 0) return false;
+    const context = this.getContext();
+    if (!context) return false;
+
+    let at = context.currentTime;
+    for (const { freq, ms, type = "sine", slideTo } of notes) {
+      const seconds = ms / 1000;
+      if (freq > 0) {
+        const osc = context.createOscillator();
+        const envelope = context.createGain();
+        osc.type = type;
+        osc.frequency.setValueAtTime(freq, at);
+        if (slideTo) osc.frequency.linearRampToValueAtTime(slideTo, at + seconds);
+        // Short fade in and out, so notes don't click
+        envelope.gain.setValueAtTime(0, at);
+        envelope.gain.linearRampToValueAtTime(0.3, at + 0.01);
+        envelope.gain.linearRampToValueAtTime(0, at + seconds);
+        osc.connect(envelope);
+        envelope.connect(this.output);
+        osc.start(at);
+        osc.stop(at + seconds);
+      }
+      at += seconds;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,264 @@
+// engine.test.js - RayGridEngine rounds, mat-signal decoding and gesture timing
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine, plain } = require("./load-engine");
+
+// Records the engine's events as [type, data] pairs
+function recordEvents(game, types) {
+  const events = [];
+  for (const type of types) game.on(type, data => events.push([type, plain(data)]));
+  return events;
+}
+
+// ---------- Round ----------
+test("the default level is won with one mat at (2,7) (1-based)", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["toggle", "fire"]);
+
+  assert.strictEqual(game.fire().outcome, "LOSE");
+  assert.strictEqual(game.toggle(1, 6), 1);
+  const result = game.fire();
+  assert.strictEqual(result.outcome, "WIN");
+  assert.strictEqual(game.fires, 2);
+  assert.deepStrictEqual(events.map(([type]) => type), ["fire", "toggle", "fire"]);
+  assert.deepStrictEqual(events[1][1], { r: 1, c: 6, value: 1 });
+});
+
+test("level cells and cells outside the grid can't be toggled", () => {
+  const { RayGridEngine, CELL } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["toggle"]);
+  assert.strictEqual(game.state[0][1], CELL.FIXED);
+  assert.strictEqual(game.toggle(0, 1), null);
+  assert.strictEqual(game.toggle(8, 0), null);
+  assert.strictEqual(game.toggle(-1, 0), null);
+  assert.strictEqual(game.state[0][1], CELL.FIXED);
+  assert.strictEqual(events.length, 0);
+});
+
+test("a second toggle removes the mat and reset clears them all", () => {
+  const { RayGridEngine, CELL } = loadEngine();
+  const game = new RayGridEngine();
+  game.toggle(0, 0);
+  assert.strictEqual(game.toggle(0, 0), CELL.EMPTY);
+  game.toggle(0, 0);
+  game.toggle(7, 7);
+  assert.strictEqual(game.countMats(), 2);
+  const events = recordEvents(game, ["reset"]);
+  assert.strictEqual(game.resetMats(), 2);
+  assert.strictEqual(game.countMats(), 0);
+  assert.deepStrictEqual(events, [["reset", { cleared: 2 }]]);
+});
+
+test("round stats score mats over par, extra fires and hints", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  game.toggle(1, 6);
+  game.toggle(7, 7);
+  game.fire();
+  game.fire();
+  const stats = game.roundStats({ seconds: 30, par: 1, hints: 1 });
+  // 1000 - 150 (one mat over par) - 50 (one extra fire) - 100 (one hint)
+  assert.deepStrictEqual(plain(stats), { mats: 2, attempts: 2, seconds: 30, par: 1, hints: 1, score: 700, stars: 2 });
+  assert.strictEqual(game.roundStats({ mats: 9, attempts: 9, par: 1 }).score, 100);
+});
+
+test("a timed round counts down and is lost when the time runs out", () => {
+  const { RayGridEngine, parseLevel, DEFAULT_LEVEL } = loadEngine();
+  const game = new RayGridEngine({ level: parseLevel({ ...DEFAULT_LEVEL, timeLimitSeconds: 30 }) });
+  const events = recordEvents(game, ["state"]);
+  game.startRound();
+  assert.strictEqual(game.secondsLeft, 30);
+  for (let i = 0; i < 29; i++) game.tick();
+  assert.strictEqual(game.roundState, "playing");
+  game.tick();
+  assert.strictEqual(game.roundState, "lost");
+  assert.strictEqual(game.elapsedSeconds, 30);
+  assert.deepStrictEqual(events.map(([, data]) => data.state), ["playing", "lost"]);
+});
+
+test("a paused round doesn't count time", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  game.startRound();
+  game.tick();
+  assert.strictEqual(game.pause(), true);
+  game.tick();
+  game.tick();
+  assert.strictEqual(game.secondsLeft, 299);
+  assert.strictEqual(game.resume(), true);
+  assert.strictEqual(game.resume(), false);
+  game.tick();
+  assert.strictEqual(game.secondsLeft, 298);
+  assert.strictEqual(game.roundStats().seconds, 2);
+});
+
+test("a practice round is untimed", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  game.startRound({ timed: false });
+  for (let i = 0; i < 400; i++) game.tick();
+  assert.strictEqual(game.roundState, "playing");
+  assert.strictEqual(game.secondsLeft, null);
+  assert.strictEqual(game.elapsedSeconds, 400);
+});
+
+test("a clear wins the round and stops the clock", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  game.startRound();
+  game.toggle(1, 6);
+  game.fire();
+  assert.strictEqual(game.roundState, "won");
+  game.tick();
+  assert.strictEqual(game.secondsLeft, 300);
+  game.endRound();
+  assert.strictEqual(game.roundState, "ready");
+});
+
+test("level time events add and take seconds", () => {
+  const { RayGridEngine, parseLevel, DEFAULT_LEVEL } = loadEngine();
+  const level = parseLevel({ ...DEFAULT_LEVEL, checkpoints: [[3, 0]], timeEvents: { missedFire: -10, checkpoint: 15, hint: -5 } });
+  const game = new RayGridEngine({ level });
+  const events = recordEvents(game, ["time"]);
+  game.startRound();
+  // The ray always passes (3,0): a first checkpoint bonus, then only the miss penalty
+  game.fire();
+  game.fire();
+  game.applyTimeEvent("hint");
+  assert.deepStrictEqual(events.map(([, data]) => [data.reason, data.change]), [
+    ["checkpoint", 15], ["missedFire", -10], ["missedFire", -10], ["hint", -5],
+  ]);
+  assert.strictEqual(game.secondsLeft, 290);
+
+  game.adjustTime(-500, "missedFire");
+  assert.strictEqual(game.secondsLeft, 0);
+  assert.strictEqual(game.roundState, "lost");
+});
+
+// ---------- Coordinate taps ----------
+test("a row tap then a column tap picks a cell", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["cell"]);
+  game.processSignal(2, 1000);
+  assert.strictEqual(game.signalState(1000).stage, "col");
+  game.processSignal(7, 3500);
+  assert.deepStrictEqual(events, [["cell", { r: 1, c: 6, signals: [2, 7] }]]);
+  assert.strictEqual(game.signalBuffer.length, 0);
+});
+
+test("a tap after the pairing window starts a new pair", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["cell"]);
+  game.processSignal(2, 1000);
+  assert.strictEqual(game.signalState(4001).stage, "row");
+  game.processSignal(7, 4001);
+  assert.strictEqual(events.length, 0);
+  assert.deepStrictEqual(plain(game.signalBuffer), [{ signal: 7, timestamp: 4001 }]);
+  game.processSignal(3, 5000);
+  assert.deepStrictEqual(events, [["cell", { r: 6, c: 2, signals: [7, 3] }]]);
+});
+
+test("grids over 8x8 take a page and a position tap per coordinate", () => {
+  const { RayGridEngine, parseLevel, coordinateToTaps, tapsToCoordinate } = loadEngine();
+  assert.deepStrictEqual(plain(coordinateToTaps(10, 10)), [2, 3]);
+  assert.deepStrictEqual(plain(coordinateToTaps(3, 8)), [4]);
+  assert.strictEqual(tapsToCoordinate([2, 3]), 10);
+
+  const level = parseLevel({
+    name: "Big",
+    size: 10,
+    rays: [{ entry: { side: "left", index: 0 }, exit: { side: "right", index: 0 } }],
+    fixedObstacles: [],
+  });
+  const game = new RayGridEngine({ level });
+  const events = recordEvents(game, ["cell"]);
+  game.processSignal(2, 0);
+  assert.strictEqual(game.signalState(0).stage, "rowPage");
+  game.processSignal(2, 1000);
+  game.processSignal(1, 2000);
+  assert.strictEqual(game.signalState(2000).stage, "colPage");
+  game.processSignal(4, 3000);
+  assert.deepStrictEqual(events, [["cell", { r: 9, c: 3, signals: [2, 2, 1, 4] }]]);
+});
+
+// ---------- Gestures ----------
+test("a single 9 fires once the sequence window has passed", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["action"]);
+  game.processSignal(9, 0);
+  const { gesture, action } = game.signalState(0).command;
+  assert.deepStrictEqual([gesture, action], ["9", "fire"]);
+  t.mock.timers.tick(2999);
+  assert.strictEqual(events.length, 0);
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(events.map(([, data]) => data.action), ["fire"]);
+});
+
+test("9 9 inside the window resets instead of firing", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["action"]);
+  game.processSignal(9, 0);
+  t.mock.timers.tick(500);
+  game.processSignal(9, 500);
+  assert.deepStrictEqual(events.map(([, data]) => data.action), ["reset"]);
+  t.mock.timers.tick(5000);
+  assert.strictEqual(events.length, 1);
+});
+
+test("two 9s further apart than the window fire twice", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["action"]);
+  game.processSignal(9, 0);
+  t.mock.timers.tick(3500);
+  game.processSignal(9, 3500);
+  t.mock.timers.tick(3000);
+  assert.deepStrictEqual(events.map(([, data]) => data.action), ["fire", "fire"]);
+});
+
+test("without double taps in the map, 9 fires straight away", () => {
+  const { RayGridEngine, GESTURE_PRESETS } = loadEngine();
+  const game = new RayGridEngine({ gestureMap: GESTURE_PRESETS.simple });
+  const events = recordEvents(game, ["action"]);
+  game.processSignal(9, 0);
+  assert.deepStrictEqual(events.map(([, data]) => data.action), ["fire"]);
+});
+
+test("9 then 7 pauses and resumes the round", () => {
+  const { RayGridEngine } = loadEngine();
+  const game = new RayGridEngine();
+  game.on("action", ({ action }) => {
+    if (action === "pauseTimer" && !game.pause()) game.resume();
+  });
+  game.startRound();
+  game.processSignal(9, 0);
+  game.processSignal(7, 500);
+  assert.strictEqual(game.roundState, "paused");
+  game.processSignal(9, 1000);
+  game.processSignal(7, 1500);
+  assert.strictEqual(game.roundState, "playing");
+});
+
+test("loading a level drops pending input", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  const { RayGridEngine, parseLevel, DEFAULT_LEVEL } = loadEngine();
+  const game = new RayGridEngine();
+  const events = recordEvents(game, ["action", "cell"]);
+  game.processSignal(2, 0);
+  game.processSignal(9, 0);
+  game.loadLevel(parseLevel(DEFAULT_LEVEL));
+  t.mock.timers.tick(5000);
+  game.processSignal(3, 5000);
+  assert.strictEqual(events.length, 0);
+  assert.strictEqual(game.signalBuffer.length, 1);
+});
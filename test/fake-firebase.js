@@ -0,0 +1,60 @@
+// fake-firebase.js - Just enough of the Firebase v8 SDK for the tests
+// Refs and queries keep their listeners, so a test can play .info values and new
+// rows through them (emit). .once() callbacks wait until the test runs them
+// (runPendingOnce). Writes (set, push) are kept and resolve, unless the test made
+// them fail (rejectWrites), like database rules refusing them.
+
+function fakeFirebase() {
+  const listeners = new Map(); // "path event" -> [handler]
+  const queries = []; // { path, orderByChild, startAt }
+  const pendingOnce = [];
+  const writes = []; // { path, value }
+  let writeError = null;
+  const snapshot = (value) => ({ val: () => value });
+  const write = (path, value) => {
+    writes.push({ path, value });
+    return writeError ? Promise.reject(writeError) : Promise.resolve();
+  };
+  const makeRef = (path) => ({
+    child: (name) => makeRef(`${path}/${name}`),
+    on(event, handler) {
+      const key = `${path} ${event}`;
+      listeners.set(key, [...(listeners.get(key) || []), handler]);
+    },
+    off(event, handler) {
+      const key = `${path} ${event}`;
+      listeners.set(key, (listeners.get(key) || []).filter(h => h !== handler));
+    },
+    once(event, callback) {
+      pendingOnce.push(() => callback(snapshot(null)));
+    },
+    orderByChild(child) {
+      const next = { path, orderByChild: child };
+      return { startAt: (value) => { next.startAt = value; queries.push(next); return makeRef(path); } };
+    },
+    set: (value) => write(path, value),
+    push: (value) => write(path, value),
+  });
+  const db = { ref: (path) => makeRef(path) };
+  const database = () => db;
+  database.ServerValue = { TIMESTAMP: { ".sv": "timestamp" } };
+  return {
+    queries,
+    writes,
+    emit(path, event, value) {
+      for (const handler of listeners.get(`${path} ${event}`) || []) handler(snapshot(value));
+    },
+    count(path, event) {
+      return (listeners.get(`${path} ${event}`) || []).length;
+    },
+    runPendingOnce() {
+      pendingOnce.splice(0).forEach(run => run());
+    },
+    rejectWrites(error) {
+      writeError = error;
+    },
+    sdk: { apps: [], initializeApp() { this.apps.push({}); }, database },
+  };
+}
+
+module.exports = { fakeFirebase };
@@ -0,0 +1,24 @@
+// generator.test.js - Generated levels: same seed, same level; always a valid layout
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine, plain } = require("./load-engine");
+
+test("generated levels have no layout problems across seeds and difficulties", async () => {
+  const { LevelGenerator, findLayoutProblems, createLevelState } = loadEngine();
+  const generator = new LevelGenerator();
+  for (const difficulty of ["easy", "medium", "hard"]) {
+    for (let seed = 1; seed <= 40; seed++) {
+      const { level } = await generator.generate({ seed, size: 8, difficulty });
+      const problems = findLayoutProblems(level, createLevelState(level));
+      assert.deepStrictEqual(plain(problems), [], `seed ${seed} (${difficulty})`);
+    }
+  }
+});
+
+test("the same seed and difficulty give the same level", async () => {
+  const { LevelGenerator } = loadEngine();
+  const first = await new LevelGenerator().generate({ seed: "mat", difficulty: "easy" });
+  const again = await new LevelGenerator().generate({ seed: "mat", difficulty: "easy" });
+  assert.deepStrictEqual(plain(again.level), plain(first.level));
+});
@@ -0,0 +1,70 @@
+// input-adapters.test.js - Firebase mat presses: server-side query, stale and repeated presses, reconnection
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine } = require("./load-engine");
+const { fakeFirebase } = require("./fake-firebase");
+
+function startAdapter(options) {
+  const fb = fakeFirebase();
+  const { FirebaseMatAdapter } = loadEngine({ firebase: fb.sdk, firebaseConfig: {} });
+  const adapter = new FirebaseMatAdapter(options);
+  const signals = [];
+  const states = [];
+  adapter.onSignal((signal, timestamp, groupId) => signals.push([signal, timestamp, groupId]));
+  adapter.onStatus(({ state }) => states.push(state));
+  adapter.start();
+  return { fb, adapter, signals, states };
+}
+
+test("presses are queried from the server's time once connected, on this device's clock", () => {
+  const { fb, adapter, signals, states } = startAdapter();
+  fb.emit(".info/serverTimeOffset", "value", 5000);
+  fb.emit(".info/connected", "value", false);
+  assert.strictEqual(fb.queries.length, 0);
+
+  fb.emit(".info/connected", "value", true);
+  assert.strictEqual(fb.queries.length, 1);
+  assert.strictEqual(fb.queries[0].orderByChild, "timestamp");
+  assert.ok(Math.abs(fb.queries[0].startAt - (Date.now() + 5000)) < 1000);
+  assert.deepStrictEqual(states, ["connecting", "connected"]);
+
+  const now = adapter.serverNow();
+  fb.emit("mat_presses", "child_added", { matNumber: 7, groupId: 1, timestamp: now });
+  fb.emit("mat_presses", "child_added", { matNumber: 3, groupId: 2, timestamp: now });
+  fb.emit("mat_presses", "child_added", { matNumber: 4, groupId: 1, timestamp: "now" });
+  assert.deepStrictEqual(signals, [[7, now - 5000, 1]]);
+});
+
+test("repeated presses of a tile within the debounce time count once", () => {
+  const { fb, adapter, signals } = startAdapter({ debounceMs: 150 });
+  fb.emit(".info/connected", "value", true);
+  const now = adapter.serverNow();
+  for (const [matNumber, offset] of [[9, 0], [9, 60], [5, 80], [9, 400]]) {
+    fb.emit("mat_presses", "child_added", { matNumber, groupId: 1, timestamp: now + offset });
+  }
+  assert.deepStrictEqual(signals.map(([signal]) => signal), [9, 5, 9]);
+});
+
+test("a dropped connection is reported, stale presses are skipped and stop() detaches", () => {
+  const { fb, adapter, signals, states } = startAdapter({ staleMs: 10000 });
+  fb.emit(".info/connected", "value", true);
+  fb.emit(".info/connected", "value", false);
+  assert.strictEqual(adapter.state, "connecting");
+  assert.match(adapter.message, /reconnecting/);
+
+  fb.emit(".info/connected", "value", true);
+  assert.deepStrictEqual(states, ["connecting", "connected", "connecting", "connected"]);
+  assert.match(adapter.message, /Reconnected/);
+  assert.strictEqual(fb.queries.length, 1);
+
+  const now = adapter.serverNow();
+  fb.emit("mat_presses", "child_added", { matNumber: 2, groupId: 1, timestamp: now - 30000 });
+  fb.emit("mat_presses", "child_added", { matNumber: 6, groupId: 1, timestamp: now - 2000 });
+  assert.deepStrictEqual(signals.map(([signal]) => signal), [6]);
+
+  adapter.stop();
+  assert.strictEqual(fb.count("mat_presses", "child_added"), 0);
+  assert.strictEqual(fb.count(".info/connected", "value"), 0);
+  assert.strictEqual(adapter.state, "idle");
+});
@@ -0,0 +1,41 @@
+// load-engine.js - Loads the headless engine for the tests
+// The game files are classic browser scripts sharing globals, so they are run in
+// order in a fresh context (like index.html does) instead of being required.
+// Only the DOM-free ones are loaded; nothing here needs a browser. Browser APIs a
+// test needs are passed in as extra globals (e.g. the fake SDK in fake-firebase.js).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ENGINE_SCRIPTS = ["ray.js", "levels.js", "gestures.js", "scoring.js", "fog.js", "engine.js", "solver.js", "generator.js",
+  "input-adapters.js", "session-log.js", "remote-control.js", "sound.js"];
+const ENGINE_GLOBALS = [
+  "CELL", "RaySim", "parseLevel", "DEFAULT_LEVEL", "findLayoutProblems", "GESTURE_PRESETS", "scoreRound", "SCORING_DEFAULTS",
+  "createLevelState", "LevelGenerator",
+  "RayGridEngine", "takeCoordinateTap", "readCoordinateBuffer", "coordinateToTaps", "tapsToCoordinate",
+  "FirebaseMatAdapter", "summarizeSession", "SessionReplay", "openCaregiverLink", "SoundCues", "SOUND_CUES", "timerWarningCrossed",
+];
+
+// Returns the engine globals from a new context, so tests can't leak state into each other
+function loadEngine(globals = {}) {
+  // Timers are looked up on every call, so node:test's mock.timers reaches the engine
+  const context = vm.createContext({
+    ...globals,
+    console,
+    setTimeout: (...args) => setTimeout(...args),
+    clearTimeout: (...args) => clearTimeout(...args),
+  });
+  for (const file of ENGINE_SCRIPTS) {
+    const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return vm.runInContext(`({ ${ENGINE_GLOBALS.join(", ")} })`, context);
+}
+
+// Objects made in the engine's context have its own prototypes; compare plain copies
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadEngine, plain };
@@ -0,0 +1,103 @@
+// ray.test.js - Ray simulation edge cases (RaySim in ray.js)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine, plain } = require("./load-engine");
+
+// Entry on the left of row 2, exit on the right of row 2 unless given
+function makeLevel(engine, size, extra = {}) {
+  return engine.parseLevel({
+    name: "Test",
+    size,
+    rays: [{ entry: { side: "left", index: 2 }, exit: { side: "right", index: 2 } }],
+    fixedObstacles: [],
+    ...extra,
+  });
+}
+
+function trace(engine, level, mats = []) {
+  const game = new engine.RayGridEngine({ level });
+  for (const [r, c] of mats) game.toggle(r, c);
+  return game.trace();
+}
+
+test("a ray with nothing in its way crosses the grid", () => {
+  const engine = loadEngine();
+  const result = trace(engine, makeLevel(engine, 5));
+  assert.strictEqual(result.outcome, "WIN");
+  assert.deepStrictEqual(plain(result.rays[0].exitInfo), { side: "right", index: 2 });
+  assert.strictEqual(result.rays[0].path.length, 5);
+});
+
+test("a ray turned back leaves through the entry side", () => {
+  const engine = loadEngine();
+  // (2,2) turns the ray north, (1,2) turns it west, so it runs back out on the left
+  const result = trace(engine, makeLevel(engine, 5), [[2, 2], [1, 2]]);
+  assert.strictEqual(result.outcome, "LOSE");
+  assert.deepStrictEqual(plain(result.rays[0].exitInfo), { side: "left", index: 1 });
+  assert.match(result.rays[0].reason, /LEFT @ 1, not the target exit/);
+
+  // An exit on the entry side is a normal exit
+  const level = makeLevel(engine, 5, { rays: [{ entry: { side: "left", index: 2 }, exit: { side: "left", index: 1 } }] });
+  assert.strictEqual(trace(engine, level, [[2, 2], [1, 2]]).outcome, "WIN");
+});
+
+test("an obstacle on the entry cell turns the ray straight away", () => {
+  const engine = loadEngine();
+  const result = trace(engine, makeLevel(engine, 5), [[2, 0]]);
+  assert.deepStrictEqual(plain(result.rays[0].path[0]), { r: 2, c: 0, dirBeforeCell: "E", dirAfterCell: "N", cellType: "PLAYER" });
+  assert.deepStrictEqual(plain(result.rays[0].exitInfo), { side: "top", index: 0 });
+});
+
+test("a ray that comes back to a cell in the same direction is stopped as a loop", () => {
+  const engine = loadEngine();
+  // The breakable wall sends the ray north into the top portal, the bottom portal
+  // brings it back up through the (now broken) wall, and round it goes
+  const level = makeLevel(engine, 5, {
+    specialCells: [{ r: 2, c: 3, type: "breakable" }],
+    portals: [[[0, 3], [4, 3]]],
+  });
+  const result = trace(engine, level);
+  const ray = result.rays[0];
+  assert.strictEqual(result.outcome, "LOSE");
+  assert.strictEqual(ray.exitInfo, null);
+  assert.match(ray.reason, /^Loop detected/);
+  assert.ok(ray.path.length < 20, `loop found after ${ray.path.length} steps`);
+});
+
+// 16x16 snake: turners on the right, obstacles on the left; 256 steps from the
+// top-left entry to the bottom-left exit
+function snakeLevel(engine) {
+  const specialCells = [];
+  const fixedObstacles = [];
+  for (let r = 0; r < 16; r++) {
+    specialCells.push({ r, c: 15, type: "cw" });
+    if (r > 0 && r < 15) fixedObstacles.push([r, 0]);
+  }
+  return engine.parseLevel({
+    name: "Snake",
+    size: 16,
+    rays: [{ entry: { side: "left", index: 0 }, exit: { side: "left", index: 15 } }],
+    fixedObstacles,
+    specialCells,
+  });
+}
+
+test("the step cap is 512 and long paths under it still finish", () => {
+  const engine = loadEngine();
+  assert.strictEqual(engine.RaySim.MAX_STEPS, 512);
+  const result = trace(engine, snakeLevel(engine));
+  assert.strictEqual(result.outcome, "WIN");
+  assert.strictEqual(result.rays[0].path.length, 256);
+});
+
+test("a ray still inside the grid at the step cap loses", () => {
+  const engine = loadEngine();
+  engine.RaySim.MAX_STEPS = 200;
+  const result = trace(engine, snakeLevel(engine));
+  const ray = result.rays[0];
+  assert.strictEqual(result.outcome, "LOSE");
+  assert.strictEqual(ray.exitInfo, null);
+  assert.match(ray.reason, /^Step limit reached/);
+  assert.strictEqual(ray.path.length, 200);
+});
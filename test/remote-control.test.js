@@ -0,0 +1,75 @@
+// remote-control.test.js - Links between the player screen and the caregiver view
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine } = require("./load-engine");
+const { fakeFirebase } = require("./fake-firebase");
+
+// Resolves with the next message a link receives
+function nextMessage(link) {
+  return new Promise(resolve => link.onMessage(resolve));
+}
+
+test("the local link carries commands and state within a room only", async () => {
+  const { openCaregiverLink } = loadEngine({ BroadcastChannel });
+  const player = openCaregiverLink("local", "123456", { listenTo: "command" }).link;
+  const caregiver = openCaregiverLink("local", "123456", { listenTo: "state" }).link;
+  const otherRoom = openCaregiverLink("local", "654321", { listenTo: "command" }).link;
+  const stray = [];
+  otherRoom.onMessage(message => stray.push(message));
+  try {
+    const command = nextMessage(player);
+    caregiver.send({ type: "command", command: "loadLevel", name: "Spiral" });
+    assert.deepStrictEqual(await command, { type: "command", command: "loadLevel", name: "Spiral" });
+
+    const state = nextMessage(caregiver);
+    player.send({ type: "state", state: { mode: "play" } });
+    assert.deepStrictEqual(await state, { type: "state", state: { mode: "play" } });
+    assert.deepStrictEqual(stray, []);
+  } finally {
+    for (const link of [player, caregiver, otherRoom]) link.close();
+  }
+});
+
+test("links that can't be used say why", () => {
+  const { openCaregiverLink } = loadEngine();
+  assert.match(openCaregiverLink("local", "1", { listenTo: "state" }).error, /BroadcastChannel/);
+  assert.match(openCaregiverLink("firebase", "1", { listenTo: "state" }).error, /firebase-config/);
+  const off = openCaregiverLink("off", "1", { listenTo: "state" });
+  assert.strictEqual(off.link, null);
+  assert.strictEqual(off.error, null);
+});
+
+test("a Firebase link closed before it started listening never attaches", () => {
+  const fb = fakeFirebase();
+  const { openCaregiverLink } = loadEngine({ firebase: fb.sdk, firebaseConfig: {} });
+  const commandsPath = "caregiver_rooms/123456/commands";
+
+  const closedEarly = openCaregiverLink("firebase", "123456", { listenTo: "command" }).link;
+  closedEarly.onMessage(() => {});
+  closedEarly.close();
+  fb.runPendingOnce();
+  assert.strictEqual(fb.count(commandsPath, "child_added"), 0);
+
+  const link = openCaregiverLink("firebase", "123456", { listenTo: "command" }).link;
+  link.onMessage(() => {});
+  fb.runPendingOnce();
+  assert.strictEqual(fb.count(commandsPath, "child_added"), 1);
+  link.close();
+  assert.strictEqual(fb.count(commandsPath, "child_added"), 0);
+});
+
+test("a Firebase write the database refuses is reported, not left unhandled", async () => {
+  const fb = fakeFirebase();
+  const { openCaregiverLink } = loadEngine({ firebase: fb.sdk, firebaseConfig: {} });
+  const link = openCaregiverLink("firebase", "123456", { listenTo: "state" }).link;
+  const errors = [];
+  link.onError(err => errors.push(err.message));
+  fb.rejectWrites(new Error("PERMISSION_DENIED"));
+  link.send({ type: "command", command: "hint" });
+  link.send({ type: "state", state: { mode: "play" } });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(errors, ["PERMISSION_DENIED", "PERMISSION_DENIED"]);
+  assert.deepStrictEqual(fb.writes.map(({ path }) => path), ["caregiver_rooms/123456/commands", "caregiver_rooms/123456/state"]);
+  link.close();
+});
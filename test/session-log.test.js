@@ -0,0 +1,57 @@
+// session-log.test.js - Session totals shown on the caregiver view, replaying logged events
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine, plain } = require("./load-engine");
+
+test("a session log is summed up by levels, presses, fires, clears, hints and time ups", () => {
+  const { summarizeSession } = loadEngine();
+  const events = [
+    { t: 0, type: "level", level: {} },
+    { t: 1000, type: "signal", signal: 2 },
+    { t: 1400, type: "signal", signal: 7 },
+    { t: 2000, type: "fire", outcome: "LOSE" },
+    { t: 3000, type: "hint", hint: "wrong-mat" },
+    { t: 3500, type: "hint", hint: null },
+    { t: 5000, type: "timer", event: "expired", seconds: 0 },
+    { t: 61000, type: "level", level: {} },
+    { t: 125000, type: "fire", outcome: "WIN" },
+  ];
+  assert.deepStrictEqual(plain(summarizeSession(events)), {
+    minutes: 2, levels: 2, presses: 2, fires: 2, clears: 1, hints: 1, timeUps: 1,
+  });
+  assert.strictEqual(summarizeSession([]).minutes, 0);
+});
+
+// A replay with stand-in controls, on a 3x3 grid with a fixed obstacle in the middle
+function startReplay() {
+  const { SessionReplay, CELL } = loadEngine();
+  const control = () => ({ addEventListener() {} });
+  const controls = {};
+  for (const name of ["btnExport", "btnReplayCurrent", "btnLoad", "fileInput", "btnPlay", "btnStep", "btnStop", "speedSelect"]) {
+    controls[name] = control();
+  }
+  const game = {
+    N: 3,
+    state: [[0, 0, 0], [0, CELL.FIXED, 0], [0, 0, 0]],
+    clearRayVisuals() {},
+    renderAll() {},
+  };
+  return { replay: new SessionReplay(game, controls), game, CELL };
+}
+
+test("replayed toggles only change mats on the grid", async () => {
+  const { replay, game, CELL } = startReplay();
+  assert.strictEqual(await replay.apply({ type: "toggle", r: 0, c: 2, value: 1 }), "");
+  for (const bad of [
+    { r: 3, c: 0, value: 1 }, // outside the grid
+    { r: -1, c: 0, value: 1 },
+    { r: 0, c: "1", value: 1 },
+    { r: 0, c: 1, value: 7 }, // not a mat value
+    { r: 0, c: 1 },
+    { r: 1, c: 1, value: 0 }, // would erase the fixed obstacle
+  ]) {
+    assert.match(await replay.apply({ type: "toggle", ...bad }), /skipped/);
+  }
+  assert.deepStrictEqual(plain(game.state), [[0, 0, 1], [0, CELL.FIXED, 0], [0, 0, 0]]);
+});
@@ -0,0 +1,81 @@
+// sound.test.js - Sound cues: notes played, volume and mute
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadEngine, plain } = require("./load-engine");
+
+// Records the oscillators a cue starts, with the master volume
+function fakeAudioContext() {
+  const started = [];
+  const param = () => ({ value: 1, setValueAtTime() {}, linearRampToValueAtTime() {} });
+  class AudioContext {
+    constructor() {
+      this.currentTime = 0;
+      this.state = "running";
+      this.destination = {};
+    }
+    createGain() {
+      return { gain: param(), connect() {} };
+    }
+    createOscillator() {
+      const osc = {
+        type: "sine",
+        frequency: { ...param(), setValueAtTime: (freq) => { osc.freq = freq; } },
+        connect() {},
+        start: (at) => started.push({ freq: osc.freq, type: osc.type, at }),
+        stop() {},
+      };
+      return osc;
+    }
+  }
+  return { AudioContext, started };
+}
+
+test("a cue plays its notes one after another at the set volume", () => {
+  const audio = fakeAudioContext();
+  const { SoundCues, SOUND_CUES } = loadEngine({ AudioContext: audio.AudioContext });
+  const sound = new SoundCues();
+  sound.setVolume(0.25);
+  assert.strictEqual(sound.play("win"), true);
+  assert.deepStrictEqual(audio.started.map(note => note.freq), plain(SOUND_CUES.win.map(note => note.freq)));
+  assert.ok(audio.started.every((note, i) => i === 0 || note.at > audio.started[i - 1].at));
+  assert.strictEqual(sound.output.gain.value, 0.25);
+
+  // Rests (freq 0) take time but start nothing
+  audio.started.length = 0;
+  sound.play("warning");
+  assert.strictEqual(audio.started.length, 2);
+});
+
+test("muted, silent or unknown cues play nothing", () => {
+  const audio = fakeAudioContext();
+  const { SoundCues } = loadEngine({ AudioContext: audio.AudioContext });
+  const sound = new SoundCues();
+  sound.setMuted(true);
+  assert.strictEqual(sound.play("place"), false);
+  sound.setMuted(false);
+  sound.setVolume(0);
+  assert.strictEqual(sound.play("place"), false);
+  sound.setVolume(2);
+  assert.strictEqual(sound.volume, 1);
+  assert.strictEqual(sound.play("nope"), false);
+  assert.strictEqual(audio.started.length, 0);
+});
+
+test("without Web Audio the game goes on silently", () => {
+  const { SoundCues } = loadEngine();
+  const sound = new SoundCues();
+  assert.strictEqual(sound.available, false);
+  assert.strictEqual(sound.play("fire"), false);
+  sound.unlock();
+});
+
+test("the timer warning plays when the clock passes 30 or 10 seconds, even by a jump", () => {
+  const { timerWarningCrossed } = loadEngine();
+  assert.strictEqual(timerWarningCrossed(31, 30), true);
+  assert.strictEqual(timerWarningCrossed(30, 29), false);
+  assert.strictEqual(timerWarningCrossed(35, 25), true); // a penalty skipped 30
+  assert.strictEqual(timerWarningCrossed(12, 10), true);
+  assert.strictEqual(timerWarningCrossed(25, 35), false); // a bonus
+  assert.strictEqual(timerWarningCrossed(5, 0), false); // time is up: the loss cue plays
+});
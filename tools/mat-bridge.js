@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// mat-bridge.js - Local mat bridge for clinics without internet
+// Reads mat presses from a serial device (or stdin) and pushes them to the game
+// over a local WebSocket (the "Local mat bridge" input source in the game).
+// No npm packages needed: plain Node.js (12+).
+//
+// Usage:
+//   node tools/mat-bridge.js                              # presses typed on stdin, port 8765
+//   node tools/mat-bridge.js --serial /dev/ttyUSB0 --baud 9600
+//   node tools/mat-bridge.js --port 9000
+//
+// Each input line should contain the tile number (1~9), e.g. "7" or "MAT:7".
+// Clients receive {"matNumber": 7, "timestamp": 1700000000000}.
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const readline = require("readline");
+const { execFileSync } = require("child_process");
+
+function parseArgs(argv) {
+  const args = { port: 8765, serial: null, baud: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--port") args.port = Number(argv[++i]);
+    else if (arg === "--serial") args.serial = argv[++i];
+    else if (arg === "--baud") args.baud = Number(argv[++i]);
+    else if (arg === "--help" || arg === "-h") args.help = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+// ---------- Minimal WebSocket server (text frames only) ----------
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const clients = new Set();
+
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text, "utf8");
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    throw new Error("Message too large");
+  }
+  return Buffer.concat([header, payload]);
+}
+
+function broadcast(message) {
+  const frame = encodeTextFrame(JSON.stringify(message));
+  for (const socket of clients) socket.write(frame);
+}
+
+function handleUpgrade(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "", "",
+  ].join("\r\n"));
+
+  clients.add(socket);
+  console.log(`Game connected (${clients.size} client(s))`);
+
+  socket.on("data", (data) => {
+    // The game never sends anything but close/ping frames
+    const opcode = data[0] & 0x0f;
+    if (opcode === 0x8) socket.end(Buffer.from([0x88, 0x00]));
+    else if (opcode === 0x9) socket.write(Buffer.from([0x8a, 0x00]));
+  });
+  const drop = () => {
+    if (clients.delete(socket)) console.log(`Game disconnected (${clients.size} client(s))`);
+  };
+  socket.on("close", drop);
+  socket.on("error", drop);
+}
+
+// ---------- Mat input ----------
+function openInput(args) {
+  if (!args.serial) {
+    console.log("Reading mat presses from stdin (type 1-9 and Enter)");
+    return process.stdin;
+  }
+  if (args.baud) {
+    // Configure the serial line (Linux/macOS); on failure the device is read as-is
+    try {
+      const flag = process.platform === "darwin" ? "-f" : "-F";
+      execFileSync("stty", [flag, args.serial, String(args.baud), "raw", "-echo"]);
+    } catch (err) {
+      console.error(`Could not configure ${args.serial} with stty: ${err.message}`);
+    }
+  }
+  console.log(`Reading mat presses from ${args.serial}`);
+  return fs.createReadStream(args.serial);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log("Usage: node tools/mat-bridge.js [--port 8765] [--serial /dev/ttyUSB0 [--baud 9600]]");
+    return;
+  }
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("Ray Grid mat bridge: connect with a WebSocket client\n");
+  });
+  server.on("upgrade", handleUpgrade);
+  server.listen(args.port, () => {
+    console.log(`Mat bridge listening on ws://localhost:${args.port}`);
+  });
+
+  const input = openInput(args);
+  input.on("error", (err) => {
+    console.error(`Mat input failed: ${err.message}`);
+    process.exitCode = 1;
+    server.close();
+    for (const socket of clients) socket.destroy();
+  });
+  const lines = readline.createInterface({ input });
+  lines.on("line", (line) => {
+    const match = line.match(/[1-9]/);
+    if (!match) return;
+    const matNumber = Number(match[0]);
+    console.log(`Mat ${matNumber}`);
+    broadcast({ matNumber, timestamp: Date.now() });
+  });
+}
+
+main();